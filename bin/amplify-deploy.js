@@ -2,10 +2,14 @@
 
 const { program } = require('commander');
 const chalk = require('chalk');
+const fs = require('fs');
+const inquirer = require('inquirer');
 const { version } = require('../package.json');
 const { MCPServer } = require('../src/mcp-server');
 const { LocalDeploymentService } = require('../src/local-deployment');
 const { ConfigManager } = require('../src/config-manager');
+const { AmplifyEnvManager } = require('../src/amplify-env-manager');
+const { getRepositoryProvider } = require('../src/repository-providers');
 const { setupWizard } = require('../src/setup-wizard');
 
 program
@@ -35,6 +39,9 @@ program
   .command('start')
   .description('Start the MCP server for Cursor integration')
   .option('-p, --port <port>', 'Port to run the MCP server', '3456')
+  .option('--host <host>', 'Address to listen on; other than loopback requires AMPLIFY_MCP_TOKEN', '127.0.0.1')
+  .option('--allowed-host <host...>', 'Extra Host header names to accept, e.g. the DNS name of a shared server')
+  .option('--allowed-origin <origin...>', 'Browser origins allowed to connect (browsers are rejected by default)')
   .option('-m, --mode <mode>', 'Run mode: local or saas', 'local')
   .option('--stdio', 'Run in stdio mode for MCP integration')
   .action(async (options) => {
@@ -57,14 +64,18 @@ program
       try {
         const server = new MCPServer({
           port: parseInt(options.port),
+          host: options.host,
+          allowedHosts: options.allowedHost,
+          allowedOrigins: options.allowedOrigin,
           mode: options.mode
         });
         
         await server.start();
         
-        console.log(chalk.green(`✅ MCP Server running on port ${options.port}`));
+        console.log(chalk.green(`✅ MCP Server running on ${options.host} port ${options.port}`));
         console.log(chalk.gray('\nConfigure Cursor to connect to:'));
-        console.log(chalk.yellow(`  http://localhost:${options.port}`));
+        console.log(chalk.yellow(`  http://${['127.0.0.1', '0.0.0.0', '::'].includes(options.host) ? 'localhost' : options.host}:${options.port}/sse`));
+        console.log(chalk.gray('Multiple IDE sessions can connect at the same time.'));
         console.log(chalk.gray('\nPress Ctrl+C to stop the server'));
         
       } catch (error) {
@@ -79,21 +90,54 @@ program
   .description('Deploy current project to AWS Amplify')
   .option('-n, --name <name>', 'App name (defaults to folder name)')
   .option('-b, --branch <branch>', 'Git branch to deploy', 'main')
-  .option('-r, --region <region>', 'AWS region', 'us-east-1')
+  .option('-r, --region <region>', 'AWS region (default: .amplify-deploy.json, AWS_REGION or your profile, then us-east-1)')
+  .option('--app-root <path>', 'Monorepo app to deploy, relative to the current directory (e.g. apps/web)')
+  .option('--manual', 'Deploy without Git: build locally and upload a zip to an app without a repository')
+  .option('--build-dir <dir>', 'With --manual: build output folder to upload (defaults to the framework output)')
+  .option('--skip-build', 'With --manual: upload the existing build output without building')
   .action(async (options) => {
     console.log(chalk.blue('🚀 Deploying to AWS Amplify...'));
     
     try {
       const deploymentService = new LocalDeploymentService();
-      const result = await deploymentService.deploy({
+
+      // In a workspace with several web apps, ask which one to deploy
+      let appRoot = options.appRoot;
+      if (!appRoot) {
+        const apps = await deploymentService.listWorkspaceApps(process.cwd());
+        if (apps.length > 1) {
+          const answer = await inquirer.prompt([{
+            type: 'list',
+            name: 'appRoot',
+            message: 'This is a monorepo. Which app do you want to deploy?',
+            choices: apps.map(app => ({ name: `${app.appRoot} (${app.name}, ${app.framework})`, value: app.appRoot }))
+          }]);
+          appRoot = answer.appRoot;
+        }
+      }
+
+      const deployOptions = {
         projectPath: process.cwd(),
+        appRoot,
         appName: options.name,
         branch: options.branch,
         region: options.region
-      });
+      };
+
+      const result = options.manual
+        ? await deploymentService.deployManual({
+          ...deployOptions,
+          buildDirectory: options.buildDir,
+          skipBuild: options.skipBuild
+        })
+        : await deploymentService.deploy(deployOptions);
       
       console.log(chalk.green('✅ Deployment successful!'));
+      if (result.manual) {
+        console.log(chalk.gray(`📦 Uploaded ${result.fileCount} files from ${result.artifactDirectory}`));
+      }
       console.log(chalk.yellow(`🌐 Your app is live at: ${result.url}`));
+      console.log(chalk.gray(`🌍 Region: ${result.region}`));
       
     } catch (error) {
       console.error(chalk.red('❌ Deployment failed:'), error.message);
@@ -125,15 +169,779 @@ program
       const deploymentService = new LocalDeploymentService();
       const status = await deploymentService.getStatus(options.app);
       
-      console.log(chalk.blue('📊 Deployment Status:'));
-      console.log(`  Status: ${status.status}`);
-      console.log(`  URL: ${status.url || 'Not available yet'}`);
+      console.log(chalk.blue(`📊 Deployment Status: ${status.appName} (${status.appId})`));
+      if (status.branches.length === 0) {
+        console.log(chalk.yellow('  No branches configured'));
+      }
+      printBranches(status.branches);
       
     } catch (error) {
       console.error(chalk.red('❌ Failed to get status:'), error.message);
     }
   });
 
+program
+  .command('logs')
+  .description('Show build logs for a deployment and diagnose failures')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Branch name (defaults to the production branch)')
+  .option('-j, --job <jobId>', 'Job ID (defaults to the latest job)')
+  .option('-n, --lines <count>', 'Lines to show from the failing step', '50')
+  .option('--full', 'Print the full log of every step')
+  .action(async (options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const logs = await deploymentService.getDeploymentLogs(options.app, {
+        branch: options.branch,
+        jobId: options.job,
+        lines: parseInt(options.lines)
+      });
+      
+      console.log(chalk.blue(`📜 Job #${logs.jobId} on ${logs.branchName}: ${logs.status}`));
+      if (logs.commitId) {
+        console.log(chalk.gray(`  Commit: ${logs.commitId.substring(0, 7)} ${(logs.commitMessage || '').split('\n')[0]}`));
+      }
+      
+      logs.steps.forEach(step => {
+        const line = `  ${step.stepName}: ${step.status}`;
+        console.log(step.status === 'FAILED' ? chalk.red(line) : step.status === 'SUCCEED' ? chalk.green(line) : line);
+        if (options.full && step.log) {
+          console.log(chalk.gray(step.log));
+        }
+      });
+      
+      if (logs.failingStep && logs.tail && !options.full) {
+        console.log(chalk.red(`\n❌ ${logs.failingStep.stepName} log (last ${options.lines} lines):`));
+        console.log(logs.tail);
+      }
+      
+      if (logs.diagnoses.length > 0) {
+        console.log(chalk.yellow('\n🩺 Diagnosis:'));
+        logs.diagnoses.forEach(diagnosis => {
+          console.log(chalk.yellow(`  • ${diagnosis.title}`));
+          console.log(chalk.gray(`    Found: ${diagnosis.evidence}`));
+          console.log(`    Fix: ${diagnosis.fix}`);
+        });
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to get logs:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('rollback')
+  .description('Roll back a branch to a previous successful deployment')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Branch name (defaults to the production branch)')
+  .option('-j, --job <jobId>', 'Successful job to roll back to (prompts if omitted)')
+  .action(async (options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      let jobId = options.job;
+      
+      if (!jobId) {
+        const { branchName, jobs } = await deploymentService.listRollbackCandidates(options.app, {
+          branch: options.branch
+        });
+        const candidates = jobs.filter(job => !job.isCurrent);
+        
+        if (candidates.length === 0) {
+          console.log(chalk.yellow(`No previous successful deployment on ${branchName} to roll back to.`));
+          return;
+        }
+        
+        const { selectedJob } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'selectedJob',
+            message: `Roll back ${branchName} to:`,
+            choices: candidates.map(job => ({
+              name: `#${job.jobId} ${job.commitId.substring(0, 7)} ${(job.commitMessage || '').split('\n')[0]}`,
+              value: job.jobId
+            }))
+          }
+        ]);
+        jobId = selectedJob;
+      }
+      
+      const result = await deploymentService.rollbackDeployment(options.app, {
+        branch: options.branch,
+        jobId
+      });
+      
+      console.log(chalk.green(`⏪ Rolling back ${result.branchName} to job #${result.target.jobId} (${result.target.commitId.substring(0, 7)})`));
+      console.log(chalk.gray(`  Rollback job: #${result.jobId}`));
+      console.log(chalk.yellow(`🌐 ${result.url}`));
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Rollback failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const history = program
+  .command('history')
+  .description('Show and prune the local deployment history');
+
+history
+  .command('list')
+  .description('List deployments, newest first')
+  .option('-p, --project <project>', 'App name, project path or folder name')
+  .option('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Branch name')
+  .option('-s, --status <status>', 'Status, e.g. DEPLOYED or FAILED')
+  .option('--since <date>', 'Started on or after this ISO date')
+  .option('--until <date>', 'Started on or before this ISO date')
+  .option('-n, --limit <count>', 'Maximum number of deployments', '20')
+  .action(async (options) => {
+    try {
+      const configManager = new ConfigManager();
+      const deployments = await configManager.getDeploymentHistory({
+        project: options.project,
+        appId: options.app,
+        branch: options.branch,
+        status: options.status,
+        since: options.since,
+        until: options.until
+      });
+      
+      if (deployments.length === 0) {
+        console.log(chalk.yellow('No deployments found.'));
+        return;
+      }
+      
+      const shown = deployments.slice(0, parseInt(options.limit, 10) || 20);
+      console.log(chalk.blue(`📋 Deployments (${shown.length} of ${deployments.length}):`));
+      shown.forEach(deployment => {
+        const job = deployment.jobId ? ` #${deployment.jobId}` : '';
+        console.log(`  ${new Date(deployment.timestamp).toLocaleString()}  ${(deployment.status || 'UNKNOWN').padEnd(12)} ${deployment.appName || deployment.appId} (${deployment.appId}) ${deployment.branch || '-'}${job}`);
+        if (deployment.url) {
+          console.log(chalk.gray(`    ${deployment.url}`));
+        }
+      });
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+history
+  .command('prune')
+  .description('Remove old history entries (defaults to historyRetention in ~/.amplify-deploy/config.json)')
+  .option('--older-than <days>', 'Remove deployments older than this many days')
+  .option('--keep <count>', 'Keep only this many of the newest deployments')
+  .option('--keep-per-app <count>', 'Keep only this many of the newest deployments of each app')
+  .option('--dry-run', 'Show how many entries would be removed without removing them')
+  .action(async (options) => {
+    try {
+      const policy = {
+        maxAgeDays: options.olderThan ? parseInt(options.olderThan, 10) : undefined,
+        maxEntries: options.keep ? parseInt(options.keep, 10) : undefined,
+        maxPerApp: options.keepPerApp ? parseInt(options.keepPerApp, 10) : undefined
+      };
+      const hasPolicy = Object.values(policy).some(value => value !== undefined);
+      
+      const configManager = new ConfigManager();
+      const result = await configManager.pruneDeploymentHistory(hasPolicy ? policy : null, { dryRun: options.dryRun });
+      
+      console.log(options.dryRun
+        ? chalk.yellow(`Would remove ${result.removed} of ${result.removed + result.remaining} deployments.`)
+        : chalk.green(`✅ Removed ${result.removed} deployments, ${result.remaining} left.`));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+function printBranches(branches) {
+  const statusColor = { SUCCEED: chalk.green, FAILED: chalk.red, CANCELLED: chalk.gray, NO_JOBS: chalk.gray };
+  branches.forEach(branch => {
+    const color = statusColor[branch.status] || chalk.yellow;
+    console.log(`  ${branch.branchName.padEnd(20)} ${branch.stage.padEnd(12)} ${color(branch.status.padEnd(12))} auto-build ${branch.enableAutoBuild ? 'on ' : 'off'}${branch.jobId ? `  job #${branch.jobId}` : ''}`);
+    if (branch.url) {
+      console.log(chalk.gray(`    ${branch.customDomainUrl || branch.url}`));
+    }
+  });
+}
+
+const branch = program
+  .command('branch')
+  .description('Manage the branches (environments) of an app');
+
+branch
+  .command('add <branchName>')
+  .description('Connect a Git branch to an app, or update the settings of a connected branch')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-s, --stage <stage>', 'PRODUCTION, BETA, DEVELOPMENT or EXPERIMENTAL (guessed from the name by default)')
+  .option('--auto-build', 'Build on every push (default for new branches)')
+  .option('--no-auto-build', 'Do not build on every push')
+  .option('--pr-preview', 'Build previews for pull requests into the branch')
+  .option('--no-build', 'Do not start the first build')
+  .action(async (branchName, options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const result = await deploymentService.addBranch(options.app, {
+        branchName,
+        stage: options.stage,
+        enableAutoBuild: options.autoBuild,
+        enablePullRequestPreview: options.prPreview,
+        startBuild: options.build
+      });
+      
+      console.log(chalk.green(`🌿 ${result.created ? 'Connected' : 'Updated'} ${result.branchName} (${result.stage}, auto-build ${result.enableAutoBuild ? 'on' : 'off'})`));
+      if (result.jobId) {
+        console.log(chalk.gray(`  First build: job #${result.jobId}`));
+        console.log(chalk.yellow(`🌐 ${result.url}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+branch
+  .command('list')
+  .description('List branches with their stage, auto-build setting and latest job status')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .action(async (options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const branches = await deploymentService.listBranches(options.app);
+      
+      if (branches.length === 0) {
+        console.log(chalk.yellow(`No branches connected to ${options.app}.`));
+        return;
+      }
+      printBranches(branches);
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+branch
+  .command('remove <branchName>')
+  .description('Disconnect a branch from an app')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-f, --force', 'Also remove the production branch')
+  .action(async (branchName, options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const result = await deploymentService.removeBranch(options.app, branchName, { force: options.force });
+      console.log(chalk.green(`🗑️  Removed ${result.branchName} (${result.stage}) from ${result.appId}`));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+const previews = program
+  .command('previews')
+  .description('Manage pull request previews');
+
+previews
+  .command('list')
+  .description('List active pull request previews with their URL and build status')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('--comment', 'Post (or refresh) the preview URL as a comment on each GitHub pull request')
+  .action(async (options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const result = await deploymentService.listPreviews(options.app);
+      const enabledFor = result.branches.filter(b => b.enablePullRequestPreview).map(b => b.branchName);
+      
+      if (result.previews.length === 0) {
+        console.log(chalk.yellow(`No active pull request previews for ${result.appName}.`));
+      }
+      result.previews.forEach(preview => {
+        const title = preview.pullRequestNumber ? `PR #${preview.pullRequestNumber}` : preview.branchName;
+        console.log(`  ${title.padEnd(10)} ${preview.status.padEnd(12)} ${preview.url}`);
+      });
+      console.log(chalk.gray(`Previews enabled for: ${enabledFor.join(', ') || 'none'}`));
+      
+      if (options.comment) {
+        const comments = await deploymentService.commentPreviewUrls(options.app, result.repository, result.previews);
+        comments.forEach(comment => {
+          console.log(comment.result === 'failed'
+            ? chalk.red(`  ❌ PR #${comment.pullRequestNumber}: ${comment.error}`)
+            : chalk.green(`  💬 PR #${comment.pullRequestNumber}: comment ${comment.result}`));
+        });
+      }
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+['enable', 'disable'].forEach(action => {
+  previews
+    .command(`${action} <branchName>`)
+    .description(`${action === 'enable' ? 'Build' : 'Stop building'} previews for pull requests into a branch`)
+    .requiredOption('-a, --app <appId>', 'Amplify app ID')
+    .action(async (branchName, options) => {
+      try {
+        const deploymentService = new LocalDeploymentService();
+        await deploymentService.setPullRequestPreviews(options.app, branchName, action === 'enable');
+        console.log(chalk.green(`✅ Pull request previews ${action}d for ${branchName}`));
+      } catch (error) {
+        console.error(chalk.red('❌'), error.message);
+        process.exit(1);
+      }
+    });
+});
+
+function printDeletionPlan(plan) {
+  const list = (items) => items.length > 0 ? items.join(', ') : chalk.gray('none');
+  console.log(chalk.red(`🗑️  ${plan.appName || plan.appId} (${plan.appId})`));
+  if (plan.missing) {
+    console.log(chalk.gray(`  Not found in AWS Amplify (${plan.region}) - only local records remain`));
+  } else {
+    console.log(`  Branches:        ${list(plan.branches.map(branch => `${branch.branchName} (${branch.stage})`))}`);
+    console.log(`  Custom domains:  ${list(plan.domains)}`);
+    console.log(`  Webhooks:        ${list(plan.webhooks.map(webhook => webhook.branchName))}`);
+    console.log(`  Env variables:   ${list(plan.envVars)}`);
+  }
+  console.log(`  Secrets (SSM):   ${plan.secrets === null ? chalk.yellow('unknown') : plan.secrets.length}`);
+  console.log(`  History entries: ${plan.historyEntries}`);
+  console.log(`  Project links:   ${list(plan.linkedProjects)}`);
+}
+
+// An app that was not found may live in another region; its records are only removed with an explicit --region
+function needsExplicitRegion(plan, options) {
+  if (!plan.missing || options.region) {
+    return false;
+  }
+  console.log(chalk.yellow(`  ⚠️  Not found in ${plan.region}. If it was deployed to another region, it is still live there.`));
+  console.log(chalk.gray('  Pass --region with the region it was deployed to in order to remove its local records.'));
+  return true;
+}
+
+// Ask the user to type the app name; returns the answer for deleteApp to check
+async function promptAppName(plan) {
+  const expectedName = plan.appName || plan.appId;
+  const { typedName } = await inquirer.prompt([{
+    type: 'input',
+    name: 'typedName',
+    message: `Type ${chalk.bold(expectedName)} to delete it (anything else cancels):`
+  }]);
+  return typedName === expectedName ? typedName : null;
+}
+
+program
+  .command('destroy [appId]')
+  .description('Delete an Amplify app with its branches, domains, webhooks, env vars, secrets, history and project link')
+  .option('-p, --path <path>', 'Project path (its .amplify-deploy.json app is used when no appId is given)', process.cwd())
+  .option('--dry-run', 'Only list what would be removed')
+  .option('--confirm <appName>', 'Confirm with the app name instead of typing it')
+  .option('-r, --region <region>', 'AWS region of the app (default: the app\'s region from the history, .amplify-deploy.json, AWS_REGION or your profile); required to clean up an app that was not found')
+  .option('--stale [days]', 'Find apps imported from AWS without a build for this many days (default: 90)')
+  .action(async (appId, options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      
+      if (options.stale) {
+        const staleApps = await deploymentService.findStaleApps({
+          olderThanDays: options.stale === true ? 90 : parseInt(options.stale),
+          region: options.region
+        });
+        if (staleApps.length === 0) {
+          console.log(chalk.green('✅ No stale apps found.'));
+          return;
+        }
+        
+        for (const app of staleApps) {
+          const plan = await deploymentService.planAppDeletion(app.appId, { region: options.region });
+          printDeletionPlan(plan);
+          console.log(chalk.gray(`  Last activity:   ${app.lastActivity ? new Date(app.lastActivity).toLocaleDateString() : 'never built'}`));
+          if (needsExplicitRegion(plan, options) || options.dryRun) continue;
+          
+          const confirmName = await promptAppName(plan);
+          if (!confirmName) {
+            console.log(chalk.gray('  Skipped'));
+            continue;
+          }
+          const result = await deploymentService.deleteApp(app.appId, { confirmName, region: options.region });
+          console.log(chalk.green(`  ✅ Deleted ${result.appName || result.appId}`));
+          result.warnings.forEach(warning => console.log(chalk.yellow(`  ⚠️  ${warning}`)));
+        }
+        return;
+      }
+      
+      if (!appId) {
+        const projectConfig = await new ConfigManager(options.path).getProjectConfig();
+        appId = projectConfig?.appId;
+        if (!appId) {
+          throw new Error(`No appId given and ${options.path} is not linked to an app. Pass the app ID: aws-deploy destroy <appId>`);
+        }
+      }
+      
+      const plan = await deploymentService.planAppDeletion(appId, { projectPath: options.path, region: options.region });
+      printDeletionPlan(plan);
+      if (needsExplicitRegion(plan, options)) {
+        return;
+      }
+      if (options.dryRun) {
+        console.log(chalk.gray('\nDry run - nothing was deleted.'));
+        return;
+      }
+      
+      const confirmName = options.confirm ?? await promptAppName(plan);
+      if (!confirmName) {
+        console.log(chalk.gray('Cancelled.'));
+        return;
+      }
+      
+      const result = await deploymentService.deleteApp(appId, { confirmName, projectPath: options.path, region: options.region });
+      console.log(chalk.green(`✅ Deleted ${result.appName || result.appId} (${result.removedHistoryEntries} history entries, ${result.deletedSecrets} secrets)`));
+      result.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+function printAutoBranchSettings(settings) {
+  console.log(`  Enabled:     ${settings.enabled ? chalk.green('yes') : chalk.gray('no')}`);
+  console.log(`  Patterns:    ${settings.patterns.join(', ') || chalk.gray('(none)')}`);
+  console.log(`  Auto-delete: ${settings.autoDelete ? 'yes' : 'no'}`);
+  console.log(`  New branches: stage ${settings.branchConfig.stage || 'not set'}, build on push ${settings.branchConfig.enableAutoBuild === false ? 'off' : 'on'}, PR previews ${settings.branchConfig.enablePullRequestPreview ? 'on' : 'off'}`);
+}
+
+const autoBranch = program
+  .command('autobranch')
+  .description('Control which Git branches Amplify connects automatically');
+
+autoBranch
+  .command('show')
+  .description('Show branch patterns and the settings of auto-created branches')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .action(async (options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      printAutoBranchSettings(await deploymentService.getAutoBranchSettings(options.app));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+autoBranch
+  .command('set')
+  .description('Change automatic branch creation (omitted options stay unchanged)')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('--enable', 'Connect matching branches automatically')
+  .option('--disable', 'Stop connecting branches automatically')
+  .option('--patterns <patterns>', 'Comma-separated branch patterns, e.g. "feature/*,release/**"')
+  .option('--auto-delete', 'Disconnect branches deleted in Git')
+  .option('--no-auto-delete', 'Keep branches deleted in Git connected')
+  .option('-s, --stage <stage>', 'Stage of auto-created branches')
+  .option('-p, --path <path>', 'Project path whose .amplify-deploy.json autoBranch section is updated too')
+  .action(async (options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const settings = await deploymentService.configureAutoBranches(options.app, {
+        enabled: options.enable ? true : options.disable ? false : undefined,
+        patterns: options.patterns?.split(',').map(pattern => pattern.trim()).filter(Boolean),
+        autoDelete: options.autoDelete,
+        branchConfig: options.stage ? { stage: options.stage } : undefined
+      }, { projectPath: options.path });
+      
+      console.log(chalk.green('✅ Automatic branch creation updated'));
+      printAutoBranchSettings(settings);
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Parse "www=main,staging=staging" (use "=main" for the apex domain)
+function parseSubdomainMap(value) {
+  return value.split(',').filter(Boolean).map(pair => {
+    const [prefix, branchName] = pair.split('=');
+    if (!branchName) {
+      throw new Error(`Invalid subdomain mapping "${pair}". Use prefix=branch, e.g. www=main`);
+    }
+    return { prefix: prefix.trim(), branchName: branchName.trim() };
+  });
+}
+
+function printDomain(domain) {
+  console.log(chalk.blue(`🌐 ${domain.domainName}: ${domain.status}`));
+  if (domain.statusReason) {
+    console.log(chalk.gray(`  ${domain.statusReason}`));
+  }
+  
+  if (domain.dnsRecords.length > 0) {
+    console.log(chalk.yellow('\nAdd these DNS records at your DNS provider:'));
+    domain.dnsRecords.forEach(record => console.log(`  ${record.type.padEnd(6)} ${record.name}  ->  ${record.value}  ${chalk.gray(`(${record.purpose})`)}`));
+    if (domain.needsApexAlias) {
+      console.log(chalk.gray('  Most DNS providers do not allow a CNAME on the apex domain - use an ALIAS/ANAME record or Route 53 instead.'));
+    }
+  }
+  
+  console.log('');
+  domain.subdomains.forEach((sub, index) => {
+    console.log(`  ${sub.verified ? chalk.green('✅') : '⏳'} ${domain.urls[index].url} -> ${sub.branchName}`);
+  });
+}
+
+const domain = program
+  .command('domain')
+  .description('Manage custom domains');
+
+domain
+  .command('add <domainName>')
+  .description('Attach a custom domain to an app')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-m, --map <mapping>', 'Subdomain to branch mapping, e.g. "=main,www=main,staging=staging"')
+  .option('--auto-subdomain', 'Create a subdomain for every connected branch')
+  .action(async (domainName, options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const result = await deploymentService.addCustomDomain(options.app, {
+        domainName,
+        subdomains: options.map ? parseSubdomainMap(options.map) : null,
+        enableAutoSubDomain: options.autoSubdomain
+      });
+      printDomain(result);
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+domain
+  .command('map <domainName>')
+  .description('Replace the subdomain to branch mapping of a domain')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .requiredOption('-m, --map <mapping>', 'Subdomain to branch mapping, e.g. "www=main,staging=staging"')
+  .action(async (domainName, options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const result = await deploymentService.updateCustomDomain(options.app, {
+        domainName,
+        subdomains: parseSubdomainMap(options.map)
+      });
+      printDomain(result);
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+domain
+  .command('status <domainName>')
+  .description('Show verification status and required DNS records')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .action(async (domainName, options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      printDomain(await deploymentService.getDomainStatus(options.app, domainName));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+domain
+  .command('list')
+  .description('List custom domains of an app')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .action(async (options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      const domains = await deploymentService.listCustomDomains(options.app);
+      if (domains.length === 0) {
+        console.log(chalk.gray('No custom domains configured.'));
+      }
+      domains.forEach(printDomain);
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+domain
+  .command('remove <domainName>')
+  .description('Detach a custom domain from an app')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .action(async (domainName, options) => {
+    try {
+      const deploymentService = new LocalDeploymentService();
+      await deploymentService.removeCustomDomain(options.app, domainName);
+      console.log(chalk.green(`✅ Removed ${domainName}`));
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+function printEnvChanges(envManager, diff, secrets = null) {
+  const movedKeys = envManager.getStoredSecretKeys(secrets);
+  const lines = envManager.formatEnvDiff({ ...diff, unchanged: [] }, { removeMissing: true, applied: true, movedKeys });
+  const secretLines = secrets ? envManager.formatEnvDiff({ ...secrets.applied, unchanged: [] }, { secret: true }) : [];
+  if (lines.length === 0 && secretLines.length === 0) {
+    console.log(chalk.gray('No changes - the variables already had these values.'));
+  }
+  lines.forEach(line => console.log(`  ${line}`));
+  if (secretLines.length > 0) {
+    console.log(chalk.yellow(`🔐 Stored in SSM Parameter Store (${secrets.path}, SecureString):`));
+    secretLines.forEach(line => console.log(`  ${line}`));
+  }
+}
+
+const env = program
+  .command('env')
+  .description('Manage environment variables of an Amplify app');
+
+env
+  .command('list')
+  .description('List app-wide variables and the effective variables of each branch')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Only show this branch')
+  .option('-r, --region <region>', 'AWS region (default: the app\'s region from the history, .amplify-deploy.json, AWS_REGION or your profile)')
+  .option('--show-values', 'Print values unmasked')
+  .action(async (options) => {
+    try {
+      const envManager = await AmplifyEnvManager.create({ region: options.region, appId: options.app });
+      const { success, appName, appVars, appSecrets, branches, secretsError, error } = await envManager.getEffectiveEnvVarsByBranch(options.app, options.branch);
+      if (!success) {
+        throw new Error(error);
+      }
+      // Secret values stay in Parameter Store; use env get or env export to read them
+      const display = (key, value) => options.showValues ? value : envManager.displayValue(key, value);
+      
+      console.log(chalk.blue(`🔍 ${appName} (${options.app})`));
+      if (!options.branch) {
+        console.log(chalk.yellow('\nApp-wide:'));
+        if (Object.keys(appVars).length === 0 && appSecrets.length === 0) {
+          console.log(chalk.gray('  (none)'));
+        }
+        Object.keys(appVars).sort().forEach(key => console.log(`  ${key}=${display(key, appVars[key])}`));
+        appSecrets.forEach(key => console.log(`  ${key}=[secret] ${chalk.gray('[SSM]')}`));
+      }
+      
+      branches.forEach(({ branchName, effective }) => {
+        console.log(chalk.yellow(`\n${branchName}:`));
+        effective
+          .filter(envVar => options.branch || envVar.source !== 'app')
+          .forEach(envVar => console.log(envVar.secret
+            ? `  ${envVar.key}=[secret] ${chalk.gray(`[${envVar.source}, SSM]`)}`
+            : `  ${envVar.key}=${display(envVar.key, envVar.value)} ${chalk.gray(`[${envVar.source}]`)}`));
+      });
+      if (secretsError) {
+        console.log(chalk.yellow(`\n⚠️  Parameter Store secrets could not be listed: ${secretsError}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+env
+  .command('get <key>')
+  .description('Print the value of a variable (effective value when --branch is given)')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Branch whose effective value to print')
+  .option('-r, --region <region>', 'AWS region (default: the app\'s region from the history, .amplify-deploy.json, AWS_REGION or your profile)')
+  .action(async (key, options) => {
+    try {
+      const envManager = await AmplifyEnvManager.create({ region: options.region, appId: options.app });
+      const { envVars, secretsError } = await envManager.exportEnvVars(options.app, { branch: options.branch });
+      if (!(key in envVars)) {
+        throw new Error(`${key} is not set${secretsError ? ` (Parameter Store secrets could not be read: ${secretsError})` : ''}`);
+      }
+      console.log(envVars[key]);
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+env
+  .command('set <assignments...>')
+  .description('Add or update variables, e.g. aws-deploy env set API_URL=https://api.example.com')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Set branch-level variables instead of app-wide ones')
+  .option('-r, --region <region>', 'AWS region (default: the app\'s region from the history, .amplify-deploy.json, AWS_REGION or your profile)')
+  .option('-p, --path <path>', 'Project whose envFilter rules decide which variables are secrets (default: the app\'s project from the history)')
+  .action(async (assignments, options) => {
+    try {
+      const envVars = {};
+      assignments.forEach(assignment => {
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`Invalid assignment "${assignment}". Use KEY=VALUE`);
+        }
+        envVars[assignment.substring(0, separator)] = assignment.substring(separator + 1);
+      });
+      
+      const envManager = await AmplifyEnvManager.create({ region: options.region, appId: options.app });
+      const { diff, secrets } = await envManager.setEnvVars(options.app, envVars, { branch: options.branch, projectPath: options.path });
+      console.log(chalk.green(`✅ Updated ${options.branch ? `branch ${options.branch}` : 'app-wide variables'}`));
+      printEnvChanges(envManager, diff, secrets);
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+env
+  .command('unset <keys...>')
+  .description('Delete variables')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Delete branch-level variables instead of app-wide ones')
+  .option('-r, --region <region>', 'AWS region (default: the app\'s region from the history, .amplify-deploy.json, AWS_REGION or your profile)')
+  .action(async (keys, options) => {
+    try {
+      const envManager = await AmplifyEnvManager.create({ region: options.region, appId: options.app });
+      const { diff, deletedSecrets } = await envManager.unsetEnvVars(options.app, keys, { branch: options.branch });
+      console.log(chalk.green(`✅ Updated ${options.branch ? `branch ${options.branch}` : 'app-wide variables'}`));
+      if (diff.removed.length > 0 || !deletedSecrets) {
+        printEnvChanges(envManager, diff);
+      }
+      if (deletedSecrets) {
+        console.log(chalk.yellow(`🔐 Deleted from SSM Parameter Store (${deletedSecrets.path}): ${deletedSecrets.keys.join(', ')}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
+env
+  .command('export')
+  .description('Print the variables as a .env file (or write them with --output)')
+  .requiredOption('-a, --app <appId>', 'Amplify app ID')
+  .option('-b, --branch <branch>', 'Export the effective variables of this branch')
+  .option('-r, --region <region>', 'AWS region (default: the app\'s region from the history, .amplify-deploy.json, AWS_REGION or your profile)')
+  .option('-f, --format <format>', 'dotenv or json', 'dotenv')
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action(async (options) => {
+    try {
+      const envManager = await AmplifyEnvManager.create({ region: options.region, appId: options.app });
+      const { envVars, content, secretsError } = await envManager.exportEnvVars(options.app, {
+        branch: options.branch,
+        format: options.format
+      });
+      if (secretsError) {
+        console.error(chalk.yellow(`⚠️  Parameter Store secrets were not exported: ${secretsError}`));
+      }
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, content, { mode: 0o600 });
+        console.error(chalk.green(`✅ Wrote ${Object.keys(envVars).length} variables to ${options.output}`));
+      } else {
+        process.stdout.write(content);
+      }
+    } catch (error) {
+      console.error(chalk.red('❌'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('env-setup')
   .description('Show AWS environment variables setup instructions')
@@ -198,8 +1006,9 @@ program
       // 2. Check project structure
       console.log(chalk.blue('📁 Project Structure:'));
       console.log(chalk.gray('  Validating project...'));
-      await deploymentService.validateProject(options.path);
+      const validation = await deploymentService.validateProject(options.path);
       console.log(chalk.green('  ✅ Project structure is valid'));
+      validation.warnings.forEach(warning => console.log(chalk.yellow(`  ⚠️  ${warning}`)));
       
       // 3. Check framework detection
       console.log(chalk.gray('  Detecting framework...'));
@@ -213,8 +1022,8 @@ program
       
       // 5. Check Git repository
       console.log(chalk.gray('  Checking Git repository...'));
-      const repoInfo = await deploymentService.ensureGitHubRepo(options.path);
-      console.log(chalk.green(`  ✅ GitHub repository: ${repoInfo.repository}`));
+      const repoInfo = await deploymentService.ensureRepository(options.path);
+      console.log(chalk.green(`  ✅ ${getRepositoryProvider(repoInfo.provider).name} repository: ${repoInfo.repository}`));
       
       console.log('');
       console.log(chalk.green('🎉 Everything looks good! Ready for deployment.'));
@@ -266,8 +1075,9 @@ program
       
       // Test project validation
       console.log(chalk.gray('Checking project structure...'));
-      await deploymentService.validateProject(options.path);
+      const validation = await deploymentService.validateProject(options.path);
       console.log(chalk.green('✅ Project structure is valid'));
+      validation.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
       
       // Test framework detection
       console.log(chalk.gray('Detecting framework...'));
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  detectFrameworkFromProject,
+  detectPackageManager,
+  detectWorkspacePackages,
+  resolveArtifactDirectory,
+  resolveBuildScript
+} = require('../build-config');
+
+// Lay out a throwaway project from a { 'relative/path': content } map
+function createProject(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-config-'));
+  for (const [fileName, content] of Object.entries(files)) {
+    const filePath = path.join(root, fileName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+let projects = [];
+
+function project(files) {
+  const root = createProject(files);
+  projects.push(root);
+  return root;
+}
+
+afterEach(() => {
+  for (const root of projects) {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+  projects = [];
+});
+
+describe('detectFrameworkFromProject', () => {
+  test('should prefer dependencies in priority order', async () => {
+    const root = project({});
+
+    expect(await detectFrameworkFromProject(root, { next: '14.0.0', react: '18.0.0' })).toBe('nextjs');
+    expect(await detectFrameworkFromProject(root, { vite: '5.0.0', vue: '3.0.0' })).toBe('vue');
+    expect(await detectFrameworkFromProject(root, { react: '18.0.0' })).toBe('react');
+  });
+
+  test('should fall back to config files', async () => {
+    expect(await detectFrameworkFromProject(project({ 'astro.config.mjs': 'export default {}' }))).toBe('astro');
+    expect(await detectFrameworkFromProject(project({ 'angular.json': {} }))).toBe('angular');
+  });
+
+  test('should return null when nothing matches', async () => {
+    expect(await detectFrameworkFromProject(project({ 'index.html': '<html></html>' }), { lodash: '4.0.0' })).toBeNull();
+  });
+});
+
+describe('detectPackageManager', () => {
+  test('should default to npm without a lockfile', async () => {
+    expect(await detectPackageManager(project({ 'package.json': {} }))).toEqual({
+      name: 'npm',
+      version: null,
+      lockfile: null
+    });
+  });
+
+  test('should detect the package manager from the lockfile', async () => {
+    expect(await detectPackageManager(project({ 'pnpm-lock.yaml': '' }))).toMatchObject({ name: 'pnpm', lockfile: 'pnpm-lock.yaml' });
+    expect(await detectPackageManager(project({ 'yarn.lock': '' }))).toMatchObject({ name: 'yarn', lockfile: 'yarn.lock' });
+    expect(await detectPackageManager(project({ 'bun.lockb': '' }))).toMatchObject({ name: 'bun', lockfile: 'bun.lockb' });
+  });
+
+  test('should let the packageManager field win over a stray lockfile', async () => {
+    const root = project({
+      'package.json': { packageManager: 'pnpm@9.1.0+sha512.abc' },
+      'package-lock.json': {},
+      'pnpm-lock.yaml': ''
+    });
+
+    expect(await detectPackageManager(root)).toEqual({ name: 'pnpm', version: '9.1.0', lockfile: 'pnpm-lock.yaml' });
+  });
+
+  test('should find the lockfile at the workspace root', async () => {
+    const root = project({
+      'package.json': { workspaces: ['apps/*'] },
+      'yarn.lock': '',
+      'apps/web/package.json': { name: 'web' }
+    });
+
+    expect(await detectPackageManager(path.join(root, 'apps/web'), root)).toMatchObject({ name: 'yarn', lockfile: 'yarn.lock' });
+  });
+
+  test('should ignore an invalid package.json', async () => {
+    expect(await detectPackageManager(project({ 'package.json': '{ invalid', 'yarn.lock': '' }))).toMatchObject({ name: 'yarn' });
+  });
+});
+
+describe('detectWorkspacePackages', () => {
+  test('should list npm workspaces and flag libraries', async () => {
+    const root = project({
+      'package.json': { workspaces: ['apps/*', 'packages/*', '!packages/internal'] },
+      'apps/web/package.json': { name: '@acme/web' },
+      'apps/docs/package.json': {},
+      'packages/ui/package.json': { name: '@acme/ui', main: 'index.js' },
+      'packages/internal/package.json': { name: '@acme/internal' },
+      'packages/no-manifest/README.md': ''
+    });
+
+    const packages = await detectWorkspacePackages(root);
+
+    expect(packages.map(pkg => [pkg.appRoot, pkg.name, pkg.isLibrary]).sort()).toEqual([
+      ['apps/docs', 'apps/docs', false],
+      ['apps/web', '@acme/web', false],
+      ['packages/ui', '@acme/ui', true]
+    ]);
+  });
+
+  test('should read pnpm-workspace.yaml and Nx apps', async () => {
+    const pnpmRoot = project({
+      'pnpm-workspace.yaml': 'packages:\n  - "sites/*"\n',
+      'sites/blog/package.json': { name: 'blog' }
+    });
+    const nxRoot = project({
+      'nx.json': {},
+      'apps/admin/package.json': { name: 'admin' }
+    });
+
+    expect((await detectWorkspacePackages(pnpmRoot)).map(pkg => pkg.appRoot)).toEqual(['sites/blog']);
+    expect((await detectWorkspacePackages(nxRoot)).map(pkg => pkg.appRoot)).toEqual(['apps/admin']);
+  });
+
+  test('should return an empty list outside a workspace', async () => {
+    expect(await detectWorkspacePackages(project({ 'package.json': { name: 'single' } }))).toEqual([]);
+  });
+});
+
+describe('nuxt build settings', () => {
+  test('should detect Nuxt 2 from devDependencies', async () => {
+    const root = project({ 'package.json': { devDependencies: { nuxt: '^2.17.0' } } });
+
+    expect(await resolveArtifactDirectory('nuxt', root)).toBe('dist');
+  });
+
+  test('should use the Nuxt 3 output otherwise', async () => {
+    expect(await resolveArtifactDirectory('nuxt', project({ 'package.json': { dependencies: { nuxt: '^3.10.0' } } }))).toBe('.output/public');
+  });
+
+  test('should prefer the generate script for static hosting', async () => {
+    expect(await resolveBuildScript('nuxt', project({ 'package.json': { scripts: { generate: 'nuxt generate' } } }))).toBe('generate');
+    expect(await resolveBuildScript('nuxt', project({ 'package.json': { scripts: { build: 'nuxt build' } } }))).toBe('build');
+  });
+
+  test('should not throw on an invalid package.json', async () => {
+    const root = project({ 'package.json': '{ "scripts": ' });
+
+    expect(await resolveArtifactDirectory('nuxt', root)).toBe('.output/public');
+    expect(await resolveBuildScript('nuxt', root)).toBe('build');
+  });
+});
@@ -0,0 +1,64 @@
+const { diagnoseBuildLog, tailLog } = require('../build-log-analyzer');
+
+describe('diagnoseBuildLog', () => {
+  test('should return nothing for an empty or clean log', () => {
+    expect(diagnoseBuildLog('')).toEqual([]);
+    expect(diagnoseBuildLog(undefined)).toEqual([]);
+    expect(diagnoseBuildLog('# Executing command: npm run build\nCompiled successfully.')).toEqual([]);
+  });
+
+  test('should recognize an out-of-sync lockfile', () => {
+    const log = [
+      '2024-05-01T10:00:00 [INFO]: # Executing command: npm ci',
+      'npm ERR! `npm ci` can only install packages when your package.json and package-lock.json or npm-shrinkwrap.json are in sync.',
+      'npm ERR! Missing: left-pad@1.3.0 from lock file'
+    ].join('\n');
+
+    expect(diagnoseBuildLog(log)).toEqual([{
+      id: 'lockfile-mismatch',
+      title: 'package.json and package-lock.json are out of sync',
+      fix: 'Run "npm install" locally, commit the updated package-lock.json and push again.',
+      evidence: 'npm ERR! `npm ci` can only install packages when your package.json and package-lock.json or npm-shrinkwrap.json are in sync.'
+    }]);
+  });
+
+  test('should recognize each known failure', () => {
+    const cases = {
+      'lockfile-missing': 'npm ERR! The `npm ci` command can only install with an existing package-lock.json',
+      'missing-build-script': 'npm ERR! Missing script: "build"',
+      'wrong-artifacts-directory': '2024-05-01 [ERROR]: !!! CustomerError: Artifact directory doesn\'t exist: dist',
+      'node-version': 'error react-scripts@5.0.1: The engine "node" is incompatible with this module.'
+    };
+
+    for (const [id, line] of Object.entries(cases)) {
+      expect(diagnoseBuildLog(`Cloning repository\n${line}\n`).map(diagnosis => diagnosis.id)).toEqual([id]);
+    }
+  });
+
+  test('should report several failures in pattern order with trimmed evidence', () => {
+    const log = [
+      '   Error: error:0308010C:digital envelope routines::unsupported   ',
+      'error Command "build" not found.'
+    ].join('\r\n');
+
+    const diagnoses = diagnoseBuildLog(log);
+
+    expect(diagnoses.map(diagnosis => diagnosis.id)).toEqual(['missing-build-script', 'node-version']);
+    expect(diagnoses[1].evidence).toBe('Error: error:0308010C:digital envelope routines::unsupported');
+  });
+});
+
+describe('tailLog', () => {
+  test('should keep the last lines and drop trailing blank lines', () => {
+    const log = Array.from({ length: 60 }, (_, index) => `line ${index + 1}`).join('\n') + '\n\n  \n';
+
+    expect(tailLog(log, 3)).toBe('line 58\nline 59\nline 60');
+    expect(tailLog(log).split('\n')).toHaveLength(50);
+  });
+
+  test('should return short logs whole and empty logs as an empty string', () => {
+    expect(tailLog('only line\n')).toBe('only line');
+    expect(tailLog('')).toBe('');
+    expect(tailLog(null)).toBe('');
+  });
+});
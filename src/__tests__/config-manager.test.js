@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('keytar', () => ({
+  getPassword: jest.fn(async () => null),
+  setPassword: jest.fn(async () => {})
+}));
+
+const { ConfigManager } = require('../config-manager');
+
+describe('ConfigManager.resolveRegion', () => {
+  const originalEnv = { ...process.env };
+  let home;
+  let projectPath;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'config-home-'));
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'config-project-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+    delete process.env.AWS_REGION;
+    delete process.env.AWS_DEFAULT_REGION;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(home, { recursive: true, force: true });
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  function writeProfileRegion(region) {
+    fs.mkdirSync(path.join(home, '.amplify-deploy'), { recursive: true });
+    fs.writeFileSync(path.join(home, '.amplify-deploy', 'config.json'), JSON.stringify({ aws: { region, profile: 'default' } }));
+  }
+
+  test('should fall back to us-east-1 when nothing is configured', async () => {
+    expect(await new ConfigManager(projectPath).resolveRegion()).toBe('us-east-1');
+  });
+
+  test('should prefer env over the profile and the project config over env', async () => {
+    const configManager = new ConfigManager(projectPath);
+    writeProfileRegion('ap-southeast-2');
+    expect(await configManager.resolveRegion()).toBe('ap-southeast-2');
+
+    process.env.AWS_DEFAULT_REGION = 'us-west-2';
+    expect(await configManager.resolveRegion()).toBe('us-west-2');
+
+    process.env.AWS_REGION = 'eu-central-1';
+    expect(await configManager.resolveRegion()).toBe('eu-central-1');
+
+    fs.writeFileSync(path.join(projectPath, '.amplify-deploy.json'), JSON.stringify({ region: 'eu-west-1' }));
+    expect(await configManager.resolveRegion()).toBe('eu-west-1');
+    expect(await configManager.resolveRegion({ region: 'sa-east-1' })).toBe('sa-east-1');
+  });
+
+  test('should use the recorded region of an app over project and env defaults', async () => {
+    const configManager = new ConfigManager(projectPath);
+    process.env.AWS_REGION = 'eu-central-1';
+    await configManager.addDeployment({ appId: 'd1234567890abc', branch: 'main', jobId: '1', region: 'ca-central-1' });
+
+    expect(await configManager.resolveRegion({ appId: 'd1234567890abc' })).toBe('ca-central-1');
+    expect(await configManager.resolveRegion({ appId: 'dunknown000000' })).toBe('eu-central-1');
+    expect(await configManager.resolveRegion({ appId: 'd1234567890abc', region: 'us-west-1' })).toBe('us-west-1');
+  });
+
+  test('should read the project config of another project path', async () => {
+    const otherProject = fs.mkdtempSync(path.join(os.tmpdir(), 'config-other-'));
+    fs.writeFileSync(path.join(otherProject, '.amplify-deploy.json'), JSON.stringify({ region: 'eu-north-1' }));
+
+    try {
+      expect(await new ConfigManager(projectPath).resolveRegion({ projectPath: otherProject })).toBe('eu-north-1');
+    } finally {
+      fs.rmSync(otherProject, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DeploymentHistory } = require('../deployment-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('DeploymentHistory', () => {
+  let configDir;
+  let history;
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployment-history-'));
+    history = new DeploymentHistory(configDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  // Write records with explicit timestamps, oldest first
+  function seed(records) {
+    fs.writeFileSync(history.historyFile, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+  }
+
+  function daysAgo(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+  }
+
+  describe('record', () => {
+    test('should update the record of the same job in place', async () => {
+      await history.record({ appId: 'app1', branch: 'main', jobId: '1', status: 'CREATED' });
+      await history.record({ appId: 'app1', branch: 'main', jobId: '1', status: 'DEPLOYED', url: undefined });
+      await history.record({ appId: 'app1', branch: 'main', jobId: '2', status: 'CREATED' });
+
+      const records = await history.readAll();
+      expect(records.map(record => [record.jobId, record.status])).toEqual([['1', 'DEPLOYED'], ['2', 'CREATED']]);
+      expect(records[0]).not.toHaveProperty('url');
+      expect(records[0].updatedAt >= records[0].timestamp).toBe(true);
+    });
+
+    test('should keep records without a branch or job apart from real jobs', async () => {
+      await history.record({ appId: 'app1', status: 'IMPORTED' });
+      await history.record({ appId: 'app1', branch: 'main', jobId: '1', status: 'DEPLOYED' });
+      await history.record({ appId: 'app1', status: 'IMPORTED', appName: 'renamed' });
+
+      const records = await history.readAll();
+      expect(records).toHaveLength(2);
+      expect(records[0]).toMatchObject({ status: 'IMPORTED', appName: 'renamed' });
+    });
+
+    test('should apply a retention policy after writing', async () => {
+      seed([
+        { appId: 'app1', jobId: '1', timestamp: daysAgo(3) },
+        { appId: 'app1', jobId: '2', timestamp: daysAgo(2) }
+      ]);
+
+      await history.record({ appId: 'app1', jobId: '3' }, { maxPerApp: 2 });
+
+      expect((await history.readAll()).map(record => record.jobId)).toEqual(['2', '3']);
+    });
+
+    test('should skip a line cut short by an interrupted write', async () => {
+      fs.writeFileSync(history.historyFile, '{"appId":"app1","jobId":"1"}\n{"appId":"ap');
+
+      expect(await history.readAll()).toEqual([{ appId: 'app1', jobId: '1' }]);
+    });
+  });
+
+  describe('update and remove', () => {
+    beforeEach(() => {
+      seed([
+        { appId: 'app1', branch: 'main', jobId: '1', timestamp: daysAgo(2) },
+        { appId: 'app1', branch: 'staging', jobId: '2', timestamp: daysAgo(1) },
+        { appId: 'app2', branch: 'main', jobId: '3', timestamp: daysAgo(1) }
+      ]);
+    });
+
+    test('should update every record of an app or of one branch', async () => {
+      expect(await history.update('app1', { customDomainUrl: 'https://example.com' }, 'main')).toBe(1);
+      expect(await history.update('app1', { region: 'eu-west-1' })).toBe(2);
+      expect(await history.update('missing', { region: 'eu-west-1' })).toBe(0);
+
+      const records = await history.readAll();
+      expect(records.map(record => record.customDomainUrl)).toEqual(['https://example.com', undefined, undefined]);
+      expect(records.map(record => record.region)).toEqual(['eu-west-1', 'eu-west-1', undefined]);
+    });
+
+    test('should remove every record of an app', async () => {
+      expect(await history.remove('app1')).toBe(2);
+      expect(await history.remove('app1')).toBe(0);
+      expect((await history.readAll()).map(record => record.appId)).toEqual(['app2']);
+    });
+  });
+
+  describe('query', () => {
+    beforeEach(() => {
+      seed([
+        { appId: 'app1', appName: 'shop', projectPath: '/work/shop', branch: 'main', jobId: '1', status: 'FAILED', timestamp: '2024-11-01T10:00:00.000Z' },
+        { appId: 'app1', appName: 'shop', projectPath: '/work/shop', branch: 'main', jobId: '2', status: 'DEPLOYED', timestamp: '2024-12-01T10:00:00.000Z' },
+        { appId: 'app2', appName: 'Blog Site', projectPath: '/work/blog', branch: 'staging', jobId: '3', status: 'deployed', timestamp: '2024-12-15T10:00:00.000Z' }
+      ]);
+    });
+
+    test('should return every record newest first', async () => {
+      expect((await history.query()).map(record => record.jobId)).toEqual(['3', '2', '1']);
+    });
+
+    test('should match a project by app name, path or folder name', async () => {
+      expect((await history.query({ project: 'Blog Site' })).map(record => record.jobId)).toEqual(['3']);
+      expect((await history.query({ project: '/work/shop' })).map(record => record.jobId)).toEqual(['2', '1']);
+      expect((await history.query({ project: 'blog' })).map(record => record.jobId)).toEqual(['3']);
+    });
+
+    test('should combine app, branch, status, date and limit filters', async () => {
+      expect((await history.query({ status: 'deployed' })).map(record => record.jobId)).toEqual(['3', '2']);
+      expect((await history.query({ appId: 'app1', branch: 'main', limit: 1 })).map(record => record.jobId)).toEqual(['2']);
+      expect((await history.query({ since: '2024-11-15', until: '2024-12-10' })).map(record => record.jobId)).toEqual(['2']);
+    });
+
+    test('should reject an invalid date', async () => {
+      await expect(history.query({ since: 'last week' })).rejects.toThrow('Invalid since date: last week');
+    });
+  });
+
+  describe('prune', () => {
+    beforeEach(() => {
+      seed([
+        { appId: 'app1', jobId: '1', timestamp: daysAgo(100) },
+        { appId: 'app1', jobId: '2', timestamp: daysAgo(10) },
+        { appId: 'app1', jobId: '3', timestamp: daysAgo(5) },
+        { appId: 'app2', jobId: '4', timestamp: daysAgo(1) }
+      ]);
+    });
+
+    test('should drop records older than maxAgeDays', async () => {
+      expect(await history.prune({ maxAgeDays: 30 })).toEqual({ removed: 1, remaining: 3 });
+      expect((await history.readAll()).map(record => record.jobId)).toEqual(['2', '3', '4']);
+    });
+
+    test('should keep the newest records overall and per app', async () => {
+      expect(history.applyRetention(await history.readAll(), { maxEntries: 2 }).kept.map(record => record.jobId)).toEqual(['3', '4']);
+      expect(history.applyRetention(await history.readAll(), { maxPerApp: 1 }).kept.map(record => record.jobId)).toEqual(['3', '4']);
+    });
+
+    test('should not write anything on a dry run', async () => {
+      expect(await history.prune({ maxEntries: 1 }, { dryRun: true })).toEqual({ removed: 3, remaining: 1 });
+      expect(await history.readAll()).toHaveLength(4);
+    });
+  });
+
+  test('should collapse the legacy newest-first list into one record per job', async () => {
+    await history.importLegacy([
+      { appId: 'app1', branch: 'main', jobId: '1', status: 'DEPLOYED', timestamp: '2024-12-01T10:05:00.000Z' },
+      { appId: 'app1', branch: 'main', jobId: '1', status: 'CREATED', timestamp: '2024-12-01T10:00:00.000Z' }
+    ]);
+
+    expect(await history.readAll()).toEqual([{
+      appId: 'app1',
+      branch: 'main',
+      jobId: '1',
+      status: 'DEPLOYED',
+      timestamp: '2024-12-01T10:00:00.000Z',
+      updatedAt: '2024-12-01T10:05:00.000Z'
+    }]);
+  });
+});
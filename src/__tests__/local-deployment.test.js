@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const yaml = require('yaml');
+
+jest.mock('keytar', () => ({
+  getPassword: jest.fn(async () => null),
+  setPassword: jest.fn(async () => {})
+}));
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const { LocalDeploymentService } = require('../local-deployment');
+const { AmplifyEnvManager } = require('../amplify-env-manager');
+const { EXPORT_SECRETS_COMMAND } = require('../build-config');
+
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    json: async () => body
+  };
+}
+
+describe('repository access for a self-managed GitLab remote', () => {
+  const originalEnv = { ...process.env };
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'local-deployment-'));
+    execFileSync('git', ['init', '-q'], { cwd: projectPath });
+    execFileSync('git', ['remote', 'add', 'origin', 'git@gitlab.example.com:acme/frontend/web.git'], { cwd: projectPath });
+
+    jest.spyOn(os, 'homedir').mockReturnValue(projectPath);
+    process.env.GITLAB_HOST = 'gitlab.example.com';
+    process.env.GITLAB_TOKEN = 'glpat-self-managed';
+
+    fetch.mockReset();
+    fetch.mockImplementation(async url => (url.includes('/personal_access_tokens/self')
+      ? jsonResponse(200, { scopes: ['api'] })
+      : jsonResponse(200, { permissions: { project_access: { access_level: 40 } } })));
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should validate the token once, against the remote host', async () => {
+    const service = new LocalDeploymentService();
+
+    const repoInfo = await service.ensureRepository(projectPath);
+    const token = await service.ensureRepositoryAuth(repoInfo);
+    await service.validateRepositoryAccess(token, repoInfo);
+
+    const urls = fetch.mock.calls.map(([url]) => url);
+    expect(token).toBe('glpat-self-managed');
+    expect(urls.every(url => url.startsWith('https://gitlab.example.com/api/v4/'))).toBe(true);
+    expect(urls.filter(url => url.endsWith('/personal_access_tokens/self'))).toHaveLength(1);
+    expect(urls).toContain('https://gitlab.example.com/api/v4/projects/acme%2Ffrontend%2Fweb');
+  });
+
+  test('should report a missing Maintainer role', async () => {
+    fetch.mockImplementation(async url => (url.includes('/personal_access_tokens/self')
+      ? jsonResponse(200, { scopes: ['api'] })
+      : jsonResponse(200, { permissions: { project_access: { access_level: 30 } } })));
+    const service = new LocalDeploymentService();
+
+    const repoInfo = await service.ensureRepository(projectPath);
+    const token = await service.ensureRepositoryAuth(repoInfo);
+
+    await expect(service.validateRepositoryAccess(token, repoInfo)).rejects.toThrow('lacks webhook permissions');
+  });
+});
+
+describe('buildManualArtifact', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'manual-build-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  function writePackageJson(build) {
+    fs.writeFileSync(path.join(projectPath, 'package.json'), JSON.stringify({ name: 'site', scripts: { build } }));
+    fs.writeFileSync(path.join(projectPath, 'package-lock.json'), '{}');
+  }
+
+  test('should build without blocking the event loop and zip the output', async () => {
+    writePackageJson('node -e "setTimeout(() => { require(\'fs\').mkdirSync(\'dist\'); require(\'fs\').writeFileSync(\'dist/index.html\', \'<html></html>\'); }, 300)"');
+    const service = new LocalDeploymentService();
+    let ticks = 0;
+    const interval = setInterval(() => ticks++, 20);
+
+    try {
+      const artifact = await service.buildManualArtifact('vite', { appPath: projectPath, repoRoot: projectPath }, {});
+
+      expect(artifact.fileCount).toBe(1);
+      expect(artifact.directory).toBe(path.join(projectPath, 'dist'));
+      expect(ticks).toBeGreaterThan(0);
+    } finally {
+      clearInterval(interval);
+    }
+  });
+
+  test('should report the end of the build output when the build fails', async () => {
+    writePackageJson('node -e "console.error(\'Module not found: left-pad\'); process.exit(1)"');
+    const service = new LocalDeploymentService();
+
+    await expect(service.buildManualArtifact('vite', { appPath: projectPath, repoRoot: projectPath }, {}))
+      .rejects.toThrow(/Local build failed \("npm run build"\)[\s\S]*Module not found: left-pad/);
+  });
+});
+
+describe('custom domains', () => {
+  const association = {
+    domainName: 'example.com',
+    domainStatus: 'AVAILABLE',
+    certificate: { type: 'AMPLIFY_MANAGED', certificateVerificationDNSRecord: '_abc.example.com. CNAME _xyz.acm-validations.aws.' },
+    subDomains: [
+      { subDomainSetting: { prefix: '', branchName: 'main' }, verified: false, dnsRecord: ' CNAME d1.cloudfront.net' },
+      { subDomainSetting: { prefix: 'www', branchName: 'main' }, verified: true, dnsRecord: 'www CNAME d1.cloudfront.net' },
+      { subDomainSetting: { prefix: 'staging', branchName: 'staging' }, verified: true, dnsRecord: 'staging CNAME d1.cloudfront.net' }
+    ]
+  };
+
+  test('should list only the DNS records still to be created', () => {
+    const domain = new LocalDeploymentService().formatDomainAssociation({ ...association, domainStatus: 'PENDING_VERIFICATION' });
+
+    expect(domain.dnsRecords).toEqual([
+      { name: '_abc.example.com', type: 'CNAME', value: '_xyz.acm-validations.aws.', purpose: 'SSL certificate verification' },
+      { name: 'example.com', type: 'CNAME', value: 'd1.cloudfront.net', purpose: 'apex → main' }
+    ]);
+    expect(domain.needsApexAlias).toBe(true);
+  });
+
+  test('should record the URL serving each branch on that branch only', async () => {
+    const service = new LocalDeploymentService();
+    service.initialize = async () => {};
+    service.amplifyClient = { send: jest.fn(async () => ({ domainAssociation: association })) };
+    service.configManager.updateDeployments = jest.fn(async () => {});
+
+    await service.getDomainStatus('d1234567890abc', 'example.com');
+
+    expect(service.configManager.updateDeployments.mock.calls).toEqual([
+      ['d1234567890abc', { customDomainUrl: 'https://example.com' }, 'main'],
+      ['d1234567890abc', { customDomainUrl: 'https://staging.example.com' }, 'staging']
+    ]);
+  });
+});
+
+describe('deleting an app that was not found', () => {
+  const appId = 'd1234567890abc';
+  let home;
+  let service;
+
+  beforeEach(async () => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'delete-app-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+    jest.spyOn(AmplifyEnvManager.prototype, 'listAppSecretNames').mockResolvedValue([]);
+
+    service = new LocalDeploymentService();
+    service.initialize = async (options = {}) => {
+      service.region = options.region || 'us-east-1';
+    };
+    service.amplifyClient = {
+      send: jest.fn(async () => {
+        throw Object.assign(new Error('App not found'), { name: 'NotFoundException' });
+      })
+    };
+    await service.configManager.addDeployment({ appId, appName: 'shop', branch: 'main', jobId: '1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  test('should report the region that was checked', async () => {
+    const plan = await service.planAppDeletion(appId);
+
+    expect(plan).toMatchObject({ appName: 'shop', region: 'us-east-1', missing: true, historyEntries: 1 });
+  });
+
+  test('should keep the local records unless the region was given explicitly', async () => {
+    await expect(service.deleteApp(appId, { confirmName: 'shop' })).rejects.toThrow('was not found in us-east-1');
+    expect(await service.configManager.getDeploymentHistory({ appId })).toHaveLength(1);
+
+    const result = await service.deleteApp(appId, { confirmName: 'shop', region: 'eu-west-1' });
+
+    expect(result).toMatchObject({ region: 'eu-west-1', removedHistoryEntries: 1 });
+    expect(await service.configManager.getDeploymentHistory({ appId })).toHaveLength(0);
+  });
+
+  test('should remove the app link and its region from .amplify-deploy.json', async () => {
+    const projectPath = fs.mkdtempSync(path.join(home, 'shop-'));
+    fs.writeFileSync(path.join(projectPath, '.amplify-deploy.json'), JSON.stringify({ appId, region: 'eu-west-1', envFilter: { secretStore: 'ssm' } }));
+
+    const result = await service.deleteApp(appId, { confirmName: 'shop', region: 'eu-west-1', projectPath });
+
+    expect(result.linkedProjects).toEqual([projectPath]);
+    expect(JSON.parse(fs.readFileSync(path.join(projectPath, '.amplify-deploy.json'), 'utf8'))).toEqual({ envFilter: { secretStore: 'ssm' } });
+  });
+});
+
+describe('generateAmplifyConfig', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'amplify-config-'));
+    fs.writeFileSync(path.join(projectPath, 'package.json'), JSON.stringify({ scripts: { build: 'vite build' }, devDependencies: { vite: '5.0.0' } }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should unpack the Parameter Store secrets before the build only for secretStore ssm', async () => {
+    const service = new LocalDeploymentService();
+
+    const plainConfig = yaml.parse(await service.generateAmplifyConfig('vite', projectPath));
+    expect(plainConfig.frontend.phases.build.commands).toEqual(['npm run build']);
+
+    fs.writeFileSync(path.join(projectPath, '.amplify-deploy.json'), JSON.stringify({ envFilter: { secretStore: 'ssm' } }));
+    const ssmConfig = yaml.parse(await service.generateAmplifyConfig('vite', projectPath));
+    expect(ssmConfig.frontend.phases.build.commands).toEqual([EXPORT_SECRETS_COMMAND, 'npm run build']);
+  });
+});
@@ -0,0 +1,46 @@
+const { createAccessCheck } = require('../mcp-access');
+
+describe('createAccessCheck', () => {
+  test('should let local clients without an Origin in', () => {
+    const checkAccess = createAccessCheck({ host: '127.0.0.1' });
+
+    expect(checkAccess({ host: 'localhost:3456' })).toBeNull();
+    expect(checkAccess({ host: '127.0.0.1:3456' })).toBeNull();
+    expect(checkAccess({ host: '[::1]:3456' })).toBeNull();
+  });
+
+  test('should reject Host headers of other names to stop DNS rebinding', () => {
+    const checkAccess = createAccessCheck({ host: '127.0.0.1' });
+
+    expect(checkAccess({ host: 'attacker.example.com:3456' })).toEqual({ status: 403, message: 'Host not allowed: attacker.example.com:3456' });
+    expect(checkAccess({})).toEqual({ status: 403, message: 'Host not allowed: (none)' });
+  });
+
+  test('should reject browser Origins unless they are allowed', () => {
+    const checkAccess = createAccessCheck({ host: '127.0.0.1', allowedOrigins: ['https://tools.example.com/'] });
+
+    expect(checkAccess({ host: 'localhost:3456', origin: 'https://evil.example.com' })).toEqual({ status: 403, message: 'Origin not allowed: https://evil.example.com' });
+    expect(checkAccess({ host: 'localhost:3456', origin: 'null' }).status).toBe(403);
+    expect(checkAccess({ host: 'localhost:3456', origin: 'https://tools.example.com' })).toBeNull();
+  });
+
+  test('should refuse to listen beyond loopback without a token', () => {
+    expect(() => createAccessCheck({ host: '0.0.0.0' })).toThrow('Refusing to listen on 0.0.0.0 without a token');
+    expect(() => createAccessCheck({ host: '127.0.0.1', allowedOrigins: ['not a url'] })).toThrow('Invalid allowed origin: not a url');
+  });
+
+  test('should require the bearer token on a shared server', () => {
+    const checkAccess = createAccessCheck({ host: '0.0.0.0', allowedHosts: ['deploy.internal.example.com'], token: 's3cret-token' });
+
+    expect(checkAccess({ host: 'deploy.internal.example.com:3456' })).toEqual({ status: 401, message: 'Missing or invalid bearer token' });
+    expect(checkAccess({ host: 'deploy.internal.example.com:3456', authorization: 'Bearer wrong' }).status).toBe(401);
+    expect(checkAccess({ host: 'deploy.internal.example.com:3456', authorization: 'Bearer s3cret-token' })).toBeNull();
+    expect(checkAccess({ host: 'other.example.com', authorization: 'Bearer s3cret-token' }).status).toBe(403);
+  });
+
+  test('should accept the address the server is bound to as Host', () => {
+    const checkAccess = createAccessCheck({ host: '10.0.0.5', token: 's3cret-token' });
+
+    expect(checkAccess({ host: '10.0.0.5:3456', authorization: 'Bearer s3cret-token' })).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+const { MultiplexServerTransport } = require('../mcp-transport');
+
+// Stand-in for the MCP Server: answers every request with its method and params
+function connectEchoServer(transport, { delays = {} } = {}) {
+  const received = [];
+  transport.onmessage = (message) => {
+    received.push(message);
+    if (!('id' in message)) return;
+
+    const respond = () => transport.send({
+      jsonrpc: '2.0',
+      id: message.id,
+      result: { method: message.method, params: message.params }
+    });
+    if (delays[message.method] === undefined) {
+      respond();
+    } else if (delays[message.method] !== null) {
+      setTimeout(respond, delays[message.method]);
+    }
+  };
+  return received;
+}
+
+describe('MultiplexServerTransport.request', () => {
+  test('should answer a single request with its original id', async () => {
+    const transport = new MultiplexServerTransport();
+    const received = connectEchoServer(transport);
+
+    const responses = await transport.request({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+    expect(responses).toEqual([{ jsonrpc: '2.0', id: 1, result: { method: 'tools/list' } }]);
+    expect(received[0].id).toMatch(/:1$/);
+    expect(transport.sessions.size).toBe(0);
+  });
+
+  test('should answer every request of a batch and skip notifications', async () => {
+    const transport = new MultiplexServerTransport();
+    connectEchoServer(transport, { delays: { 'tools/call': 10 } });
+
+    const responses = await transport.request([
+      { jsonrpc: '2.0', id: 'a', method: 'tools/call', params: { name: 'deploy' } },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 'b', method: 'tools/list' }
+    ]);
+
+    expect(responses.map(response => response.id).sort()).toEqual(['a', 'b']);
+    expect(transport.sessions.size).toBe(0);
+  });
+
+  test('should resolve with no responses for a notification-only body', async () => {
+    const transport = new MultiplexServerTransport();
+    const received = connectEchoServer(transport);
+
+    const responses = await transport.request({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    expect(responses).toEqual([]);
+    expect(received).toHaveLength(1);
+    expect(transport.sessions.size).toBe(0);
+  });
+
+  test('should answer an invalid envelope once and not forward it', async () => {
+    const transport = new MultiplexServerTransport();
+    const received = connectEchoServer(transport);
+
+    const responses = await transport.request([
+      { jsonrpc: '1.0', id: 7, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 8, method: 'tools/list' }
+    ]);
+
+    expect(received.map(message => message.method)).toEqual(['tools/list']);
+    expect(responses).toHaveLength(2);
+    expect(responses.find(response => response.id === 7).error.code).toBe(-32600);
+    expect(responses.find(response => response.id === 8).result).toBeDefined();
+  });
+
+  test('should keep concurrent sessions using the same ids apart', async () => {
+    const transport = new MultiplexServerTransport();
+    connectEchoServer(transport, { delays: { slow: 20, fast: 0 } });
+
+    const [slow, fast] = await Promise.all([
+      transport.request({ jsonrpc: '2.0', id: 1, method: 'slow' }),
+      transport.request({ jsonrpc: '2.0', id: 1, method: 'fast' })
+    ]);
+
+    expect(slow).toEqual([{ jsonrpc: '2.0', id: 1, result: { method: 'slow' } }]);
+    expect(fast).toEqual([{ jsonrpc: '2.0', id: 1, result: { method: 'fast' } }]);
+    expect(transport.pendingRequests.size).toBe(0);
+  });
+
+  test('should time out, cancel the request and close the session', async () => {
+    const transport = new MultiplexServerTransport({ requestTimeout: 20 });
+    const received = connectEchoServer(transport, { delays: { 'tools/call': null } });
+
+    const responses = await transport.request([
+      { jsonrpc: '2.0', id: 1, method: 'tools/call' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' }
+    ]);
+
+    expect(responses.find(response => response.id === 2).result).toBeDefined();
+    expect(responses.find(response => response.id === 1).error).toEqual({
+      code: -32001,
+      message: 'Request timed out after 20 ms'
+    });
+    expect(received[received.length - 1]).toMatchObject({
+      method: 'notifications/cancelled',
+      params: { requestId: received[0].id }
+    });
+    expect(transport.sessions.size).toBe(0);
+    expect(transport.pendingRequests.size).toBe(0);
+  });
+});
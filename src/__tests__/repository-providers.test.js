@@ -0,0 +1,96 @@
+const { parseRepositoryRemote, getRepositoryProvider } = require('../repository-providers');
+
+describe('parseRepositoryRemote', () => {
+  const originalGitLabHost = process.env.GITLAB_HOST;
+
+  afterEach(() => {
+    if (originalGitLabHost === undefined) {
+      delete process.env.GITLAB_HOST;
+    } else {
+      process.env.GITLAB_HOST = originalGitLabHost;
+    }
+  });
+
+  test('should parse GitHub https and ssh remotes', () => {
+    const expected = {
+      provider: 'github',
+      repository: 'https://github.com/acme/web',
+      owner: 'acme',
+      repo: 'web'
+    };
+
+    expect(parseRepositoryRemote('https://github.com/acme/web.git')).toEqual(expected);
+    expect(parseRepositoryRemote('git@github.com:acme/web.git')).toEqual(expected);
+  });
+
+  test('should parse GitLab remotes with nested groups', () => {
+    expect(parseRepositoryRemote('git@gitlab.com:acme/frontend/web.git')).toEqual({
+      provider: 'gitlab',
+      repository: 'https://gitlab.com/acme/frontend/web',
+      host: 'gitlab.com',
+      owner: 'acme/frontend',
+      repo: 'web',
+      projectPath: 'acme/frontend/web'
+    });
+  });
+
+  test('should only recognize a self-managed GitLab named in GITLAB_HOST', () => {
+    const remote = 'ssh://git@gitlab.example.com:2222/acme/web.git';
+
+    delete process.env.GITLAB_HOST;
+    expect(parseRepositoryRemote(remote)).toBeNull();
+
+    process.env.GITLAB_HOST = 'GitLab.Example.com';
+    expect(parseRepositoryRemote(remote)).toMatchObject({
+      provider: 'gitlab',
+      repository: 'https://gitlab.example.com/acme/web',
+      host: 'gitlab.example.com'
+    });
+  });
+
+  test('should parse Bitbucket remotes with a user name', () => {
+    expect(parseRepositoryRemote('https://jane@bitbucket.org/acme/web.git')).toEqual({
+      provider: 'bitbucket',
+      repository: 'https://bitbucket.org/acme/web',
+      owner: 'acme',
+      repo: 'web'
+    });
+  });
+
+  test('should parse CodeCommit https and git-remote-codecommit remotes', () => {
+    expect(parseRepositoryRemote('https://git-codecommit.eu-west-1.amazonaws.com/v1/repos/web')).toMatchObject({
+      provider: 'codecommit',
+      repository: 'https://git-codecommit.eu-west-1.amazonaws.com/v1/repos/web',
+      region: 'eu-west-1',
+      repo: 'web'
+    });
+    expect(parseRepositoryRemote('codecommit::ap-southeast-2://deploy@web')).toMatchObject({
+      provider: 'codecommit',
+      region: 'ap-southeast-2',
+      repo: 'web'
+    });
+  });
+
+  test('should return null for unsupported hosts', () => {
+    expect(parseRepositoryRemote('https://git.example.org/acme/web.git')).toBeNull();
+    expect(parseRepositoryRemote('not a remote')).toBeNull();
+  });
+});
+
+describe('CodeCommitProvider', () => {
+  test('should reject a credential that is not a role ARN', async () => {
+    await expect(getRepositoryProvider('codecommit').validateToken('not-an-arn')).rejects.toThrow('must be the ARN of an IAM role');
+  });
+
+  test('should pass the remote to git as a single argument', async () => {
+    const provider = getRepositoryProvider('codecommit');
+    const repoInfo = {
+      repository: 'https://git-codecommit.us-east-1.amazonaws.com/v1/repos/web',
+      remoteUrl: '"; touch /tmp/should-not-exist; echo "'
+    };
+
+    await expect(provider.validateRepositoryAccess('arn:aws:iam::123456789012:role/amplify', repoInfo))
+      .rejects.toThrow('Cannot access repository');
+    expect(require('fs').existsSync('/tmp/should-not-exist')).toBe(false);
+  });
+});
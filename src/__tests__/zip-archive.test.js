@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createZipArchive } = require('../zip-archive');
+
+// Read the entries back through the central directory, the way unzip tools do
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  expect(buffer.readUInt32LE(end)).toBe(0x06054b50);
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    const content = method === 8 ? zlib.inflateRawSync(data) : data;
+    expect(content.length).toBe(size);
+
+    entries[name] = { method, content: content.toString('utf8') };
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('createZipArchive', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-archive-'));
+    fs.mkdirSync(path.join(directory, 'assets/img'), { recursive: true });
+    fs.writeFileSync(path.join(directory, 'index.html'), '<html>' + 'hello '.repeat(200) + '</html>');
+    fs.writeFileSync(path.join(directory, 'assets/app.js'), 'console.log(1);');
+    fs.writeFileSync(path.join(directory, 'assets/img/logo.bin'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    fs.writeFileSync(path.join(directory, 'assets/ünïcode.txt'), 'utf-8 name');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should archive every file with paths relative to the directory', async () => {
+    const { buffer, fileCount } = await createZipArchive(directory);
+    const entries = readZip(buffer);
+
+    expect(fileCount).toBe(4);
+    expect(Object.keys(entries).sort()).toEqual(['assets/app.js', 'assets/img/logo.bin', 'assets/ünïcode.txt', 'index.html']);
+    expect(entries['index.html'].content).toBe(fs.readFileSync(path.join(directory, 'index.html'), 'utf8'));
+    expect(entries['assets/app.js'].content).toBe('console.log(1);');
+  });
+
+  test('should deflate compressible files and store the rest', async () => {
+    const entries = readZip((await createZipArchive(directory)).buffer);
+
+    expect(entries['index.html'].method).toBe(8);
+    expect(entries['assets/img/logo.bin'].method).toBe(0);
+  });
+
+  test('should leave excluded files and folders out', async () => {
+    fs.writeFileSync(path.join(directory, '.env'), 'SECRET=1');
+
+    const { buffer, fileCount } = await createZipArchive(directory, {
+      exclude: (relativePath, entry) => entry.name === '.env' || relativePath === 'assets/img'
+    });
+
+    expect(fileCount).toBe(3);
+    expect(Object.keys(readZip(buffer)).sort()).toEqual(['assets/app.js', 'assets/ünïcode.txt', 'index.html']);
+  });
+
+  test('should produce an empty archive for an empty directory', async () => {
+    const emptyDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-archive-empty-'));
+
+    try {
+      const { buffer, fileCount } = await createZipArchive(emptyDirectory);
+      expect(fileCount).toBe(0);
+      expect(buffer.length).toBe(22);
+    } finally {
+      fs.rmSync(emptyDirectory, { recursive: true, force: true });
+    }
+  });
+});
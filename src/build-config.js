@@ -0,0 +1,545 @@
+// Framework-specific build settings used to generate amplify.yml
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('yaml');
+
+// Frameworks generateAmplifyConfig has a template for, in detection priority order
+const FRAMEWORKS = [
+  'nextjs',
+  'nuxt',
+  'gatsby',
+  'remix',
+  'docusaurus',
+  'sveltekit',
+  'astro',
+  'eleventy',
+  'angular',
+  'vue',
+  'vite',
+  'react',
+  'static'
+];
+
+// Dependencies and config files that identify each framework
+const FRAMEWORK_SIGNATURES = {
+  nextjs: { dependencies: ['next'], configFiles: ['next.config.js', 'next.config.mjs', 'next.config.ts'] },
+  nuxt: { dependencies: ['nuxt', 'nuxt3'], configFiles: ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs'] },
+  gatsby: { dependencies: ['gatsby'], configFiles: ['gatsby-config.js', 'gatsby-config.ts', 'gatsby-config.mjs'] },
+  remix: { dependencies: ['@remix-run/react', '@remix-run/dev'], configFiles: ['remix.config.js', 'remix.config.mjs'] },
+  docusaurus: { dependencies: ['@docusaurus/core'], configFiles: ['docusaurus.config.js', 'docusaurus.config.ts', 'docusaurus.config.mjs'] },
+  sveltekit: { dependencies: ['@sveltejs/kit'], configFiles: ['svelte.config.js', 'svelte.config.mjs'] },
+  astro: { dependencies: ['astro'], configFiles: ['astro.config.mjs', 'astro.config.js', 'astro.config.ts'] },
+  eleventy: { dependencies: ['@11ty/eleventy'], configFiles: ['.eleventy.js', 'eleventy.config.js', 'eleventy.config.cjs', 'eleventy.config.mjs'] },
+  angular: { dependencies: ['@angular/core'], configFiles: ['angular.json'] },
+  vue: { dependencies: ['vue'], configFiles: ['vue.config.js'] },
+  vite: { dependencies: ['vite'], configFiles: ['vite.config.js', 'vite.config.ts', 'vite.config.mjs', 'vite.config.mts'] },
+  react: { dependencies: ['react'], configFiles: [] }
+};
+
+// Output directory each framework builds to when its config does not say otherwise
+const DEFAULT_ARTIFACT_DIRECTORIES = {
+  nextjs: '.next',
+  nuxt: '.output/public',
+  gatsby: 'public',
+  remix: 'build/client',
+  docusaurus: 'build',
+  sveltekit: 'build',
+  astro: 'dist',
+  eleventy: '_site',
+  angular: 'dist',
+  vue: 'dist',
+  vite: 'dist',
+  react: 'build',
+  static: '.'
+};
+
+// Amplify hands the Parameter Store secrets to the build as one JSON `secrets` variable; this build
+// step writes them to .env.production so the build and the SSR runtime read them as plain variables
+const EXPORT_SECRETS_COMMAND = 'if [ -n "$secrets" ]; then node -e "const secrets = JSON.parse(process.env.secrets); require(\'fs\').appendFileSync(\'.env.production\', Object.entries(secrets).map(([key, value]) => key + \'=\' + JSON.stringify(value) + \'\\\\n\').join(\'\'))"; fi';
+
+// Prefixes each framework inlines into the client bundle at build time
+const PUBLIC_ENV_PREFIXES = {
+  nextjs: ['NEXT_PUBLIC_'],
+  nuxt: ['NUXT_PUBLIC_'],
+  gatsby: ['GATSBY_'],
+  sveltekit: ['PUBLIC_'],
+  astro: ['PUBLIC_'],
+  vue: ['VITE_', 'VUE_APP_'],
+  vite: ['VITE_'],
+  react: ['REACT_APP_']
+};
+
+/**
+ * Env var prefixes that end up in the browser for a framework (empty when it exposes none)
+ * @param {string|null} framework - Result of detectFrameworkFromProject
+ * @returns {string[]}
+ */
+function getPublicEnvPrefixes(framework) {
+  return PUBLIC_ENV_PREFIXES[framework] || [];
+}
+
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// Parsed package.json of the project, or null when it is missing or invalid
+async function readPackageJson(projectPath) {
+  const packageJson = await readFileIfExists(path.join(projectPath, 'package.json'));
+  if (!packageJson) return null;
+  try {
+    return JSON.parse(packageJson);
+  } catch {
+    return null;
+  }
+}
+
+// First of the given config files that exists in the project
+async function findConfigFile(projectPath, fileNames) {
+  for (const fileName of fileNames) {
+    const content = await readFileIfExists(path.join(projectPath, fileName));
+    if (content !== null) {
+      return { fileName, content };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the framework from package.json dependencies, then from config files
+ * @param {string} projectPath - Project directory
+ * @param {Object} dependencies - Merged dependencies and devDependencies
+ * @returns {Promise<string|null>} Framework name, or null when nothing matched
+ */
+async function detectFrameworkFromProject(projectPath, dependencies = {}) {
+  for (const framework of FRAMEWORKS) {
+    const signature = FRAMEWORK_SIGNATURES[framework];
+    if (signature?.dependencies.some(dep => dependencies[dep])) {
+      return framework;
+    }
+  }
+
+  for (const framework of FRAMEWORKS) {
+    const signature = FRAMEWORK_SIGNATURES[framework];
+    if (signature && signature.configFiles.length > 0 && await findConfigFile(projectPath, signature.configFiles)) {
+      return framework;
+    }
+  }
+
+  return null;
+}
+
+// Lockfiles in the order they are checked; the first one found decides the package manager
+const LOCKFILES = [
+  { fileName: 'pnpm-lock.yaml', packageManager: 'pnpm' },
+  { fileName: 'yarn.lock', packageManager: 'yarn' },
+  { fileName: 'bun.lockb', packageManager: 'bun' },
+  { fileName: 'bun.lock', packageManager: 'bun' },
+  { fileName: 'package-lock.json', packageManager: 'npm' },
+  { fileName: 'npm-shrinkwrap.json', packageManager: 'npm' }
+];
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Work out which package manager a project uses from the packageManager field
+ * in package.json ("pnpm@9.1.0") and the lockfile on disk. For an app inside a
+ * workspace, pass the workspace root as rootPath - that is where the lockfile lives.
+ * @param {string} projectPath - Project directory
+ * @param {string} [rootPath] - Workspace root, checked after projectPath
+ * @returns {Promise<Object>} { name, version, lockfile }; lockfile is null when none is committed
+ */
+async function detectPackageManager(projectPath, rootPath = projectPath) {
+  const directories = [...new Set([projectPath, rootPath].filter(Boolean))];
+
+  let declared = null;
+  for (const directory of directories) {
+    const packageJson = await readFileIfExists(path.join(directory, 'package.json'));
+    if (!packageJson) continue;
+    try {
+      const match = (JSON.parse(packageJson).packageManager || '').match(/^(npm|yarn|pnpm|bun)@([^+\s]+)/);
+      if (match) {
+        declared = { name: match[1], version: match[2] };
+        break;
+      }
+    } catch {
+      // Invalid package.json is reported elsewhere
+    }
+  }
+
+  let lockfile = null;
+  for (const directory of directories) {
+    lockfile = null;
+    for (const candidate of LOCKFILES) {
+      if ((!declared || declared.name === candidate.packageManager) && await fileExists(path.join(directory, candidate.fileName))) {
+        lockfile = candidate;
+        break;
+      }
+    }
+    if (lockfile) break;
+  }
+
+  return {
+    name: declared?.name || lockfile?.packageManager || 'npm',
+    version: declared?.version || null,
+    lockfile: lockfile?.fileName || null
+  };
+}
+
+/**
+ * amplify.yml install commands, script runner and cache paths for a package manager.
+ * Yarn and pnpm are provided through corepack, which honours the packageManager field;
+ * bun is not on the Amplify build image and is installed globally first.
+ */
+async function getPackageManagerCommands(packageManager, projectPath) {
+  const hasLockfile = Boolean(packageManager.lockfile);
+
+  switch (packageManager.name) {
+  case 'pnpm':
+    return {
+      install: [
+        'corepack enable',
+        ...(packageManager.version ? [] : ['corepack prepare pnpm@latest --activate']),
+        'pnpm config set store-dir .pnpm-store',
+        hasLockfile ? 'pnpm install --frozen-lockfile' : 'pnpm install'
+      ],
+      run: 'pnpm run',
+      cachePaths: ['.pnpm-store/**/*', 'node_modules/**/*']
+    };
+
+  case 'yarn': {
+    // Yarn 2+ (berry) is configured through .yarnrc.yml and keeps its cache in .yarn/cache
+    const isBerry = packageManager.version
+      ? !packageManager.version.startsWith('1.')
+      : Boolean(projectPath) && await fileExists(path.join(projectPath, '.yarnrc.yml'));
+
+    if (isBerry) {
+      return {
+        install: ['corepack enable', hasLockfile ? 'yarn install --immutable' : 'yarn install'],
+        run: 'yarn run',
+        cachePaths: ['.yarn/cache/**/*', 'node_modules/**/*']
+      };
+    }
+
+    return {
+      install: [
+        'corepack enable',
+        hasLockfile ? 'yarn install --frozen-lockfile --cache-folder .yarn-cache' : 'yarn install --cache-folder .yarn-cache'
+      ],
+      run: 'yarn run',
+      cachePaths: ['.yarn-cache/**/*', 'node_modules/**/*']
+    };
+  }
+
+  case 'bun':
+    return {
+      install: [
+        `npm install -g bun${packageManager.version ? `@${packageManager.version}` : ''}`,
+        hasLockfile ? 'bun install --frozen-lockfile' : 'bun install'
+      ],
+      run: 'bun run',
+      cachePaths: ['node_modules/**/*']
+    };
+
+  default:
+    // npm ci refuses to run without a lockfile
+    return {
+      install: [hasLockfile ? 'npm ci' : 'npm install'],
+      run: 'npm run',
+      cachePaths: ['node_modules/**/*']
+    };
+  }
+}
+
+// Workspace globs from npm/yarn "workspaces", pnpm-workspace.yaml, lerna.json or an Nx apps/ folder
+async function readWorkspaceGlobs(rootPath) {
+  const globs = [];
+
+  const packageJson = await readFileIfExists(path.join(rootPath, 'package.json'));
+  if (packageJson) {
+    try {
+      const { workspaces } = JSON.parse(packageJson);
+      globs.push(...(Array.isArray(workspaces) ? workspaces : workspaces?.packages || []));
+    } catch {
+      // Invalid package.json is reported elsewhere
+    }
+  }
+
+  const pnpmWorkspace = await readFileIfExists(path.join(rootPath, 'pnpm-workspace.yaml'));
+  if (pnpmWorkspace) {
+    globs.push(...(yaml.parse(pnpmWorkspace)?.packages || []));
+  }
+
+  const lernaJson = await readFileIfExists(path.join(rootPath, 'lerna.json'));
+  if (lernaJson) {
+    try {
+      globs.push(...(JSON.parse(lernaJson).packages || []));
+    } catch {
+      // Ignore a broken lerna.json
+    }
+  }
+
+  if (globs.length === 0 && await fileExists(path.join(rootPath, 'nx.json'))) {
+    globs.push('apps/*');
+  }
+
+  return [...new Set(globs)];
+}
+
+// Expand "apps/*", "packages/**" or "apps/web" to directories under the root
+async function expandWorkspaceGlob(rootPath, glob) {
+  const segments = glob.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+  let directories = [''];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const directory of directories) {
+      if (segment === '*' || segment === '**') {
+        try {
+          const entries = await fs.readdir(path.join(rootPath, directory), { withFileTypes: true });
+          for (const entry of entries) {
+            if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+              next.push(path.posix.join(directory, entry.name));
+            }
+          }
+        } catch {
+          // Directory does not exist
+        }
+      } else {
+        next.push(path.posix.join(directory, segment));
+      }
+    }
+    directories = next;
+  }
+
+  return directories;
+}
+
+/**
+ * List the packages of an npm, yarn, pnpm, Turborepo, Lerna or Nx workspace
+ * @param {string} rootPath - Workspace root
+ * @returns {Promise<Array<Object>>} [{ appRoot, name, path, isLibrary }] with appRoot relative to the root; empty when not a workspace
+ */
+async function detectWorkspacePackages(rootPath) {
+  const globs = await readWorkspaceGlobs(rootPath);
+  const excluded = globs.filter(glob => glob.startsWith('!')).map(glob => glob.slice(1).replace(/\/+$/, ''));
+  const packages = new Map();
+
+  for (const glob of globs.filter(glob => !glob.startsWith('!'))) {
+    for (const appRoot of await expandWorkspaceGlob(rootPath, glob)) {
+      if (packages.has(appRoot) || excluded.some(pattern => appRoot === pattern || appRoot.startsWith(`${pattern.replace(/\/\*+$/, '')}/`))) {
+        continue;
+      }
+
+      const packageJson = await readFileIfExists(path.join(rootPath, appRoot, 'package.json'));
+      if (!packageJson) continue;
+
+      let manifest = {};
+      try {
+        manifest = JSON.parse(packageJson);
+      } catch {
+        // Keep the directory name
+      }
+
+      packages.set(appRoot, {
+        appRoot,
+        name: manifest.name || appRoot,
+        path: path.join(rootPath, appRoot),
+        // Shared packages expose entry points for other packages; deployable apps do not
+        isLibrary: Boolean(manifest.main || manifest.module || manifest.exports || manifest.types || manifest.bin)
+      });
+    }
+  }
+
+  return [...packages.values()];
+}
+
+// Value of a string option in a JS/TS config file, e.g. outDir: 'public/site'
+function readConfigString(content, key) {
+  const match = content.match(new RegExp(`${key}\\s*:\\s*['"\`]([^'"\`]+)['"\`]`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Tell a Next.js static export (output: 'export' or the legacy "next export")
+ * apart from an app that needs a server, and list the server features found
+ * @returns {Promise<Object>} { isStaticExport, features }
+ */
+async function detectNextjsOutput(projectPath) {
+  const config = await findConfigFile(projectPath, FRAMEWORK_SIGNATURES.nextjs.configFiles);
+  if (config && readConfigString(config.content, 'output') === 'export') {
+    return { isStaticExport: true, features: [] };
+  }
+
+  const packageJson = await readFileIfExists(path.join(projectPath, 'package.json'));
+  try {
+    if (packageJson && /\bnext export\b/.test(JSON.parse(packageJson).scripts?.build || '')) {
+      return { isStaticExport: true, features: [] };
+    }
+  } catch {
+    // Invalid package.json is reported elsewhere
+  }
+
+  const serverFeatures = [
+    { name: 'App Router', paths: ['app', 'src/app'] },
+    { name: 'API routes', paths: ['pages/api', 'src/pages/api'] },
+    { name: 'middleware', paths: ['middleware.js', 'middleware.ts', 'src/middleware.js', 'src/middleware.ts'] }
+  ];
+
+  const features = [];
+  for (const feature of serverFeatures) {
+    for (const featurePath of feature.paths) {
+      if (await fileExists(path.join(projectPath, featurePath))) {
+        features.push(feature.name);
+        break;
+      }
+    }
+  }
+
+  // Without a static export the .next output always needs the Next.js server
+  return { isStaticExport: false, features };
+}
+
+/**
+ * Amplify hosting platform for a project: WEB_COMPUTE for server-rendered
+ * Next.js, WEB for everything else, plus the framework label Amplify shows on the branch
+ * @returns {Promise<Object>} { platform, branchFramework, features }
+ */
+async function resolveHostingPlatform(framework, projectPath) {
+  if (framework !== 'nextjs') {
+    return { platform: 'WEB', branchFramework: null, features: [] };
+  }
+
+  const nextjs = projectPath ? await detectNextjsOutput(projectPath) : { isStaticExport: false, features: [] };
+  return nextjs.isStaticExport
+    ? { platform: 'WEB', branchFramework: 'Next.js - SSG', features: nextjs.features }
+    : { platform: 'WEB_COMPUTE', branchFramework: 'Next.js - SSR', features: nextjs.features };
+}
+
+// Angular writes to outputPath, and the application builder (v17+) adds a browser/ subfolder
+async function resolveAngularOutput(projectPath) {
+  const angularJson = await readFileIfExists(path.join(projectPath, 'angular.json'));
+  if (!angularJson) return null;
+
+  let workspace;
+  try {
+    workspace = JSON.parse(angularJson);
+  } catch {
+    return null;
+  }
+
+  const projects = workspace.projects || {};
+  const projectName = workspace.defaultProject && projects[workspace.defaultProject]
+    ? workspace.defaultProject
+    : Object.keys(projects).find(name => projects[name].projectType === 'application') || Object.keys(projects)[0];
+
+  if (!projectName) return null;
+
+  const build = projects[projectName].architect?.build || projects[projectName].targets?.build || {};
+  const usesApplicationBuilder = /:application$/.test(build.builder || '');
+  const outputPath = build.options?.outputPath;
+
+  if (outputPath && typeof outputPath === 'object') {
+    // { base: 'dist/app', browser: '' } - an empty browser folder means files go straight into base
+    const browser = outputPath.browser === undefined ? 'browser' : outputPath.browser;
+    return browser ? `${outputPath.base}/${browser}` : outputPath.base;
+  }
+
+  const base = outputPath || `dist/${projectName}`;
+  return usesApplicationBuilder ? `${base}/browser` : base;
+}
+
+/**
+ * Work out the artifacts.baseDirectory for a framework, preferring the
+ * framework's own config over the default output folder
+ */
+async function resolveArtifactDirectory(framework, projectPath) {
+  const fallback = DEFAULT_ARTIFACT_DIRECTORIES[framework] || '.';
+  if (!projectPath) return fallback;
+
+  switch (framework) {
+  case 'angular':
+    return await resolveAngularOutput(projectPath) || fallback;
+
+  case 'nextjs':
+    // A static export is written to out/
+    return (await detectNextjsOutput(projectPath)).isStaticExport ? 'out' : fallback;
+
+  case 'vite': {
+    const config = await findConfigFile(projectPath, FRAMEWORK_SIGNATURES.vite.configFiles);
+    return (config && readConfigString(config.content, 'outDir')) || fallback;
+  }
+
+  case 'vue': {
+    const config = await findConfigFile(projectPath, ['vue.config.js', ...FRAMEWORK_SIGNATURES.vite.configFiles]);
+    return (config && (readConfigString(config.content, 'outputDir') || readConfigString(config.content, 'outDir'))) || fallback;
+  }
+
+  case 'astro': {
+    const config = await findConfigFile(projectPath, FRAMEWORK_SIGNATURES.astro.configFiles);
+    return (config && readConfigString(config.content, 'outDir')) || fallback;
+  }
+
+  case 'sveltekit': {
+    // adapter-static: adapter({ pages: 'build' })
+    const config = await findConfigFile(projectPath, FRAMEWORK_SIGNATURES.sveltekit.configFiles);
+    return (config && readConfigString(config.content, 'pages')) || fallback;
+  }
+
+  case 'eleventy': {
+    const config = await findConfigFile(projectPath, FRAMEWORK_SIGNATURES.eleventy.configFiles);
+    return (config && readConfigString(config.content, 'output')) || fallback;
+  }
+
+  case 'nuxt': {
+    // Nuxt 2 generates into dist/, Nuxt 3 into .output/public
+    const manifest = await readPackageJson(projectPath);
+    const nuxtVersion = manifest?.dependencies?.nuxt || manifest?.devDependencies?.nuxt || '';
+    return /^[\^~]?2\./.test(nuxtVersion) ? 'dist' : fallback;
+  }
+
+  case 'remix': {
+    // Classic (non-Vite) Remix compiles the browser bundle into public/
+    const viteConfig = await findConfigFile(projectPath, FRAMEWORK_SIGNATURES.vite.configFiles);
+    return viteConfig ? fallback : 'public';
+  }
+
+  default:
+    return fallback;
+  }
+}
+
+// npm script that produces the deployable output
+async function resolveBuildScript(framework, projectPath) {
+  if (framework === 'nuxt' && projectPath) {
+    // Static hosting needs the pre-rendered output of "nuxt generate"
+    const scripts = (await readPackageJson(projectPath))?.scripts || {};
+    return scripts.generate ? 'generate' : 'build';
+  }
+  return 'build';
+}
+
+module.exports = {
+  FRAMEWORKS,
+  EXPORT_SECRETS_COMMAND,
+  detectFrameworkFromProject,
+  getPublicEnvPrefixes,
+  resolveArtifactDirectory,
+  resolveBuildScript,
+  resolveHostingPlatform,
+  detectPackageManager,
+  getPackageManagerCommands,
+  detectWorkspacePackages,
+  findConfigFile,
+  readFileIfExists
+};
@@ -0,0 +1,89 @@
+// Recognizes common Amplify build failures in job step logs and explains how to fix them
+
+const FAILURE_PATTERNS = [
+  {
+    id: 'lockfile-mismatch',
+    title: 'package.json and package-lock.json are out of sync',
+    patterns: [
+      /`npm ci` can only install packages when your package\.json and package-lock\.json(?: or npm-shrinkwrap\.json)? are in sync/i,
+      /Missing: .+ from lock file/i,
+      /Invalid: lock file's .+ does not satisfy/i
+    ],
+    fix: 'Run "npm install" locally, commit the updated package-lock.json and push again.'
+  },
+  {
+    id: 'lockfile-missing',
+    title: 'npm ci needs a package-lock.json',
+    patterns: [
+      /The `npm ci` command can only install with an existing package-lock\.json/i,
+      /npm ci.*requires.*package-lock\.json/i
+    ],
+    fix: 'Commit a package-lock.json (run "npm install" locally) or change the preBuild command in amplify.yml to "npm install".'
+  },
+  {
+    id: 'missing-build-script',
+    title: 'No "build" script in package.json',
+    patterns: [
+      /Missing script: "?build"?/i,
+      /error Command "build" not found/i,
+      /ERR_PNPM_NO_SCRIPT.*build/i
+    ],
+    fix: 'Add a "build" script to package.json, or update the build command in amplify.yml to the script your project uses.'
+  },
+  {
+    id: 'wrong-artifacts-directory',
+    title: 'artifacts.baseDirectory in amplify.yml does not match the build output',
+    patterns: [
+      /Artifact directory doesn't exist:?\s*(\S+)?/i,
+      /Unable to find the artifacts? (?:base )?directory/i
+    ],
+    fix: 'Check where your build writes its output (for example build/, dist/ or out/) and set artifacts.baseDirectory in amplify.yml to that folder.'
+  },
+  {
+    id: 'node-version',
+    title: 'Node.js version on the build image is not supported by the project',
+    patterns: [
+      /The engine "node" is incompatible with this module/i,
+      /npm (?:WARN|ERR!|error) (?:EBADENGINE|notsup) Unsupported engine/i,
+      /requires (?:a )?Node\.js version/i,
+      /You are using Node\.js [\d.]+/i,
+      /error:0308010C:digital envelope routines::unsupported/i
+    ],
+    fix: 'Pin the Node.js version for the build: add "nvm install 20 && nvm use 20" (or the version your project needs) at the start of preBuild in amplify.yml, or set the build image Node.js version in the Amplify console.'
+  }
+];
+
+/**
+ * Find known failure causes in a build log
+ * @param {string} logText - Raw log output of one or more job steps
+ * @returns {Array<Object>} Matches with id, title, fix and the log line that triggered them
+ */
+function diagnoseBuildLog(logText) {
+  if (!logText) return [];
+
+  const lines = logText.split('\n');
+  const diagnoses = [];
+
+  for (const failure of FAILURE_PATTERNS) {
+    const evidence = lines.find(line => failure.patterns.some(pattern => pattern.test(line)));
+    if (evidence) {
+      diagnoses.push({
+        id: failure.id,
+        title: failure.title,
+        fix: failure.fix,
+        evidence: evidence.trim()
+      });
+    }
+  }
+
+  return diagnoses;
+}
+
+// Last `count` lines of a log, ignoring trailing blank lines
+function tailLog(logText, count = 50) {
+  if (!logText) return '';
+  const lines = logText.replace(/\s+$/, '').split('\n');
+  return lines.slice(-count).join('\n');
+}
+
+module.exports = { diagnoseBuildLog, tailLog };
@@ -3,6 +3,7 @@ const path = require('path');
 const os = require('os');
 const keytar = require('keytar');
 const { fromIni } = require('@aws-sdk/credential-providers');
+const { DeploymentHistory } = require('./deployment-history');
 
 class ConfigManager {
   constructor(projectPath = process.cwd()) {
@@ -10,6 +11,7 @@ class ConfigManager {
     this.configDir = path.join(os.homedir(), '.amplify-deploy');
     this.configFile = path.join(this.configDir, 'config.json');
     this.serviceName = 'amplify-deploy';
+    this.history = new DeploymentHistory(this.configDir);
   }
 
   async initialize() {
@@ -48,11 +50,59 @@ class ConfigManager {
     await fs.writeFile(this.configFile, JSON.stringify(config, null, 2));
   }
 
-  async getAWSConfig() {
+  /**
+   * The AWS region every client uses, first match wins:
+   * 1. the region argument (a command's --region / region parameter)
+   * 2. the region the app was deployed to, from the deployment history (when an appId is given)
+   * 3. region in the project's .amplify-deploy.json
+   * 4. AWS_REGION / AWS_DEFAULT_REGION
+   * 5. the region saved with the AWS profile in ~/.amplify-deploy/config.json
+   * 6. us-east-1
+   * Step 2 is an addition to the argument > project config > env > profile chain: an existing app
+   * only lives in the region it was created in, so commands about that app must not follow the
+   * project or environment default elsewhere. This is the only place a default region is chosen;
+   * clients take the result as is.
+   * @param {Object} [options] - region, appId, projectPath (defaults to this manager's project)
+   */
+  async resolveRegion(options = {}) {
+    if (options.region) {
+      return options.region;
+    }
+
+    if (options.appId) {
+      const deployment = (await this.getDeploymentHistory({ appId: options.appId })).find(d => d.region);
+      if (deployment) {
+        return deployment.region;
+      }
+    }
+
+    const projectPath = options.projectPath || this.projectPath;
+    const projectConfig = projectPath === this.projectPath
+      ? await this.getProjectConfig()
+      : await new ConfigManager(projectPath).getProjectConfig();
+    if (projectConfig?.region) {
+      return projectConfig.region;
+    }
+
+    if (process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION) {
+      return process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION;
+    }
+
+    const config = await this.getConfig();
+    return config?.aws?.region || 'us-east-1';
+  }
+
+  /**
+   * Credentials and region for the AWS clients
+   * @param {Object} [options] - Region inputs, see resolveRegion
+   */
+  async getAWSConfig(options = {}) {
+    const region = await this.resolveRegion(options);
+
     // First check if we have environment variables (MCP mode)
     if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
       return {
-        region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1',
+        region,
         credentials: {
           accessKeyId: process.env.AWS_ACCESS_KEY_ID,
           secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
@@ -66,13 +116,13 @@ class ConfigManager {
     
     if (!config || !config.aws) {
       return {
-        region: 'us-east-1',
+        region,
         credentials: fromIni({ profile: 'default' })
       };
     }
 
     return {
-      region: config.aws.region || 'us-east-1',
+      region,
       credentials: fromIni({ profile: config.aws.profile || 'default' })
     };
   }
@@ -84,27 +134,36 @@ class ConfigManager {
   }
 
   async getGitHubToken() {
+    return this.getRepositoryToken('github');
+  }
+
+  async saveGitHubToken(token) {
+    await this.saveRepositoryToken('github', token);
+  }
+
+  // Credential for a repository provider (github, gitlab, bitbucket, codecommit)
+  async getRepositoryToken(provider) {
     try {
       // Try to get from secure storage first
-      const token = await keytar.getPassword(this.serviceName, 'github-token');
+      const token = await keytar.getPassword(this.serviceName, `${provider}-token`);
       if (token) return token;
 
       // Fallback to config file (less secure)
       const config = await this.getConfig();
-      return config?.github?.token;
+      return config?.[provider]?.token;
     } catch {
       return null;
     }
   }
 
-  async saveGitHubToken(token) {
+  async saveRepositoryToken(provider, token) {
     try {
       // Save to secure storage
-      await keytar.setPassword(this.serviceName, 'github-token', token);
+      await keytar.setPassword(this.serviceName, `${provider}-token`, token);
     } catch {
       // Fallback to config file if keytar fails
       const config = await this.getConfig() || {};
-      config.github = { token };
+      config[provider] = { token };
       await this.saveConfig(config);
     }
   }
@@ -148,23 +207,56 @@ class ConfigManager {
     }
   }
 
-  async getDeploymentHistory() {
+  // Older versions kept the last 10 deployments in config.json; move them to the history store once
+  async migrateDeploymentHistory() {
     const config = await this.getConfig();
-    return config?.deployments || [];
+    if (!config?.deployments) return;
+
+    await this.history.importLegacy(config.deployments);
+    delete config.deployments;
+    await this.saveConfig(config);
+  }
+
+  /**
+   * Deployments newest first, one entry per job
+   * @param {Object} [filters] - project, appId, branch, status, since, until, limit (see DeploymentHistory.query)
+   */
+  async getDeploymentHistory(filters = {}) {
+    await this.migrateDeploymentHistory();
+    return this.history.query(filters);
   }
 
+  // Record a deployment; later status changes of the same job update the same entry
   async addDeployment(deployment) {
-    const config = await this.getConfig() || {};
-    config.deployments = config.deployments || [];
-    config.deployments.unshift({
-      ...deployment,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Keep only last 10 deployments
-    config.deployments = config.deployments.slice(0, 10);
-    
-    await this.saveConfig(config);
+    await this.migrateDeploymentHistory();
+    const config = await this.getConfig();
+    await this.history.record(deployment, config?.historyRetention || null);
+  }
+
+  // Apply the same changes to every history entry of an app, or only those of one branch
+  async updateDeployments(appId, changes, branch = null) {
+    await this.migrateDeploymentHistory();
+    await this.history.update(appId, changes, branch);
+  }
+
+  // Forget an app that no longer exists; returns the number of entries removed
+  async removeDeployments(appId) {
+    await this.migrateDeploymentHistory();
+    return this.history.remove(appId);
+  }
+
+  /**
+   * Drop old history entries
+   * @param {Object} [policy] - maxAgeDays, maxEntries, maxPerApp; defaults to historyRetention in config.json
+   * @param {Object} [options] - dryRun
+   */
+  async pruneDeploymentHistory(policy = null, options = {}) {
+    await this.migrateDeploymentHistory();
+    const retention = policy || (await this.getConfig())?.historyRetention;
+    if (!retention) {
+      throw new Error('No retention policy given.\n💡 Pass --older-than, --keep or --keep-per-app, or set historyRetention in ~/.amplify-deploy/config.json');
+    }
+    return this.history.prune(retention, options);
   }
 }
 
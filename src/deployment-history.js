@@ -0,0 +1,214 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records without a branch or job (e.g. apps imported from AWS) still need a stable identity
+function sameJob(record, deployment) {
+  return record.appId === deployment.appId &&
+    (record.branch || null) === (deployment.branch || null) &&
+    (record.jobId || null) === (deployment.jobId || null);
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field} date: ${value} (use an ISO date such as 2024-12-01)`);
+  }
+  return date;
+}
+
+/**
+ * Deployment history stored as JSON lines in ~/.amplify-deploy/deployments.jsonl, oldest first.
+ * There is one record per app, branch and job: status changes of the same job update the record in place.
+ * Nothing is dropped unless a retention policy asks for it.
+ */
+class DeploymentHistory {
+  constructor(configDir) {
+    this.configDir = configDir;
+    this.historyFile = path.join(configDir, 'deployments.jsonl');
+  }
+
+  async readAll() {
+    let data;
+    try {
+      data = await fs.readFile(this.historyFile, 'utf8');
+    } catch {
+      return [];
+    }
+
+    const records = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A line cut short by an interrupted write - skip it rather than lose the whole history
+      }
+    }
+    return records;
+  }
+
+  // Rewrite through a temporary file so a crash never leaves a half-written history behind
+  async writeAll(records) {
+    await fs.mkdir(this.configDir, { recursive: true });
+    const tempFile = `${this.historyFile}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : ''));
+    await fs.rename(tempFile, this.historyFile);
+  }
+
+  // Insert a deployment or merge it into the record of the same job
+  upsert(records, deployment, timestamp) {
+    const changes = withoutUndefined(deployment);
+    const existing = records.find(record => sameJob(record, deployment));
+
+    if (existing) {
+      Object.assign(existing, changes, { timestamp: existing.timestamp, updatedAt: timestamp });
+      return false;
+    }
+
+    records.push({ ...changes, timestamp, updatedAt: timestamp });
+    return true;
+  }
+
+  /**
+   * Save a deployment, updating the existing record when the job is already known
+   * @param {Object} deployment - appId, branch and jobId identify the record
+   * @param {Object} [retention] - Pruning policy applied after the write (see prune)
+   */
+  async record(deployment, retention = null) {
+    const records = await this.readAll();
+    const isNew = this.upsert(records, deployment, new Date().toISOString());
+
+    if (isNew && !retention) {
+      await fs.mkdir(this.configDir, { recursive: true });
+      await fs.appendFile(this.historyFile, JSON.stringify(records[records.length - 1]) + '\n');
+      return;
+    }
+
+    await this.writeAll(retention ? this.applyRetention(records, retention).kept : records);
+  }
+
+  // Apply the same changes to every record of an app, or of one of its branches (e.g. a newly active custom domain)
+  async update(appId, changes, branch = null) {
+    const records = await this.readAll();
+    const matching = records.filter(record => record.appId === appId && (!branch || record.branch === branch));
+    if (matching.length === 0) return 0;
+
+    matching.forEach(record => Object.assign(record, changes));
+    await this.writeAll(records);
+    return matching.length;
+  }
+
+  // Drop every record of an app, e.g. after the app was deleted
+  async remove(appId) {
+    const records = await this.readAll();
+    const kept = records.filter(record => record.appId !== appId);
+    if (kept.length === records.length) return 0;
+
+    await this.writeAll(kept);
+    return records.length - kept.length;
+  }
+
+  /**
+   * Deployments matching every given filter, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.project] - App name, project path or project folder name
+   * @param {string} [filters.appId]
+   * @param {string} [filters.branch]
+   * @param {string} [filters.status] - Case-insensitive, e.g. DEPLOYED
+   * @param {string} [filters.since] - ISO date, inclusive
+   * @param {string} [filters.until] - ISO date, inclusive
+   * @param {number} [filters.limit]
+   */
+  async query(filters = {}) {
+    const since = filters.since ? parseDate(filters.since, 'since') : null;
+    const until = filters.until ? parseDate(filters.until, 'until') : null;
+    const status = filters.status?.toUpperCase();
+
+    const matches = (await this.readAll()).filter(record => {
+      if (filters.project && record.appName !== filters.project && record.projectPath !== filters.project &&
+          (!record.projectPath || path.basename(record.projectPath) !== filters.project)) {
+        return false;
+      }
+      if (filters.appId && record.appId !== filters.appId) return false;
+      if (filters.branch && record.branch !== filters.branch) return false;
+      if (status && record.status?.toUpperCase() !== status) return false;
+
+      const timestamp = new Date(record.timestamp);
+      if (since && timestamp < since) return false;
+      if (until && timestamp > until) return false;
+      return true;
+    });
+
+    matches.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return filters.limit ? matches.slice(0, filters.limit) : matches;
+  }
+
+  /**
+   * Split records into the ones a retention policy keeps and the ones it drops
+   * @param {Object} policy
+   * @param {number} [policy.maxAgeDays] - Drop records older than this
+   * @param {number} [policy.maxEntries] - Keep only the newest records overall
+   * @param {number} [policy.maxPerApp] - Keep only the newest records of each app
+   */
+  applyRetention(records, policy = {}) {
+    const newestFirst = [...records].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const cutoff = policy.maxAgeDays ? Date.now() - policy.maxAgeDays * DAY_MS : null;
+    const perApp = new Map();
+    const keep = new Set();
+
+    for (const record of newestFirst) {
+      if (cutoff && new Date(record.timestamp).getTime() < cutoff) continue;
+      if (policy.maxEntries && keep.size >= policy.maxEntries) continue;
+
+      const appCount = perApp.get(record.appId) || 0;
+      if (policy.maxPerApp && appCount >= policy.maxPerApp) continue;
+
+      perApp.set(record.appId, appCount + 1);
+      keep.add(record);
+    }
+
+    return {
+      kept: records.filter(record => keep.has(record)),
+      removed: records.filter(record => !keep.has(record))
+    };
+  }
+
+  /**
+   * Remove records according to a retention policy
+   * @param {Object} policy - See applyRetention
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would be removed
+   * @returns {Promise<Object>} { removed, remaining }
+   */
+  async prune(policy, options = {}) {
+    const records = await this.readAll();
+    const { kept, removed } = this.applyRetention(records, policy);
+
+    if (removed.length > 0 && !options.dryRun) {
+      await this.writeAll(kept);
+    }
+
+    return { removed: removed.length, remaining: kept.length };
+  }
+
+  /**
+   * Move entries from the old capped config.json list into the store.
+   * That list is newest first and has one entry per status change, so repeated jobs collapse into one record.
+   */
+  async importLegacy(deployments) {
+    const records = await this.readAll();
+    for (const deployment of [...deployments].reverse()) {
+      const { timestamp, ...fields } = deployment;
+      this.upsert(records, fields, timestamp || new Date().toISOString());
+    }
+    await this.writeAll(records);
+  }
+}
+
+module.exports = { DeploymentHistory };
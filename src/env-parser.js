@@ -0,0 +1,242 @@
+const fs = require('fs');
+
+// KEY=VALUE, KEY = VALUE, export KEY=VALUE and KEY: VALUE (as accepted by dotenv)
+const LINE_PATTERN = /^\s*(?:export\s+)?([\w.-]+)(?:\s*=[ \t]*|:[ \t]+)(.*)$/;
+
+const DOUBLE_QUOTE_ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\', $: '$' };
+
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split .env content into raw entries. Quoted values may span several lines.
+ * @returns {Object} { entries: [{ key, raw, quote, line }], errors }
+ */
+function tokenize(content, fileName) {
+  const lines = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const entries = [];
+  const errors = [];
+  const error = (line, message) => errors.push({ file: fileName, line, message });
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    // The line may hold a secret, so errors never echo it
+    const match = LINE_PATTERN.exec(lines[i]);
+    if (!match) {
+      error(i + 1, /^(?:export\s+)?[\w.-]+$/.test(trimmed)
+        ? `Missing "=" after ${trimmed.replace(/^export\s+/, '')}`
+        : 'Expected KEY=VALUE (keys may only contain letters, digits, _, . and -)');
+      continue;
+    }
+
+    const [, key, rest] = match;
+    const quote = rest[0];
+
+    if (quote !== '"' && quote !== '\'' && quote !== '`') {
+      // Unquoted values end at the first # and are trimmed
+      entries.push({ key, raw: rest.split('#')[0].trim(), quote: null, line: i + 1 });
+      continue;
+    }
+
+    let text = rest.slice(1);
+    let endLine = i;
+    let closeIndex = findClosingQuote(text, quote);
+    while (closeIndex === -1 && endLine + 1 < lines.length) {
+      endLine++;
+      text += '\n' + lines[endLine];
+      closeIndex = findClosingQuote(text, quote);
+    }
+
+    if (closeIndex === -1) {
+      error(i + 1, `Unterminated ${quote} quote in value of ${key}`);
+      continue;
+    }
+
+    const trailing = text.slice(closeIndex + 1).trim();
+    if (trailing && !trailing.startsWith('#') && endLine > i) {
+      // Most likely the opening quote was never closed and we ran into the next quoted value
+      error(i + 1, `Unterminated ${quote} quote in value of ${key}`);
+      continue;
+    } else if (trailing && !trailing.startsWith('#')) {
+      error(i + 1, `Unexpected text after the closing ${quote} quote of ${key}`);
+    } else {
+      entries.push({ key, raw: text.slice(0, closeIndex), quote, line: i + 1 });
+    }
+    i = endLine;
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Parse .env content the way dotenv + dotenv-expand do:
+ * - `export` prefixes, `#` comments (inline comments end unquoted values)
+ * - single, double and backtick quotes, which may span several lines (PEM keys)
+ * - escapes (\n, \t, \", \\, \$) inside double quotes
+ * - ${VAR}, $VAR, ${VAR:-default} and ${VAR-default} expansion in unquoted and double-quoted values
+ *
+ * Variables are looked up in the parsed content first, then in options.variables.
+ * Undefined variables expand to an empty string.
+ * @param {string} content - File content
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Used in error messages
+ * @param {Object} [options.variables] - Values available to ${VAR} expansion (e.g. earlier files, process.env)
+ * @returns {Object} { envVars, errors: [{ file, line, message }] }
+ */
+function parseEnv(content, options = {}) {
+  const fileName = options.fileName || '.env';
+  const variables = options.variables || {};
+  const { entries, errors } = tokenize(content, fileName);
+
+  const rawByKey = new Map();
+  for (const entry of entries) {
+    rawByKey.set(entry.key, entry);
+  }
+
+  const resolved = new Map();
+  const resolving = new Set();
+
+  const lookup = (name) => {
+    if (rawByKey.has(name) && !resolving.has(name)) {
+      return resolve(rawByKey.get(name));
+    }
+    // Self references (PATH=$PATH:...) fall back to the outer value
+    return variables[name] !== undefined ? String(variables[name]) : '';
+  };
+
+  function expand(text, entry, unescape) {
+    let result = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (char === '\\' && i + 1 < text.length) {
+        const next = text[i + 1];
+        if (unescape && next in DOUBLE_QUOTE_ESCAPES) {
+          result += DOUBLE_QUOTE_ESCAPES[next];
+          i++;
+          continue;
+        }
+        if (next === '$') {
+          result += '$';
+          i++;
+          continue;
+        }
+        result += char;
+        continue;
+      }
+
+      if (char !== '$') {
+        result += char;
+        continue;
+      }
+
+      if (text[i + 1] === '{') {
+        const end = findExpansionEnd(text, i + 2);
+        if (end === -1) {
+          errors.push({ file: fileName, line: entry.line, message: `Unterminated \${ in value of ${entry.key}` });
+          result += text.slice(i);
+          break;
+        }
+
+        const expression = text.slice(i + 2, end);
+        const operator = /^([\w.]+)(:?-)([\s\S]*)$/.exec(expression);
+        if (operator) {
+          const [, name, op, fallback] = operator;
+          const value = lookup(name);
+          const isSet = rawByKey.has(name) || variables[name] !== undefined;
+          const useFallback = op === ':-' ? value === '' : !isSet;
+          result += useFallback ? expand(fallback, entry, false) : value;
+        } else if (/^[\w.]+$/.test(expression)) {
+          result += lookup(expression);
+        } else {
+          errors.push({ file: fileName, line: entry.line, message: `Invalid expansion \${${expression}} in value of ${entry.key}` });
+        }
+        i = end;
+        continue;
+      }
+
+      const name = /^[A-Za-z_]\w*/.exec(text.slice(i + 1));
+      if (name) {
+        result += lookup(name[0]);
+        i += name[0].length;
+      } else {
+        result += char;
+      }
+    }
+
+    return result;
+  }
+
+  function resolve(entry) {
+    if (resolved.has(entry.key)) {
+      return resolved.get(entry.key);
+    }
+
+    let value = entry.raw;
+    if (entry.quote === '"' || entry.quote === null) {
+      resolving.add(entry.key);
+      value = expand(entry.raw, entry, entry.quote === '"');
+      resolving.delete(entry.key);
+    }
+
+    resolved.set(entry.key, value);
+    return value;
+  }
+
+  const envVars = {};
+  for (const entry of rawByKey.values()) {
+    envVars[entry.key] = resolve(entry);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { envVars, errors };
+}
+
+// Index of the } closing a ${...} that starts at start, allowing nested ${...} in defaults
+function findExpansionEnd(text, start) {
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '$' && text[i + 1] === '{') {
+      depth++;
+      i++;
+    } else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read and parse a .env file
+ * @param {string} filePath - Path of the file, also used in error messages
+ * @param {Object} [options] - See parseEnv
+ */
+function parseEnvFile(filePath, options = {}) {
+  return parseEnv(fs.readFileSync(filePath, 'utf8'), { fileName: filePath, ...options });
+}
+
+function formatEnvParseErrors(errors) {
+  return errors.map(error => `${error.file}:${error.line}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  parseEnv,
+  parseEnvFile,
+  formatEnvParseErrors
+};
@@ -1,14 +1,32 @@
-const { AmplifyClient, CreateAppCommand, CreateBranchCommand, StartJobCommand, GetAppCommand, GetBranchCommand, ListAppsCommand, ListBranchesCommand } = require('@aws-sdk/client-amplify');
-const { execSync } = require('child_process');
+const { AmplifyClient, CreateAppCommand, UpdateAppCommand, CreateBranchCommand, UpdateBranchCommand, DeleteBranchCommand, DeleteAppCommand, StartJobCommand, CreateDeploymentCommand, StartDeploymentCommand, GetAppCommand, GetBranchCommand, GetJobCommand, ListAppsCommand, ListBranchesCommand, ListJobsCommand, ListWebhooksCommand, CreateDomainAssociationCommand, UpdateDomainAssociationCommand, GetDomainAssociationCommand, ListDomainAssociationsCommand, DeleteDomainAssociationCommand } = require('@aws-sdk/client-amplify');
+const { execSync, exec } = require('child_process');
+const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const open = require('open');
 const ora = require('ora');
 const chalk = require('chalk');
 const { ConfigManager } = require('./config-manager');
+const { AmplifyEnvManager } = require('./amplify-env-manager');
+const { diagnoseBuildLog, tailLog } = require('./build-log-analyzer');
+const { createZipArchive } = require('./zip-archive');
+const { getRepositoryProvider, parseRepositoryRemote } = require('./repository-providers');
+const {
+  FRAMEWORKS,
+  EXPORT_SECRETS_COMMAND,
+  detectFrameworkFromProject,
+  resolveArtifactDirectory,
+  resolveBuildScript,
+  resolveHostingPlatform,
+  detectPackageManager,
+  getPackageManagerCommands,
+  detectWorkspacePackages
+} = require('./build-config');
 const yaml = require('yaml');
 const fetch = require('node-fetch');
 
+const execAsync = promisify(exec);
+
 // Use dynamic import for Octokit (ES module)
 let Octokit;
 
@@ -20,6 +38,101 @@ async function initializeOctokit() {
   return Octokit;
 }
 
+// Compare repository URLs regardless of case, .git suffix or trailing slash
+function normalizeRepositoryUrl(url) {
+  return url.trim().toLowerCase().replace(/\.git$/, '').replace(/\/+$/, '');
+}
+
+// Split an Amplify DNS record string ("www CNAME d1.cloudfront.net") into a record for the given domain
+function parseDnsRecord(record, domainName) {
+  if (!record) return null;
+
+  const [name, type, ...value] = record.trim().split(/\s+/);
+  if (!value.length) {
+    // Apex records come back without a name: " CNAME d1.cloudfront.net"
+    return { name: domainName, type: name, value: type };
+  }
+
+  const host = name.replace(/\.$/, '');
+  return {
+    name: host.endsWith(domainName) ? host : `${host}.${domainName}`,
+    type,
+    value: value.join(' ')
+  };
+}
+
+function customDomainUrl(domainName, prefix) {
+  return `https://${prefix ? `${prefix}.` : ''}${domainName}`;
+}
+
+// Amplify branch stages, in the order branches are listed
+const BRANCH_STAGES = ['PRODUCTION', 'BETA', 'DEVELOPMENT', 'EXPERIMENTAL'];
+
+// Stage for a new branch when none is given, based on common branch naming
+function inferBranchStage(branchName) {
+  if (/^(main|master|prod|production)$/.test(branchName)) return 'PRODUCTION';
+  if (/^(staging|stage|beta|preprod|uat)$/.test(branchName)) return 'BETA';
+  if (/^(dev|develop|development)$/.test(branchName)) return 'DEVELOPMENT';
+  return 'EXPERIMENTAL';
+}
+
+function normalizeBranchStage(stage) {
+  const normalized = stage.toUpperCase();
+  if (!BRANCH_STAGES.includes(normalized)) {
+    throw new Error(`Invalid stage "${stage}". Use one of: ${BRANCH_STAGES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Turn an autoBranch section (from .amplify-deploy.json or a tool call) into Amplify app settings:
+ * { enabled, patterns, autoDelete, branchConfig: { stage, framework, enableAutoBuild, enablePullRequestPreview, environmentVariables } }
+ * Only the fields that are set end up in the result, so partial updates leave the rest of the app alone.
+ */
+function buildAutoBranchSettings(autoBranch) {
+  if (typeof autoBranch !== 'object' || autoBranch === null || Array.isArray(autoBranch)) {
+    throw new Error('autoBranch must be an object, e.g. { "enabled": true, "patterns": ["feature/*"] }');
+  }
+
+  const settings = {};
+
+  if (autoBranch.enabled !== undefined) {
+    settings.enableAutoBranchCreation = Boolean(autoBranch.enabled);
+  }
+
+  if (autoBranch.patterns !== undefined) {
+    if (!Array.isArray(autoBranch.patterns) || autoBranch.patterns.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+      throw new Error('autoBranch.patterns must be an array of branch patterns, e.g. ["feature/*", "release/**"]');
+    }
+    const negated = autoBranch.patterns.find(pattern => pattern.trim().startsWith('!'));
+    if (negated) {
+      throw new Error(`Exclusion patterns like "${negated}" are not supported by AWS Amplify.
+💡 List only the branches to connect (e.g. "feature/*"); branches matching no pattern, such as dependabot/*, are never created.`);
+    }
+    settings.autoBranchCreationPatterns = autoBranch.patterns.map(pattern => pattern.trim());
+  }
+
+  if (autoBranch.autoDelete !== undefined) {
+    settings.enableBranchAutoDeletion = Boolean(autoBranch.autoDelete);
+  }
+
+  if (autoBranch.branchConfig !== undefined) {
+    const { stage, framework, enableAutoBuild, enablePullRequestPreview, environmentVariables } = autoBranch.branchConfig || {};
+    if (environmentVariables !== undefined && (typeof environmentVariables !== 'object' || Array.isArray(environmentVariables))) {
+      throw new Error('autoBranch.branchConfig.environmentVariables must be an object of KEY: value pairs');
+    }
+    settings.autoBranchCreationConfig = Object.fromEntries(Object.entries({
+      stage: stage ? normalizeBranchStage(stage) : undefined,
+      framework,
+      enableAutoBuild,
+      enablePullRequestPreview,
+      environmentVariables
+    }).filter(([, value]) => value !== undefined));
+  }
+
+  return settings;
+}
+
 class LocalDeploymentService {
   constructor() {
     this.configManager = new ConfigManager();
@@ -27,17 +140,22 @@ class LocalDeploymentService {
     this.octokit = null;
   }
 
-  async initialize() {
+  /**
+   * Build the AWS and GitHub clients
+   * @param {Object} [options] - region, appId, projectPath: inputs of the region chain (see ConfigManager.resolveRegion)
+   */
+  async initialize(options = {}) {
     try {
       // Initialize AWS Amplify client
-      const awsConfig = await this.configManager.getAWSConfig();
+      const awsConfig = await this.configManager.getAWSConfig(options);
       this.amplifyClient = new AmplifyClient({
-        region: awsConfig.region || 'us-east-1',
+        region: awsConfig.region,
         credentials: awsConfig.credentials
       });
+      this.region = awsConfig.region;
 
       // Initialize GitHub client with dynamic import
-      const githubToken = await this.configManager.getGitHubToken();
+      const githubToken = await this.configManager.getGitHubToken() || process.env.GITHUB_TOKEN;
       if (githubToken) {
         const OctokitClass = await initializeOctokit();
         this.octokit = new OctokitClass({ auth: githubToken });
@@ -53,48 +171,64 @@ class LocalDeploymentService {
     const spinner = ora('Starting deployment...').start();
     
     try {
-      await this.initialize();
+      await this.initialize({ region: options.region, projectPath: options.projectPath });
+      const target = await this.resolveDeployTarget(options.projectPath, options.appRoot);
       
       // Step 1: Validate project
       spinner.text = 'Validating project...';
-      await this.validateProject(options.projectPath);
+      const validation = await this.validateProject(target.appPath, target.repoRoot);
+      const hosting = await resolveHostingPlatform(validation.framework, target.appPath);
+      for (const warning of validation.warnings) {
+        spinner.warn(warning);
+        spinner.start();
+      }
       
       // Step 2: Ensure amplify.yml exists
       spinner.text = 'Checking amplify.yml...';
-      await this.ensureAmplifyConfig(options.projectPath);
+      await this.ensureAmplifyConfig(target.repoRoot, target.appRoot);
       
-      // Step 3: Ensure GitHub repo exists and is pushed
-      spinner.text = 'Setting up GitHub repository...';
-      const repoInfo = await this.ensureGitHubRepo(options.projectPath);
+      // Step 3: Find the repository and its provider (GitHub, GitLab, Bitbucket, CodeCommit)
+      spinner.text = 'Checking Git repository...';
+      const repoInfo = await this.ensureRepository(target.repoRoot);
+      const providerName = getRepositoryProvider(repoInfo.provider).name;
       
-      // Step 4: Get GitHub token (interactive if needed)
-      spinner.text = 'Authenticating with GitHub...';
-      const githubToken = await this.ensureGitHubAuth();
+      // Step 4: Get the provider credential
+      spinner.text = `Authenticating with ${providerName}...`;
+      const repositoryToken = await this.ensureRepositoryAuth(repoInfo);
       
-      // Step 5: Test GitHub token specifically against target repository
+      // Step 5: Test the credential specifically against target repository
       spinner.text = 'Validating repository access...';
-      await this.validateGitHubTokenForRepository(githubToken, repoInfo);
-      
-      // Step 6: Create Amplify app
-      spinner.text = 'Creating Amplify app...';
-      const appInfo = await this.createAmplifyApp({
-        name: options.appName || path.basename(options.projectPath),
+      await this.validateRepositoryAccess(repositoryToken, repoInfo);
+      
+      // Step 6: Create Amplify app, or reuse the one already linked to this project
+      spinner.text = 'Creating or updating Amplify app...';
+      const appInfo = await this.createOrUpdateAmplifyApp({
+        name: options.appName || path.basename(target.appPath),
+        projectPath: target.appPath,
+        appRoot: target.appRoot,
+        platform: hosting.platform,
+        branchFramework: hosting.branchFramework,
         repository: repoInfo.repository,
-        accessToken: githubToken,
+        provider: repoInfo.provider,
+        accessToken: repositoryToken,
         branch: options.branch,
-        region: options.region
+        region: this.region
       });
       
       // Step 7: Wait for deployment
       spinner.text = 'Deploying application...';
-      const deploymentUrl = await this.waitForDeployment(appInfo.appId, options.branch);
+      const deploymentUrl = await this.waitForDeployment(appInfo.appId, options.branch, appInfo.jobId);
       
       spinner.succeed('Deployment completed successfully!');
       
       return {
         appId: appInfo.appId,
         url: deploymentUrl,
-        region: options.region
+        region: this.region,
+        appRoot: target.appRoot,
+        platform: hosting.platform,
+        platformFeatures: hosting.features,
+        isNewApp: appInfo.isNewApp
       };
       
     } catch (error) {
@@ -106,40 +240,49 @@ class LocalDeploymentService {
   // MCP-friendly deployment method without spinner
   async deployForMCP(options) {
     try {
-      await this.initialize();
+      await this.initialize({ region: options.region, projectPath: options.projectPath });
+      const target = await this.resolveDeployTarget(options.projectPath, options.appRoot);
       
       // Step 1: Validate project
-      await this.validateProject(options.projectPath);
+      const validation = await this.validateProject(target.appPath, target.repoRoot);
+      const hosting = await resolveHostingPlatform(validation.framework, target.appPath);
       
       // Step 2: Ensure amplify.yml exists
-      await this.ensureAmplifyConfig(options.projectPath);
+      await this.ensureAmplifyConfig(target.repoRoot, target.appRoot);
       
-      // Step 3: Ensure GitHub repo exists and is pushed
-      const repoInfo = await this.ensureGitHubRepo(options.projectPath);
+      // Step 3: Find the repository and its provider (GitHub, GitLab, Bitbucket, CodeCommit)
+      const repoInfo = await this.ensureRepository(target.repoRoot);
       
-      // Step 4: Get GitHub token (interactive if needed)
-      const githubToken = await this.ensureGitHubAuth();
+      // Step 4: Get the provider credential
+      const repositoryToken = await this.ensureRepositoryAuth(repoInfo);
       
-      // Step 5: Test GitHub token specifically against target repository
-      await this.validateGitHubTokenForRepository(githubToken, repoInfo);
+      // Step 5: Test the credential specifically against target repository
+      await this.validateRepositoryAccess(repositoryToken, repoInfo);
       
-      // Step 6: Create Amplify app
-      const appInfo = await this.createAmplifyApp({
-        name: options.appName || path.basename(options.projectPath),
+      // Step 6: Create Amplify app, or reuse the one already linked to this project
+      const appInfo = await this.createOrUpdateAmplifyApp({
+        name: options.appName || path.basename(target.appPath),
+        projectPath: target.appPath,
+        appRoot: target.appRoot,
+        platform: hosting.platform,
+        branchFramework: hosting.branchFramework,
         repository: repoInfo.repository,
-        accessToken: githubToken,
+        provider: repoInfo.provider,
+        accessToken: repositoryToken,
         branch: options.branch,
-        region: options.region
+        region: this.region
       });
       
       // Save deployment to history immediately after app creation
       await this.configManager.addDeployment({
         appId: appInfo.appId,
-        appName: options.appName || path.basename(options.projectPath),
-        projectPath: options.projectPath,
+        jobId: appInfo.jobId,
+        appName: options.appName || path.basename(target.appPath),
+        projectPath: target.appPath,
+        appRoot: target.appRoot,
         repository: repoInfo.repository,
         branch: options.branch,
-        region: options.region,
+        region: this.region,
         status: 'CREATED',
         url: null // Will be updated when deployment completes
       });
@@ -149,17 +292,19 @@ class LocalDeploymentService {
       let finalStatus = 'IN_PROGRESS';
       
       try {
-        deploymentUrl = await this.waitForDeployment(appInfo.appId, options.branch);
+        deploymentUrl = await this.waitForDeployment(appInfo.appId, options.branch, appInfo.jobId);
         finalStatus = 'DEPLOYED';
         
         // Update deployment history with final URL and status
         await this.configManager.addDeployment({
           appId: appInfo.appId,
-          appName: options.appName || path.basename(options.projectPath),
-          projectPath: options.projectPath,
+          jobId: appInfo.jobId,
+          appName: options.appName || path.basename(target.appPath),
+          projectPath: target.appPath,
+          appRoot: target.appRoot,
           repository: repoInfo.repository,
           branch: options.branch,
-          region: options.region,
+          region: this.region,
           status: 'DEPLOYED',
           url: deploymentUrl
         });
@@ -173,11 +318,13 @@ class LocalDeploymentService {
           // Update deployment history with partial success
           await this.configManager.addDeployment({
             appId: appInfo.appId,
-            appName: options.appName || path.basename(options.projectPath),
-            projectPath: options.projectPath,
+            jobId: appInfo.jobId,
+            appName: options.appName || path.basename(target.appPath),
+            projectPath: target.appPath,
+            appRoot: target.appRoot,
             repository: repoInfo.repository,
             branch: options.branch,
-            region: options.region,
+            region: this.region,
             status: 'DEPLOYING',
             url: tentativeUrl
           });
@@ -190,7 +337,12 @@ class LocalDeploymentService {
       return {
         appId: appInfo.appId,
         url: deploymentUrl,
-        region: options.region
+        region: this.region,
+        appRoot: target.appRoot,
+        platform: hosting.platform,
+        platformFeatures: hosting.features,
+        isNewApp: appInfo.isNewApp,
+        warnings: validation.warnings
       };
       
     } catch (error) {
@@ -202,40 +354,49 @@ class LocalDeploymentService {
   // New method: Background deployment that returns immediately after app creation
   async deployForMCPBackground(options) {
     try {
-      await this.initialize();
+      await this.initialize({ region: options.region, projectPath: options.projectPath });
+      const target = await this.resolveDeployTarget(options.projectPath, options.appRoot);
       
       // Step 1: Validate project
-      await this.validateProject(options.projectPath);
+      const validation = await this.validateProject(target.appPath, target.repoRoot);
+      const hosting = await resolveHostingPlatform(validation.framework, target.appPath);
       
       // Step 2: Ensure amplify.yml exists
-      await this.ensureAmplifyConfig(options.projectPath);
+      await this.ensureAmplifyConfig(target.repoRoot, target.appRoot);
       
-      // Step 3: Ensure GitHub repo exists and is pushed
-      const repoInfo = await this.ensureGitHubRepo(options.projectPath);
+      // Step 3: Find the repository and its provider (GitHub, GitLab, Bitbucket, CodeCommit)
+      const repoInfo = await this.ensureRepository(target.repoRoot);
       
-      // Step 4: Get GitHub token (interactive if needed)
-      const githubToken = await this.ensureGitHubAuth();
+      // Step 4: Get the provider credential
+      const repositoryToken = await this.ensureRepositoryAuth(repoInfo);
       
-      // Step 5: Test GitHub token specifically against target repository
-      await this.validateGitHubTokenForRepository(githubToken, repoInfo);
+      // Step 5: Test the credential specifically against target repository
+      await this.validateRepositoryAccess(repositoryToken, repoInfo);
       
-      // Step 6: Create Amplify app
-      const appInfo = await this.createAmplifyApp({
-        name: options.appName || path.basename(options.projectPath),
+      // Step 6: Create Amplify app, or reuse the one already linked to this project
+      const appInfo = await this.createOrUpdateAmplifyApp({
+        name: options.appName || path.basename(target.appPath),
+        projectPath: target.appPath,
+        appRoot: target.appRoot,
+        platform: hosting.platform,
+        branchFramework: hosting.branchFramework,
         repository: repoInfo.repository,
-        accessToken: githubToken,
+        provider: repoInfo.provider,
+        accessToken: repositoryToken,
         branch: options.branch,
-        region: options.region
+        region: this.region
       });
       
       // Save deployment to history immediately after app creation
       await this.configManager.addDeployment({
         appId: appInfo.appId,
-        appName: options.appName || path.basename(options.projectPath),
-        projectPath: options.projectPath,
+        jobId: appInfo.jobId,
+        appName: options.appName || path.basename(target.appPath),
+        projectPath: target.appPath,
+        appRoot: target.appRoot,
         repository: repoInfo.repository,
         branch: options.branch,
-        region: options.region,
+        region: this.region,
         status: 'PROVISIONING',
         url: null // Will be updated when deployment completes
       });
@@ -247,9 +408,14 @@ class LocalDeploymentService {
       return {
         appId: appInfo.appId,
         url: expectedUrl,
-        region: options.region,
+        region: this.region,
         status: 'PROVISIONING',
-        isBackground: true
+        isBackground: true,
+        appRoot: target.appRoot,
+        platform: hosting.platform,
+        platformFeatures: hosting.features,
+        isNewApp: appInfo.isNewApp,
+        warnings: validation.warnings
       };
       
     } catch (error) {
@@ -258,7 +424,298 @@ class LocalDeploymentService {
     }
   }
 
-  async validateProject(projectPath) {
+  // Manual deployment without Git: build locally, zip the output and upload it to a repository-less app
+  async deployManual(options) {
+    const spinner = ora('Starting manual deployment...').start();
+
+    try {
+      await this.initialize({ region: options.region, projectPath: options.projectPath });
+
+      const deployment = await this.startManualDeployment(options, (step) => {
+        spinner.text = step;
+      });
+
+      spinner.text = 'Deploying application...';
+      const deploymentUrl = await this.waitForDeployment(deployment.appId, deployment.branchName, deployment.jobId);
+
+      await this.configManager.addDeployment({
+        ...deployment.historyEntry,
+        status: 'DEPLOYED',
+        url: deploymentUrl
+      });
+
+      spinner.succeed('Deployment completed successfully!');
+
+      return {
+        ...deployment.result,
+        url: deploymentUrl
+      };
+
+    } catch (error) {
+      spinner.fail('Deployment failed');
+      throw error;
+    }
+  }
+
+  // MCP variant of deployManual: returns as soon as the upload has been handed to Amplify
+  async deployManualForMCP(options) {
+    try {
+      await this.initialize({ region: options.region, projectPath: options.projectPath });
+
+      const deployment = await this.startManualDeployment(options);
+
+      await this.configManager.addDeployment({
+        ...deployment.historyEntry,
+        status: 'DEPLOYING',
+        url: null // Will be updated when deployment completes
+      });
+
+      return {
+        ...deployment.result,
+        url: `https://${deployment.branchName}.${deployment.appId}.amplifyapp.com`,
+        status: 'DEPLOYING',
+        isBackground: true
+      };
+
+    } catch (error) {
+      throw new Error(`Manual deployment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shared steps of a manual deployment: build, zip, find or create the app,
+   * CreateDeployment, upload to the presigned URL and StartDeployment
+   * @param {Object} options - projectPath, appRoot, appName, branch, region, buildDirectory, skipBuild
+   * @param {Function} [onStep] - Receives a progress message before each step
+   */
+  async startManualDeployment(options, onStep = () => {}) {
+    const target = await this.resolveDeployTarget(options.projectPath, options.appRoot);
+    const branchName = options.branch || 'main';
+    const appName = options.appName || path.basename(target.appPath);
+
+    onStep('Validating project...');
+    const framework = await this.detectFramework(target.appPath);
+    const hosting = await resolveHostingPlatform(framework, target.appPath);
+    if (hosting.platform === 'WEB_COMPUTE') {
+      throw new Error('Manual deployments can only host static files, but this Next.js app needs a server. Add output: \'export\' to next.config to deploy it manually, or deploy it from a Git repository.');
+    }
+
+    onStep(options.skipBuild ? 'Locating build output...' : 'Building project locally...');
+    const artifact = await this.buildManualArtifact(framework, target, options);
+
+    onStep('Creating or updating Amplify app...');
+    const appInfo = await this.findOrCreateManualApp({
+      name: appName,
+      projectPath: target.appPath,
+      branchName
+    });
+
+    try {
+      onStep('Uploading build output...');
+      const createDeploymentResponse = await this.amplifyClient.send(new CreateDeploymentCommand({
+        appId: appInfo.appId,
+        branchName
+      }));
+
+      const uploadResponse = await fetch(createDeploymentResponse.zipUploadUrl, {
+        method: 'PUT',
+        body: artifact.buffer
+      });
+      if (!uploadResponse.ok) {
+        throw new Error(`upload to Amplify returned ${uploadResponse.status} ${uploadResponse.statusText}`);
+      }
+
+      await this.amplifyClient.send(new StartDeploymentCommand({
+        appId: appInfo.appId,
+        branchName,
+        jobId: createDeploymentResponse.jobId
+      }));
+
+      await this.linkProjectToApp(target.appPath, appInfo.appId);
+
+      return {
+        appId: appInfo.appId,
+        branchName,
+        jobId: createDeploymentResponse.jobId,
+        historyEntry: {
+          appId: appInfo.appId,
+          jobId: createDeploymentResponse.jobId,
+          appName,
+          projectPath: target.appPath,
+          appRoot: target.appRoot,
+          repository: null,
+          deploymentType: 'MANUAL',
+          branch: branchName,
+          region: this.region
+        },
+        result: {
+          appId: appInfo.appId,
+          jobId: createDeploymentResponse.jobId,
+          region: this.region,
+          isNewApp: appInfo.isNewApp,
+          manual: true,
+          artifactDirectory: artifact.directory,
+          fileCount: artifact.fileCount,
+          archiveSize: artifact.buffer.length
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Uploading the build to AWS Amplify app ${appInfo.appId} failed: ${error.message}`);
+    }
+  }
+
+  // Run the build script and zip the output directory (or the site folder for static projects)
+  async buildManualArtifact(framework, target, options) {
+    const appPath = target.appPath;
+
+    if (!options.skipBuild && framework !== 'static') {
+      const packageManager = await detectPackageManager(appPath, target.repoRoot);
+      const commands = await getPackageManagerCommands(packageManager, target.repoRoot);
+      const buildCommand = `${commands.run} ${await resolveBuildScript(framework, appPath)}`;
+
+      try {
+        // Builds take minutes; running them asynchronously keeps the shared MCP server responsive
+        await execAsync(buildCommand, { cwd: appPath, encoding: 'utf8', maxBuffer: 50 * 1024 * 1024 });
+      } catch (error) {
+        const output = tailLog(`${error.stdout || ''}\n${error.stderr || ''}`, 20);
+        throw new Error(`Local build failed ("${buildCommand}"). Make sure dependencies are installed.\n\n${output}`);
+      }
+    }
+
+    let directory;
+    if (options.buildDirectory) {
+      directory = path.resolve(appPath, options.buildDirectory);
+    } else if (framework === 'static') {
+      directory = appPath;
+    } else {
+      directory = path.join(appPath, await resolveArtifactDirectory(framework, appPath));
+    }
+
+    try {
+      if (!(await fs.stat(directory)).isDirectory()) {
+        throw new Error('not a directory');
+      }
+    } catch {
+      throw new Error(`Build output directory ${directory} does not exist. Build the project first or pass the output folder as the build directory.`);
+    }
+
+    // Never publish secrets, dependencies or repository data
+    const archive = await createZipArchive(directory, {
+      exclude: (relativePath, entry) => ['.git', 'node_modules', '.amplify-deploy.json', '.DS_Store'].includes(entry.name) ||
+        /^\.env(\..*)?$/.test(entry.name)
+    });
+
+    if (archive.fileCount === 0) {
+      throw new Error(`Build output directory ${directory} is empty.`);
+    }
+
+    return { ...archive, directory };
+  }
+
+  // Reuse the project's repository-less app, or create one; Git-connected apps cannot take manual deployments
+  async findOrCreateManualApp({ name, projectPath, branchName }) {
+    const existingApp = await this.findExistingApp({ projectPath });
+
+    if (existingApp?.repository) {
+      throw new Error(`This project is linked to Amplify app ${existingApp.appId}, which deploys from ${existingApp.repository}. Manual deployments need an app without a repository: deploy with Git instead, or remove appId from .amplify-deploy.json to create a separate app.`);
+    }
+
+    try {
+      let appId = existingApp?.appId;
+      let appArn = existingApp?.appArn;
+
+      if (!appId) {
+        const createAppResponse = await this.amplifyClient.send(new CreateAppCommand({
+          name,
+          platform: 'WEB'
+        }));
+        appId = createAppResponse.app.appId;
+        appArn = createAppResponse.app.appArn;
+      }
+
+      try {
+        await this.amplifyClient.send(new GetBranchCommand({ appId, branchName }));
+      } catch (error) {
+        if (error.name !== 'NotFoundException') {
+          throw error;
+        }
+        await this.amplifyClient.send(new CreateBranchCommand({ appId, branchName }));
+      }
+
+      return { appId, appArn, isNewApp: !existingApp };
+
+    } catch (error) {
+      if (error.name === 'LimitExceededException') {
+        throw new Error(`AWS Amplify app limit reached. Please delete unused apps.
+💡 Use delete_app or aws-deploy destroy <appId>; aws-deploy destroy --stale lists apps without recent builds.`);
+      }
+      throw new Error(`AWS Amplify app setup failed: ${error.message}`);
+    }
+  }
+
+  // Work out which directory of the repository is deployed. Apps inside a monorepo
+  // are deployed with an appRoot relative to the git root.
+  async resolveDeployTarget(projectPath, appRoot = null) {
+    const appPath = appRoot ? path.resolve(projectPath, appRoot) : projectPath;
+
+    let gitRoot;
+    try {
+      gitRoot = execSync('git rev-parse --show-toplevel', { cwd: appPath, encoding: 'utf8', stdio: 'pipe' }).trim();
+    } catch {
+      // Not a git repository (yet) - validateProject reports that
+      return { repoRoot: appPath, appRoot: null, appPath };
+    }
+
+    // Compare real paths, git resolves symlinks such as /tmp -> /private/tmp
+    const realAppPath = await fs.realpath(appPath).catch(() => appPath);
+    const realGitRoot = await fs.realpath(gitRoot).catch(() => gitRoot);
+    const relativeAppRoot = path.relative(realGitRoot, realAppPath).split(path.sep).join('/');
+    const repoRoot = path.resolve(appPath, path.relative(realAppPath, realGitRoot));
+
+    if (relativeAppRoot.startsWith('..')) {
+      throw new Error(`App root ${appRoot} is outside the git repository at ${repoRoot}.`);
+    }
+
+    if (relativeAppRoot) {
+      return { repoRoot, appRoot: relativeAppRoot, appPath };
+    }
+
+    // Deploying from a workspace root: pick the app when there is only one
+    const apps = await this.listWorkspaceApps(repoRoot);
+    if (apps.length === 1) {
+      return { repoRoot, appRoot: apps[0].appRoot, appPath: apps[0].path };
+    }
+    if (apps.length > 1) {
+      throw new Error(`${repoRoot} is a monorepo with several web apps. Choose one with app_root (CLI: --app-root): ${apps.map(app => `${app.appRoot} (${app.framework})`).join(', ')}`);
+    }
+
+    return { repoRoot, appRoot: null, appPath };
+  }
+
+  // Workspace packages that can be hosted on Amplify, with their detected framework
+  async listWorkspaceApps(rootPath) {
+    const apps = [];
+
+    for (const workspacePackage of await detectWorkspacePackages(rootPath)) {
+      if (workspacePackage.isLibrary) continue;
+
+      try {
+        const framework = await this.detectFramework(workspacePackage.path);
+        if (framework !== 'static') {
+          apps.push({ ...workspacePackage, framework });
+        }
+      } catch {
+        // CLI tools and servers in the workspace cannot be hosted
+      }
+    }
+
+    return apps;
+  }
+
+  async validateProject(projectPath, rootPath = projectPath) {
+    const warnings = [];
+
     // First, detect the project type
     const framework = await this.detectFramework(projectPath);
     
@@ -270,6 +727,11 @@ class LocalDeploymentService {
       } catch {
         throw new Error('No package.json found. Please run this command from your project root.');
       }
+
+      const packageManager = await detectPackageManager(projectPath, rootPath);
+      if (!packageManager.lockfile) {
+        warnings.push('No lockfile found (package-lock.json, yarn.lock, pnpm-lock.yaml or bun.lockb). "npm ci" in amplify.yml fails without one - commit your lockfile for reproducible builds.');
+      }
     } else {
       // For static sites, check if there are any HTML files
       try {
@@ -321,19 +783,25 @@ class LocalDeploymentService {
     } catch {
       throw new Error('Git is not initialized. Run "git init" first.');
     }
+
+    return { framework, warnings };
   }
 
-  async ensureAmplifyConfig(projectPath) {
+  async ensureAmplifyConfig(projectPath, appRoot = null) {
     const configPath = path.join(projectPath, 'amplify.yml');
     
     try {
-      await fs.access(configPath);
-      return;
+      const existing = await fs.readFile(configPath, 'utf8');
+      // A monorepo amplify.yml needs an entry for the app being deployed
+      if (!appRoot || (yaml.parse(existing)?.applications || []).some(app => app.appRoot === appRoot)) {
+        return;
+      }
     } catch {
-      // Generate default config
-      const framework = await this.detectFramework(projectPath);
-      const config = await this.generateAmplifyConfig(framework, projectPath, true);
+      // No amplify.yml yet - generate one
     }
+
+    const framework = await this.detectFramework(appRoot ? path.join(projectPath, appRoot) : projectPath);
+    await this.generateAmplifyConfig(framework, projectPath, true, appRoot);
   }
 
   async detectFramework(projectPath) {
@@ -349,10 +817,8 @@ class LocalDeploymentService {
         ...packageJson.devDependencies
       };
 
-      if (dependencies['next']) return 'nextjs';
-      if (dependencies['react']) return 'react';
-      if (dependencies['vue']) return 'vue';
-      if (dependencies['@angular/core']) return 'angular';
+      const framework = await detectFrameworkFromProject(projectPath, dependencies);
+      if (framework) return framework;
       
       // Check if this is a Node.js CLI tool or server project (not suitable for static hosting)
       const isCliTool = packageJson.bin || 
@@ -381,373 +847,356 @@ class LocalDeploymentService {
     }
   }
 
-  async generateAmplifyConfig(framework, projectPath, writeToFile = false) {
-    const configs = {
-      nextjs: {
-        version: 1,
-        frontend: {
-          phases: {
-            preBuild: {
-              commands: ['npm ci']
-            },
-            build: {
-              commands: ['npm run build']
-            }
-          },
-          artifacts: {
-            baseDirectory: '.next',
-            files: ['**/*']
-          },
-          cache: {
-            paths: ['node_modules/**/*']
-          }
-        }
-      },
-      react: {
+  /**
+   * Build amplify.yml for a framework. With an appRoot the config uses the
+   * monorepo form (applications: [{ appRoot, frontend }]) and projectPath is the
+   * repository root; writing merges the app into an existing monorepo amplify.yml.
+   * Projects with envFilter.secretStore "ssm" get a build step that unpacks the Parameter Store secrets.
+   */
+  async generateAmplifyConfig(framework, projectPath, writeToFile = false, appRoot = null) {
+    const appPath = appRoot && projectPath ? path.join(projectPath, appRoot) : projectPath;
+    let config;
+
+    if (framework === 'static' || !FRAMEWORKS.includes(framework)) {
+      config = {
         version: 1,
         frontend: {
           phases: {
-            preBuild: {
-              commands: ['npm ci']
-            },
             build: {
-              commands: ['npm run build']
+              commands: ['echo "No build required"']
             }
           },
           artifacts: {
-            baseDirectory: 'build',
+            baseDirectory: '.',
             files: ['**/*']
-          },
-          cache: {
-            paths: ['node_modules/**/*']
           }
         }
-      },
-      vue: {
+      };
+    } else {
+      const buildScript = await resolveBuildScript(framework, appPath);
+      const baseDirectory = await resolveArtifactDirectory(framework, appPath);
+      const packageManager = await detectPackageManager(appPath, projectPath);
+      const commands = await getPackageManagerCommands(packageManager, projectPath);
+      const projectConfig = await new ConfigManager(appPath).getProjectConfig();
+      const secretCommands = projectConfig?.envFilter?.secretStore === 'ssm' ? [EXPORT_SECRETS_COMMAND] : [];
+
+      config = {
         version: 1,
         frontend: {
           phases: {
             preBuild: {
-              commands: ['npm ci']
+              commands: commands.install
             },
             build: {
-              commands: ['npm run build']
+              commands: [...secretCommands, `${commands.run} ${buildScript}`]
             }
           },
           artifacts: {
-            baseDirectory: 'dist',
+            baseDirectory,
             files: ['**/*']
           },
           cache: {
-            paths: ['node_modules/**/*']
+            // Next.js keeps its incremental build cache in .next/cache
+            paths: framework === 'nextjs' && baseDirectory === '.next'
+              ? [...commands.cachePaths, '.next/cache/**/*']
+              : commands.cachePaths
           }
         }
-      },
-      static: {
+      };
+    }
+    
+    if (appRoot) {
+      config = {
         version: 1,
-        frontend: {
-          phases: {
-            build: {
-              commands: ['echo "No build required"']
-            }
-          },
-          artifacts: {
-            baseDirectory: '.',
-            files: ['**/*']
-          }
-        }
-      }
-    };
-
-    const config = configs[framework] || configs.static;
+        applications: [{ appRoot, frontend: config.frontend }]
+      };
+    }
     
     // Only save to file if explicitly requested
     if (writeToFile && projectPath) {
       const configPath = path.join(projectPath, 'amplify.yml');
-      await fs.writeFile(configPath, yaml.stringify(config));
+      let fileConfig = config;
+
+      if (appRoot) {
+        // Keep the other apps of the monorepo, replacing any previous entry for this one
+        try {
+          const existing = yaml.parse(await fs.readFile(configPath, 'utf8'));
+          if (Array.isArray(existing?.applications)) {
+            fileConfig = {
+              ...existing,
+              applications: [
+                ...existing.applications.filter(app => app.appRoot !== appRoot),
+                ...config.applications
+              ]
+            };
+          }
+        } catch {
+          // No amplify.yml yet
+        }
+      }
+
+      await fs.writeFile(configPath, yaml.stringify(fileConfig));
     }
     
     return yaml.stringify(config);
   }
 
-  async ensureGitHubRepo(projectPath) {
-    // Check if remote exists
+  // Read the origin remote and work out which repository provider hosts it
+  async ensureRepository(projectPath) {
+    let remoteUrl;
     try {
-      const remoteUrl = execSync('git config --get remote.origin.url', {
+      remoteUrl = execSync('git config --get remote.origin.url', {
         cwd: projectPath,
         encoding: 'utf8'
       }).trim();
-      
-      // Extract owner and repo from URL
-      const match = remoteUrl.match(/github\.com[:/](.+)\/(.+?)(\.git)?$/);
-      if (match) {
-        return {
-          repository: `https://github.com/${match[1]}/${match[2]}`,
-          owner: match[1],
-          repo: match[2]
-        };
-      }
     } catch {
-      // No remote, need to create
-      throw new Error('No GitHub remote found. Please add your GitHub repository as origin.');
+      throw new Error('No Git remote found. Please add your GitHub, GitLab, Bitbucket or CodeCommit repository as origin, or deploy without Git using a manual deployment.');
+    }
+
+    const repoInfo = parseRepositoryRemote(remoteUrl);
+    if (!repoInfo) {
+      throw new Error(`Unsupported Git host in origin remote ${remoteUrl}. AWS Amplify can deploy from GitHub, GitLab, Bitbucket and AWS CodeCommit - or deploy without Git using a manual deployment.`);
     }
+
+    return repoInfo;
   }
 
-  async ensureGitHubAuth() {
-    let token = await this.configManager.getGitHubToken();
+  // Credential for the repository's provider: stored token first, then its environment variable
+  async ensureRepositoryAuth(repoInfo) {
+    const provider = getRepositoryProvider(repoInfo.provider);
+    let token = await this.configManager.getRepositoryToken(provider.id);
     
-    // Also check environment variable for GitHub token
-    if (!token && process.env.GITHUB_TOKEN) {
-      token = process.env.GITHUB_TOKEN;
+    if (!token && process.env[provider.tokenEnvVar]) {
+      token = process.env[provider.tokenEnvVar];
       // Save it for future use
-      await this.configManager.saveGitHubToken(token);
+      await this.configManager.saveRepositoryToken(provider.id, token);
     }
     
     if (!token) {
-      throw new Error(`🔗 AWS Amplify GitHub App Setup Required
-
-AWS Amplify now requires a 2-step setup process:
-
-🌍 FIRST: Which AWS region will you deploy to?
-   - US East (N. Virginia): us-east-1 (recommended default)
-   - US West (Oregon): us-west-2  
-   - EU (Ireland): eu-west-1
-   - EU (Frankfurt): eu-central-1
-   - Asia Pacific (Sydney): ap-southeast-2
-   - Asia Pacific (Tokyo): ap-northeast-1
-   - Other regions: Check AWS Amplify documentation
-   
-   💡 Use us-east-1 if unsure (most common choice)
-
-📱 STEP 1: Install AWS Amplify GitHub App for your region (REQUIRED FIRST!)
-   Region-specific installation URLs:
-   - US East 1: https://github.com/apps/aws-amplify-us-east-1/installations/new
-   - US West 2: https://github.com/apps/aws-amplify-us-west-2/installations/new
-   - EU West 1: https://github.com/apps/aws-amplify-eu-west-1/installations/new
-   - EU Central 1: https://github.com/apps/aws-amplify-eu-central-1/installations/new
-   - AP Southeast 2: https://github.com/apps/aws-amplify-ap-southeast-2/installations/new
-   - AP Northeast 1: https://github.com/apps/aws-amplify-ap-northeast-1/installations/new
-   
-   Instructions:
-   - Select your GitHub account/organization
-   - Choose "All repositories" OR select specific repositories
-   - Click "Install" 
-   
-   ⚠️  Without this GitHub App, deployment will fail!
-
-🔑 STEP 2: Create Personal Access Token
-   - Go to: https://github.com/settings/tokens/new
-   - Description: "AWS Amplify Deploy Access"
-   - IMPORTANT: Select "admin:repo_hook" scope (not "repo")
-   - Generate and copy the token
-
-⚙️  STEP 3: Configure Token
-   Add to your MCP configuration (~/.cursor/mcp.json):
-   "env": {
-     "AWS_ACCESS_KEY_ID": "your-access-key",
-     "AWS_SECRET_ACCESS_KEY": "your-secret-key", 
-     "GITHUB_TOKEN": "your-github-token",
-     "AWS_REGION": "your-chosen-region"
-   }
-
-🔄 STEP 4: Restart Cursor
-
-💡 Quick guided setup: Run "amplify-deploy setup"
-
-Alternative: export GITHUB_TOKEN="your-github-token"`);
+      throw new Error(provider.getSetupInstructions());
     }
     
-    // Validate the token by testing it against GitHub API
-    await this.validateGitHubToken(token);
-    
+    // validateRepositoryAccess checks the token itself, against the repository's host
     return token;
   }
 
-  async validateGitHubToken(token) {
-    try {
-      // Check token type first - this will throw if incompatible
-      this.checkGitHubTokenType(token);
-      
-      // 1. Basic token validation with enhanced error reporting
-      const response = await fetch('https://api.github.com/user', {
-        headers: {
-          'Authorization': `token ${token}`,
-          'User-Agent': 'amplify-deploy'
-        }
-      });
-      
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error(`GitHub token is invalid or expired (HTTP ${response.status}).
-
-Please create a new token for AWS Amplify GitHub App:
-1. Install AWS Amplify GitHub App: https://github.com/apps/aws-amplify-us-east-1/installations/new
-2. Go to: https://github.com/settings/tokens/new
-3. Select "admin:repo_hook" scope (for GitHub App webhook management)
-4. Update your MCP configuration with the new token
-5. Restart Cursor`);
-        }
-        
-        throw new Error(`GitHub API error: ${response.status} ${response.statusText}. Please check your token permissions.`);
-      }
-      
-      const user = await response.json();
-      
-      // 2. Check repo scope permissions
-      const reposResponse = await fetch('https://api.github.com/user/repos?per_page=1', {
-        headers: {
-          'Authorization': `token ${token}`,
-          'User-Agent': 'amplify-deploy'
-        }
-      });
-      
-      if (!reposResponse.ok) {
-        throw new Error(`GitHub token validation failed for AWS Amplify GitHub App (HTTP ${reposResponse.status}).
-
-Please create a new token for AWS Amplify GitHub App:
-1. Install AWS Amplify GitHub App: https://github.com/apps/aws-amplify-us-east-1/installations/new
-2. Go to: https://github.com/settings/tokens/new
-3. Select "admin:repo_hook" scope (for GitHub App webhook management)
-4. Update your MCP configuration
-5. Restart Cursor`);
-      }
-      
-      // 3. Check token scopes in response headers
-      const scopes = reposResponse.headers.get('X-OAuth-Scopes');
-      if (scopes) {
-        if (!scopes.includes('admin:repo_hook')) {
-          throw new Error(`GitHub token missing required scope for AWS Amplify GitHub App.
-
-Current scopes: ${scopes}
-Required scope: admin:repo_hook
-
-AWS Amplify GitHub App requires 'admin:repo_hook' scope for:
-- Repository webhook management
-- Deployment automation
-- GitHub App integration
-
-🔧 To fix this:
-1. Install AWS Amplify GitHub App for your region first
-2. Create a new token: https://github.com/settings/tokens/new
-3. Select "admin:repo_hook" scope (not "repo")
-4. Update your MCP configuration
-5. Restart Cursor
-
-📋 Token validation info:
-- User: ${user.login}
-- Available scopes: ${scopes}
-- Missing: admin:repo_hook`);
-        }
-      }
-      
-    } catch (error) {
-      if (error.message.includes('GitHub token') || error.message.includes('GitHub API')) {
-        throw error;
-      }
-      throw new Error(`Failed to validate GitHub token: ${error.message}. Please check your internet connection and token.
-
-Token format: ${token.startsWith('ghp_') ? 'Classic (compatible)' : token.startsWith('github_pat_') ? 'Fine-grained (may not work with Amplify)' : 'Unknown format'}`);
-    }
+  async validateRepositoryAccess(token, repoInfo) {
+    await getRepositoryProvider(repoInfo.provider).validateRepositoryAccess(token, repoInfo);
   }
 
-  // Helper method to check GitHub token type
-  checkGitHubTokenType(token) {
-    if (token.startsWith('github_pat_')) {
-      throw new Error(`Fine-grained GitHub token detected. AWS Amplify GitHub App requires CLASSIC tokens.
-
-Current token: Fine-grained (starts with 'github_pat_')
-Required: Classic token (starts with 'ghp_')
-
-🔧 To fix this:
-1. Go to: https://github.com/settings/tokens/new
-2. Select "Tokens (classic)" - NOT "Fine-grained personal access tokens"
-3. Select "admin:repo_hook" scope
-4. Generate token and update your configuration`);
-    } else if (token.startsWith('ghp_')) {
-      // Classic GitHub token detected - compatible with AWS Amplify GitHub App
-      return;
-    } else {
-      throw new Error(`Unknown GitHub token format. AWS Amplify requires classic tokens.
-
-Current token format: Unknown format detected
-Required: Classic token (starts with 'ghp_')
+  async startOAuthFlow() {
+    // Not used in MCP context - kept for CLI compatibility
+    return 'https://github.com/settings/tokens/new?scopes=repo&description=Amplify+Deploy+Access';
+  }
 
-🔧 Create a classic token:
-1. Go to: https://github.com/settings/tokens/new
-2. Select "Tokens (classic)"
-3. Select "admin:repo_hook" scope
-4. Generate and use the new token`);
-    }
+  async waitForOAuthCallback() {
+    // Not used in MCP context - kept for CLI compatibility  
+    throw new Error('OAuth callback not implemented for MCP server context');
   }
 
-  // New method to test token specifically against target repository
-  async validateGitHubTokenForRepository(token, repoInfo) {
-    try {
-      // Test repository access
-      const repoResponse = await fetch(`https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}`, {
-        headers: {
-          'Authorization': `token ${token}`,
-          'User-Agent': 'amplify-deploy'
+  // Reuse the project's existing Amplify app when there is one, otherwise create it
+  async createOrUpdateAmplifyApp(options) {
+    const existingApp = await this.findExistingApp({
+      projectPath: options.projectPath,
+      repository: options.repository,
+      appRoot: options.appRoot
+    });
+
+    const projectConfig = options.projectPath ? await new ConfigManager(options.projectPath).getProjectConfig() : null;
+    let autoBranchSettings = null;
+    if (projectConfig?.autoBranch) {
+      try {
+        autoBranchSettings = buildAutoBranchSettings(projectConfig.autoBranch);
+      } catch (error) {
+        throw new Error(`Invalid .amplify-deploy.json: ${error.message}`);
+      }
+    }
+
+    const appInfo = existingApp
+      ? await this.redeployAmplifyApp(existingApp, { ...options, autoBranchSettings })
+      : await this.createAmplifyApp({ ...options, autoBranchSettings });
+
+    await this.linkProjectToApp(options.projectPath, appInfo.appId);
+
+    return appInfo;
+  }
+
+  // Find the Amplify app for a project: .amplify-deploy.json appId, then deployment history, then repository URL.
+  // Monorepo apps share a repository, so apps are also matched on their AMPLIFY_MONOREPO_APP_ROOT.
+  async findExistingApp({ projectPath, repository, appRoot = null }) {
+    const sameAppRoot = (app) => (app.environmentVariables?.AMPLIFY_MONOREPO_APP_ROOT || null) === appRoot;
+
+    const candidateAppIds = [];
+
+    if (projectPath) {
+      const projectConfig = await new ConfigManager(projectPath).getProjectConfig();
+      if (projectConfig?.appId) {
+        candidateAppIds.push(projectConfig.appId);
+      }
+    }
+
+    const history = await this.configManager.getDeploymentHistory();
+    for (const deployment of history) {
+      if (!deployment.appId) continue;
+      const sameProject = projectPath && deployment.projectPath === projectPath;
+      const sameRepository = repository && deployment.repository &&
+        normalizeRepositoryUrl(deployment.repository) === normalizeRepositoryUrl(repository);
+      if (sameProject || sameRepository) {
+        candidateAppIds.push(deployment.appId);
+      }
+    }
+
+    for (const appId of new Set(candidateAppIds)) {
+      try {
+        const appResponse = await this.amplifyClient.send(new GetAppCommand({ appId }));
+        const app = appResponse.app;
+
+        // Skip apps that were since reconnected to a different repository or belong to another app of the monorepo
+        const sameRepository = !repository || !app.repository || normalizeRepositoryUrl(app.repository) === normalizeRepositoryUrl(repository);
+        if (sameRepository && sameAppRoot(app)) {
+          return app;
         }
-      });
-      
-      if (!repoResponse.ok) {
-        if (repoResponse.status === 404) {
-          throw new Error(`GitHub token cannot access repository ${repoInfo.repository}. This could mean:
-1. Repository doesn't exist
-2. Repository is private and token lacks access
-3. Token doesn't have sufficient permissions
-
-For AWS Amplify GitHub App, ensure your token has 'admin:repo_hook' scope and the GitHub App is installed.`);
+      } catch (error) {
+        // App was deleted outside of this tool - keep looking
+        if (error.name !== 'NotFoundException') {
+          throw error;
         }
-        throw new Error(`Cannot access repository ${repoInfo.repository}: ${repoResponse.status} ${repoResponse.statusText}`);
       }
-      
-      const repo = await repoResponse.json();
-      
-      // Test webhook permissions (required by AWS Amplify)
-      const hooksResponse = await fetch(`https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/hooks`, {
-        headers: {
-          'Authorization': `token ${token}`,
-          'User-Agent': 'amplify-deploy'
+    }
+
+    if (!repository) {
+      return null;
+    }
+
+    // Last resort: an app in the account that is connected to the same repository
+    let nextToken;
+    do {
+      const listAppsResponse = await this.amplifyClient.send(new ListAppsCommand({ nextToken }));
+      const match = (listAppsResponse.apps || []).find(app =>
+        app.repository && normalizeRepositoryUrl(app.repository) === normalizeRepositoryUrl(repository) && sameAppRoot(app)
+      );
+      if (match) {
+        return match;
+      }
+      nextToken = listAppsResponse.nextToken;
+    } while (nextToken);
+
+    return null;
+  }
+
+  // Start a new RELEASE job on an existing app, creating the branch if it is missing
+  async redeployAmplifyApp(app, options) {
+    try {
+      const appUpdate = {};
+      if (options.appRoot && app.environmentVariables?.AMPLIFY_MONOREPO_APP_ROOT !== options.appRoot) {
+        // UpdateApp replaces all environment variables, so keep the existing ones
+        appUpdate.environmentVariables = {
+          ...app.environmentVariables,
+          AMPLIFY_MONOREPO_APP_ROOT: options.appRoot
+        };
+      }
+      if (options.platform && app.platform !== options.platform) {
+        // e.g. a Next.js app that started as a static export and now uses SSR
+        appUpdate.platform = options.platform;
+      }
+      if (options.autoBranchSettings && this.autoBranchSettingsChanged(app, options.autoBranchSettings)) {
+        // autoBranch in .amplify-deploy.json is the source of truth for the app's auto-created branches
+        Object.assign(appUpdate, this.mergeAutoBranchSettings(app, options.autoBranchSettings, options.branchFramework));
+      }
+      if (Object.keys(appUpdate).length > 0) {
+        await this.amplifyClient.send(new UpdateAppCommand({ appId: app.appId, ...appUpdate }));
+      }
+
+      try {
+        const branchResponse = await this.amplifyClient.send(new GetBranchCommand({
+          appId: app.appId,
+          branchName: options.branch
+        }));
+
+        if (options.branchFramework && branchResponse.branch?.framework !== options.branchFramework) {
+          await this.amplifyClient.send(new UpdateBranchCommand({
+            appId: app.appId,
+            branchName: options.branch,
+            framework: options.branchFramework
+          }));
         }
-      });
-      
-      if (!hooksResponse.ok && hooksResponse.status !== 403) {
-        // Note: Cannot test webhook permissions: ${hooksResponse.status}
-      } else if (hooksResponse.status === 403) {
-        throw new Error(`GitHub token lacks webhook permissions for ${repoInfo.repository}.
-
-AWS Amplify GitHub App requires 'admin:repo_hook' scope for webhook management. Please ensure:
-1. AWS Amplify GitHub App is installed for your account/organization
-2. Token has 'admin:repo_hook' scope (not 'repo')
-3. You have admin access to the repository
-4. Token is a classic token (starts with 'ghp_')
-
-🔧 Setup steps:
-1. Install GitHub App: https://github.com/apps/aws-amplify-us-east-1/installations/new
-2. Create classic token: https://github.com/settings/tokens/new
-3. Select 'admin:repo_hook' scope`);
-      } else {
-        // Webhook permissions confirmed
+      } catch (error) {
+        if (error.name !== 'NotFoundException') {
+          throw error;
+        }
+
+        await this.amplifyClient.send(new CreateBranchCommand({
+          appId: app.appId,
+          branchName: options.branch,
+          framework: options.branchFramework,
+          stage: inferBranchStage(options.branch),
+          enableAutoBuild: true,
+          enablePullRequestPreview: true
+        }));
       }
-      
+
+      const startJobResponse = await this.amplifyClient.send(new StartJobCommand({
+        appId: app.appId,
+        branchName: options.branch,
+        jobType: 'RELEASE'
+      }));
+
+      return {
+        appId: app.appId,
+        appArn: app.appArn,
+        jobId: startJobResponse.jobSummary?.jobId,
+        isNewApp: false
+      };
+
     } catch (error) {
-      if (error.message.includes('GitHub token') || error.message.includes('Repository') || error.message.includes('webhook')) {
-        throw error;
-      }
-      throw new Error(`Failed to validate repository access: ${error.message}`);
+      throw new Error(`AWS Amplify redeployment failed for app ${app.appId}: ${error.message}
+
+Please check the AWS Amplify console for more details or verify your AWS credentials and permissions.`);
     }
   }
 
-  async startOAuthFlow() {
-    // Not used in MCP context - kept for CLI compatibility
-    return 'https://github.com/settings/tokens/new?scopes=repo&description=Amplify+Deploy+Access';
+  // Partial autoBranch settings on top of what the app has; UpdateApp replaces autoBranchCreationConfig as a whole
+  mergeAutoBranchSettings(app, settings, framework) {
+    const merged = { ...settings };
+
+    if (settings.autoBranchCreationConfig || settings.enableAutoBranchCreation) {
+      merged.autoBranchCreationConfig = {
+        // Auto-created branches are built like the branch the app was deployed from unless configured otherwise
+        ...(framework && { framework }),
+        ...app.autoBranchCreationConfig,
+        ...settings.autoBranchCreationConfig
+      };
+    }
+
+    const enabled = merged.enableAutoBranchCreation ?? app.enableAutoBranchCreation;
+    const patterns = merged.autoBranchCreationPatterns ?? app.autoBranchCreationPatterns;
+    if (enabled && !patterns?.length) {
+      throw new Error(`Automatic branch creation needs at least one branch pattern.
+💡 Add patterns, e.g. ["feature/*"], to autoBranch in .amplify-deploy.json or pass them to manage_auto_branches.`);
+    }
+
+    return merged;
   }
 
-  async waitForOAuthCallback() {
-    // Not used in MCP context - kept for CLI compatibility  
-    throw new Error('OAuth callback not implemented for MCP server context');
+  autoBranchSettingsChanged(app, settings) {
+    return Object.entries(settings).some(([key, value]) => key === 'autoBranchCreationConfig'
+      ? Object.entries(value).some(([field, fieldValue]) => JSON.stringify(app.autoBranchCreationConfig?.[field]) !== JSON.stringify(fieldValue))
+      : JSON.stringify(app[key]) !== JSON.stringify(value));
+  }
+
+  // Remember the app and its region in .amplify-deploy.json so the next deploy finds it directly
+  async linkProjectToApp(projectPath, appId) {
+    if (!projectPath) return;
+
+    try {
+      const projectConfigManager = new ConfigManager(projectPath);
+      const projectConfig = await projectConfigManager.getProjectConfig() || {};
+      if (projectConfig.appId !== appId || projectConfig.region !== this.region) {
+        await projectConfigManager.saveProjectConfig({ ...projectConfig, appId, region: this.region });
+      }
+    } catch {
+      // Not being able to write the link only costs a lookup on the next deploy
+    }
   }
 
   async createAmplifyApp(options) {
@@ -758,10 +1207,15 @@ AWS Amplify GitHub App requires 'admin:repo_hook' scope for webhook management.
       const createAppResponse = await this.amplifyClient.send(new CreateAppCommand({
         name: options.name,
         repository: options.repository,
-        oauthToken: options.accessToken,
+        // accessToken for GitHub, oauthToken for GitLab/Bitbucket, a service role for CodeCommit
+        ...getRepositoryProvider(options.provider || 'github').getAmplifyCredentials(options.accessToken),
+        // WEB_COMPUTE runs server-rendered Next.js, WEB serves static files only
+        platform: options.platform || 'WEB',
         enableBranchAutoBuild: true,
         enableBranchAutoDeletion: false,
-        environmentVariables: {}
+        ...(options.autoBranchSettings && this.mergeAutoBranchSettings({}, options.autoBranchSettings, options.branchFramework)),
+        // Tells Amplify which applications entry of a monorepo amplify.yml to build
+        environmentVariables: options.appRoot ? { AMPLIFY_MONOREPO_APP_ROOT: options.appRoot } : {}
       }));
 
       const appId = createAppResponse.app.appId;
@@ -771,6 +1225,8 @@ AWS Amplify GitHub App requires 'admin:repo_hook' scope for webhook management.
       await this.amplifyClient.send(new CreateBranchCommand({
         appId: appId,
         branchName: options.branch,
+        framework: options.branchFramework,
+        stage: inferBranchStage(options.branch),
         enableAutoBuild: true,
         enablePullRequestPreview: true
       }));
@@ -778,7 +1234,7 @@ AWS Amplify GitHub App requires 'admin:repo_hook' scope for webhook management.
       // Removed console.log to prevent MCP JSON parsing errors
 
       // Start initial deployment
-      await this.amplifyClient.send(new StartJobCommand({
+      const startJobResponse = await this.amplifyClient.send(new StartJobCommand({
         appId: appId,
         branchName: options.branch,
         jobType: 'RELEASE'
@@ -788,24 +1244,40 @@ AWS Amplify GitHub App requires 'admin:repo_hook' scope for webhook management.
 
       return {
         appId: appId,
-        appArn: createAppResponse.app.appArn
+        appArn: createAppResponse.app.appArn,
+        jobId: startJobResponse.jobSummary?.jobId,
+        isNewApp: true
       };
 
     } catch (error) {
       // Removed console.error to prevent MCP JSON parsing errors
       
       if (error.name === 'LimitExceededException') {
-        throw new Error('AWS Amplify app limit reached. Please delete unused apps.');
+        throw new Error(`AWS Amplify app limit reached. Please delete unused apps.
+💡 Use delete_app or aws-deploy destroy <appId>; aws-deploy destroy --stale lists apps without recent builds.`);
+      }
+      
+      const isAuthError = error.message && (error.message.includes('Bad credentials') || error.message.includes('authentication'));
+
+      if (isAuthError && options.provider && options.provider !== 'github') {
+        const provider = getRepositoryProvider(options.provider);
+        throw new Error(`${provider.name} authentication failed during AWS Amplify setup.
+
+AWS Amplify rejected the ${provider.name} credential for ${options.repository}.
+
+${provider.getSetupInstructions()}
+
+AWS Error: ${error.message}`);
       }
       
       // Handle GitHub-related errors specifically
-      if (error.message && (error.message.includes('Bad credentials') || error.message.includes('authentication'))) {
+      if (isAuthError) {
         throw new Error(`GitHub authentication failed during AWS Amplify setup.
 
 Your GitHub token passed validation but AWS Amplify rejected it. This usually means:
 
 1. **GitHub App Not Installed**: AWS Amplify GitHub App must be installed first
-   - Install for your region: https://github.com/apps/aws-amplify-${options.region || 'us-east-1'}/installations/new
+   - Install for your region: https://github.com/apps/aws-amplify-${this.region}/installations/new
    - Select repositories you want to deploy
 
 2. **Wrong Token Scope**: AWS Amplify GitHub App requires 'admin:repo_hook' scope
@@ -844,17 +1316,31 @@ Please check the AWS Amplify console for more details or verify your AWS credent
     }
   }
 
-  async waitForDeployment(appId, branchName) {
+  async waitForDeployment(appId, branchName, jobId = null) {
     const maxAttempts = 120; // 10 minutes (120 * 5 seconds)
     let attempts = 0;
 
     while (attempts < maxAttempts) {
-      const branchResponse = await this.amplifyClient.send(new GetBranchCommand({
-        appId: appId,
-        branchName: branchName
-      }));
+      let stage;
 
-      const stage = branchResponse.branch.stage;
+      if (jobId) {
+        // Track the job we started - an existing branch is already PRODUCTION before a redeploy finishes
+        const jobResponse = await this.amplifyClient.send(new GetJobCommand({
+          appId: appId,
+          branchName: branchName,
+          jobId: jobId
+        }));
+
+        const jobStatus = jobResponse.job.summary.status;
+        stage = jobStatus === 'SUCCEED' ? 'PRODUCTION' : jobStatus === 'CANCELLED' ? 'FAILED' : jobStatus;
+      } else {
+        const branchResponse = await this.amplifyClient.send(new GetBranchCommand({
+          appId: appId,
+          branchName: branchName
+        }));
+
+        stage = branchResponse.branch.stage;
+      }
 
       if (stage === 'PRODUCTION') {
         // Get the app URL
@@ -866,7 +1352,7 @@ Please check the AWS Amplify console for more details or verify your AWS credent
       }
 
       if (stage === 'FAILED') {
-        throw new Error('Deployment failed. Check AWS Amplify console for details.');
+        throw new Error(`Deployment failed. Use get_deployment_logs(app_id="${appId}", branch="${branchName}") to see the failing build step and a diagnosis.`);
       }
 
       // For MCP context, don't wait indefinitely - return partial success for long deployments
@@ -916,80 +1402,962 @@ The app may become available soon. Check:
 3. Use check_deployment_status(app_id="${appId}") to monitor progress`);
   }
 
+  // Status of every branch of an app, production branch first
   async getStatus(appId) {
-    await this.initialize();
+    await this.initialize({ appId });
     
     try {
-      // Get app details
       const appResponse = await this.amplifyClient.send(new GetAppCommand({
         appId: appId
       }));
-
       const app = appResponse.app;
+      const branches = await this.listBranches(appId, { app });
+
+      // Remember the live custom domain of each branch for list_deployments
+      await this.recordCustomDomainUrls(appId, branches
+        .filter(branch => branch.customDomainUrl)
+        .map(branch => ({ branchName: branch.branchName, url: branch.customDomainUrl })));
+
+      return {
+        appId,
+        appName: app.name,
+        defaultDomain: app.defaultDomain,
+        repository: app.repository || null,
+        enableBranchAutoBuild: app.enableBranchAutoBuild,
+        lastUpdated: app.updateTime,
+        branches
+      };
       
-      // Try to find the active branch - don't assume 'main'
-      const branchesResponse = await this.amplifyClient.send(new ListBranchesCommand({
-        appId: appId
-      }));
-      
-      if (!branchesResponse.branches || branchesResponse.branches.length === 0) {
+    } catch (error) {
+      throw new Error(`Failed to get app status: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  /**
+   * Branches of an app with their stage, auto-build settings and the status of their latest job
+   * @param {string} appId
+   * @param {Object} [options]
+   * @param {Object} [options.app] - GetApp result, when the caller already has it
+   * @returns {Promise<Array>} [{ branchName, stage, enableAutoBuild, enablePullRequestPreview, status, jobId, lastJobTime, url, customDomainUrl }]
+   */
+  async listBranches(appId, options = {}) {
+    await this.initialize({ appId });
+
+    try {
+      const app = options.app || (await this.amplifyClient.send(new GetAppCommand({ appId }))).app;
+
+      const branches = [];
+      let nextToken;
+      do {
+        const response = await this.amplifyClient.send(new ListBranchesCommand({ appId, nextToken }));
+        branches.push(...(response.branches || []));
+        nextToken = response.nextToken;
+      } while (nextToken);
+
+      let domains = [];
+      try {
+        domains = branches.length > 0 ? await this.listCustomDomains(appId) : [];
+      } catch {
+        // Missing domain permissions should not break status checks
+      }
+
+      const result = [];
+      for (const branch of branches) {
+        const jobsResponse = await this.amplifyClient.send(new ListJobsCommand({
+          appId,
+          branchName: branch.branchName,
+          maxResults: 1
+        }));
+        const latestJob = jobsResponse.jobSummaries?.[0];
+        const customDomain = domains
+          .filter(domain => domain.status === 'AVAILABLE')
+          .flatMap(domain => domain.urls)
+          .find(url => url.branchName === branch.branchName);
+
+        result.push({
+          branchName: branch.branchName,
+          displayName: branch.displayName || branch.branchName,
+          stage: branch.stage || 'NONE',
+          enableAutoBuild: branch.enableAutoBuild === true,
+          enablePullRequestPreview: branch.enablePullRequestPreview === true,
+          framework: branch.framework || null,
+          // Set on PULL_REQUEST branches: the PR's head and base branch
+          sourceBranch: branch.sourceBranch || null,
+          destinationBranch: branch.destinationBranch || null,
+          envVarNames: Object.keys(branch.environmentVariables || {}),
+          status: latestJob?.status || 'NO_JOBS',
+          jobId: latestJob?.jobId || null,
+          commitId: latestJob?.commitId || null,
+          lastJobTime: latestJob?.endTime || latestJob?.startTime || null,
+          // Amplify serves each branch on a subdomain named after its display name (feature/x → feature-x)
+          url: app.defaultDomain ? `https://${branch.displayName || branch.branchName}.${app.defaultDomain}` : null,
+          customDomainUrl: customDomain?.url || null
+        });
+      }
+
+      const stageOrder = (stage) => BRANCH_STAGES.includes(stage) ? BRANCH_STAGES.indexOf(stage) : BRANCH_STAGES.length;
+      return result.sort((a, b) => stageOrder(a.stage) - stageOrder(b.stage) || a.branchName.localeCompare(b.branchName));
+
+    } catch (error) {
+      throw new Error(`Failed to list branches: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  /**
+   * Connect another branch of the repository (staging, feature branches, ...) to an app.
+   * An existing branch gets the given stage and auto-build settings instead.
+   * @param {string} appId
+   * @param {Object} options
+   * @param {string} options.branchName - Git branch to connect
+   * @param {string} [options.stage] - PRODUCTION, BETA, DEVELOPMENT or EXPERIMENTAL (guessed from the name by default)
+   * @param {boolean} [options.enableAutoBuild] - Build on every push (default: true)
+   * @param {boolean} [options.enablePullRequestPreview] - Build previews for pull requests into the branch
+   * @param {boolean} [options.startBuild] - Start the first build right away (default: true)
+   */
+  async addBranch(appId, options) {
+    await this.initialize({ appId });
+
+    try {
+      const appResponse = await this.amplifyClient.send(new GetAppCommand({ appId }));
+      const app = appResponse.app;
+      const stage = options.stage ? normalizeBranchStage(options.stage) : undefined;
+
+      let existing = null;
+      try {
+        existing = (await this.amplifyClient.send(new GetBranchCommand({ appId, branchName: options.branchName }))).branch;
+      } catch (error) {
+        if (error.name !== 'NotFoundException') {
+          throw error;
+        }
+      }
+
+      if (existing) {
+        // Only change what the caller asked for
+        const changes = {
+          ...(stage && { stage }),
+          ...(options.enableAutoBuild !== undefined && { enableAutoBuild: options.enableAutoBuild }),
+          ...(options.enablePullRequestPreview !== undefined && { enablePullRequestPreview: options.enablePullRequestPreview })
+        };
+        if (Object.keys(changes).length > 0) {
+          await this.amplifyClient.send(new UpdateBranchCommand({ appId, branchName: options.branchName, ...changes }));
+        }
         return {
-          appName: app.name,
-          status: 'NO_BRANCHES',
-          branch: 'None',
-          lastUpdated: app.updateTime,
-          url: null
+          appId,
+          branchName: options.branchName,
+          stage: existing.stage,
+          enableAutoBuild: existing.enableAutoBuild,
+          enablePullRequestPreview: existing.enablePullRequestPreview,
+          ...changes,
+          created: false,
+          jobId: null
         };
       }
-      
-      // Find the production branch or use the first one
-      let targetBranch = branchesResponse.branches.find(b => 
-        b.stage === 'PRODUCTION' || 
-        b.branchName === 'main' || 
-        b.branchName === 'master'
-      );
-      
-      if (!targetBranch) {
-        targetBranch = branchesResponse.branches[0]; // Use first available branch
+
+      const settings = {
+        stage: stage || inferBranchStage(options.branchName),
+        enableAutoBuild: options.enableAutoBuild !== false,
+        ...(options.enablePullRequestPreview !== undefined && { enablePullRequestPreview: options.enablePullRequestPreview })
+      };
+
+      // New branches build with the same framework setting (e.g. Next.js - SSR) as the existing ones
+      const branchesResponse = await this.amplifyClient.send(new ListBranchesCommand({ appId }));
+      const framework = (branchesResponse.branches || []).find(branch => branch.framework)?.framework;
+
+      const createBranchResponse = await this.amplifyClient.send(new CreateBranchCommand({
+        appId,
+        branchName: options.branchName,
+        framework,
+        ...settings
+      }));
+      const url = `https://${createBranchResponse.branch?.displayName || options.branchName}.${app.defaultDomain}`;
+
+      // Repository-less (manual) apps have nothing to build until a zip is uploaded
+      let jobId = null;
+      if (options.startBuild !== false && app.repository) {
+        const startJobResponse = await this.amplifyClient.send(new StartJobCommand({
+          appId,
+          branchName: options.branchName,
+          jobType: 'RELEASE'
+        }));
+        jobId = startJobResponse.jobSummary?.jobId || null;
+
+        const previous = (await this.configManager.getDeploymentHistory({ appId }))[0];
+        await this.configManager.addDeployment({
+          appId,
+          jobId,
+          appName: app.name,
+          projectPath: previous?.projectPath,
+          repository: app.repository,
+          branch: options.branchName,
+          region: this.region,
+          status: 'DEPLOYING',
+          url
+        });
       }
-      
-      // Get detailed branch information
-      const branchResponse = await this.amplifyClient.send(new GetBranchCommand({
-        appId: appId,
-        branchName: targetBranch.branchName
+
+      return { appId, branchName: options.branchName, ...settings, created: true, jobId, url };
+
+    } catch (error) {
+      throw new Error(`Failed to add branch ${options.branchName}: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  /**
+   * Automatic branch creation settings of an app
+   * @returns {Promise<Object>} { appId, appName, enabled, patterns, autoDelete, branchConfig }
+   */
+  async getAutoBranchSettings(appId) {
+    await this.initialize({ appId });
+
+    const app = (await this.amplifyClient.send(new GetAppCommand({ appId }))).app;
+    const { environmentVariables, ...branchConfig } = app.autoBranchCreationConfig || {};
+
+    return {
+      appId,
+      appName: app.name,
+      enabled: Boolean(app.enableAutoBranchCreation),
+      patterns: app.autoBranchCreationPatterns || [],
+      autoDelete: Boolean(app.enableBranchAutoDeletion),
+      branchConfig: {
+        ...branchConfig,
+        // Names only - values can be secrets
+        environmentVariables: Object.keys(environmentVariables || {})
+      }
+    };
+  }
+
+  /**
+   * Change which Git branches Amplify connects automatically and how it sets them up
+   * @param {string} appId
+   * @param {Object} autoBranch - Same shape as autoBranch in .amplify-deploy.json; omitted fields stay unchanged
+   * @param {Object} [options]
+   * @param {string} [options.projectPath] - Start from the project's autoBranch section and save the result back to it,
+   *   so the next deploy does not undo the change
+   */
+  async configureAutoBranches(appId, autoBranch, options = {}) {
+    const projectConfigManager = options.projectPath ? new ConfigManager(options.projectPath) : null;
+    const projectConfig = projectConfigManager ? await projectConfigManager.getProjectConfig() || {} : null;
+
+    if (projectConfig?.autoBranch) {
+      const given = (object) => Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== undefined));
+      autoBranch = {
+        ...projectConfig.autoBranch,
+        ...given(autoBranch),
+        branchConfig: autoBranch.branchConfig || projectConfig.autoBranch.branchConfig
+          ? { ...projectConfig.autoBranch.branchConfig, ...given(autoBranch.branchConfig) }
+          : undefined
+      };
+    }
+
+    const settings = buildAutoBranchSettings(autoBranch);
+    if (Object.keys(settings).length === 0) {
+      return this.getAutoBranchSettings(appId);
+    }
+
+    await this.initialize({ appId });
+
+    const app = (await this.amplifyClient.send(new GetAppCommand({ appId }))).app;
+    const update = this.mergeAutoBranchSettings(app, settings);
+
+    try {
+      await this.amplifyClient.send(new UpdateAppCommand({ appId, ...update }));
+    } catch (error) {
+      throw new Error(`Failed to update automatic branch creation: ${error.message}. App ID: ${appId}`);
+    }
+
+    if (projectConfigManager) {
+      await projectConfigManager.saveProjectConfig({ ...projectConfig, autoBranch });
+    }
+
+    return this.getAutoBranchSettings(appId);
+  }
+
+  /**
+   * Pull request previews of an app (Amplify creates a pr-<number> branch for each open PR)
+   * @returns {Promise<Object>} { appId, appName, repository, previews, branches: [{ branchName, stage, enablePullRequestPreview }] }
+   */
+  async listPreviews(appId) {
+    await this.initialize({ appId });
+
+    const app = (await this.amplifyClient.send(new GetAppCommand({ appId }))).app;
+    const branches = await this.listBranches(appId, { app });
+
+    const previews = branches
+      .filter(branch => branch.stage === 'PULL_REQUEST')
+      .map(branch => {
+        const match = /^pr-(\d+)$/.exec(branch.displayName) || /^pr-(\d+)$/.exec(branch.branchName);
+        return { ...branch, pullRequestNumber: match ? Number(match[1]) : null };
+      })
+      .sort((a, b) => (b.pullRequestNumber || 0) - (a.pullRequestNumber || 0));
+
+    return {
+      appId,
+      appName: app.name,
+      repository: app.repository || null,
+      previews,
+      branches: branches
+        .filter(branch => branch.stage !== 'PULL_REQUEST')
+        .map(({ branchName, stage, enablePullRequestPreview }) => ({ branchName, stage, enablePullRequestPreview }))
+    };
+  }
+
+  // Turn pull request previews of one branch on or off
+  async setPullRequestPreviews(appId, branchName, enabled) {
+    await this.initialize({ appId });
+
+    try {
+      const response = await this.amplifyClient.send(new UpdateBranchCommand({
+        appId,
+        branchName,
+        enablePullRequestPreview: enabled
       }));
-      
-      const branch = branchResponse.branch;
-      
-      // Construct the URL more reliably
-      let appUrl = null;
-      if (branch.stage === 'PRODUCTION' && app.defaultDomain) {
-        appUrl = `https://${branch.branchName}.${app.defaultDomain}`;
-      } else if (app.defaultDomain) {
-        // Even if not in production, show the expected URL
-        appUrl = `https://${branch.branchName}.${app.defaultDomain}`;
+      return { appId, branchName, enablePullRequestPreview: response.branch?.enablePullRequestPreview ?? enabled };
+    } catch (error) {
+      throw new Error(`Failed to ${enabled ? 'enable' : 'disable'} pull request previews for ${branchName}: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  /**
+   * Post (or refresh) a comment with the preview URL and build status on each preview's GitHub pull request.
+   * The comment carries a hidden marker so later calls edit it instead of adding new ones.
+   * @returns {Promise<Array>} [{ pullRequestNumber, result: 'created' | 'updated' | 'failed', error }]
+   */
+  async commentPreviewUrls(appId, repository, previews) {
+    const repoInfo = repository ? parseRepositoryRemote(repository) : null;
+    if (repoInfo?.provider !== 'github') {
+      throw new Error('Preview comments are only supported for apps connected to a GitHub repository.');
+    }
+    if (!this.octokit) {
+      throw new Error(`A GitHub token is required to comment on pull requests.
+💡 Run aws-deploy setup or set GITHUB_TOKEN (the token needs the repo scope to write comments).`);
+    }
+
+    const marker = `<!-- amplify-deploy:preview:${appId} -->`;
+    const results = [];
+
+    for (const preview of previews.filter(p => p.pullRequestNumber)) {
+      const body = `${marker}
+**AWS Amplify preview** for this pull request
+
+| Status | URL |
+| --- | --- |
+| ${preview.status}${preview.jobId ? ` (job #${preview.jobId})` : ''} | ${preview.url} |
+
+_Updated ${new Date().toISOString()}_`;
+
+      try {
+        const { data: comments } = await this.octokit.rest.issues.listComments({
+          owner: repoInfo.owner,
+          repo: repoInfo.repo,
+          issue_number: preview.pullRequestNumber,
+          per_page: 100
+        });
+        const existing = comments.find(comment => comment.body?.includes(marker));
+
+        if (existing) {
+          await this.octokit.rest.issues.updateComment({ owner: repoInfo.owner, repo: repoInfo.repo, comment_id: existing.id, body });
+          results.push({ pullRequestNumber: preview.pullRequestNumber, result: 'updated' });
+        } else {
+          await this.octokit.rest.issues.createComment({ owner: repoInfo.owner, repo: repoInfo.repo, issue_number: preview.pullRequestNumber, body });
+          results.push({ pullRequestNumber: preview.pullRequestNumber, result: 'created' });
+        }
+      } catch (error) {
+        const hint = error.status === 403 || error.status === 404 ? ' (the GitHub token needs the repo scope)' : '';
+        results.push({ pullRequestNumber: preview.pullRequestNumber, result: 'failed', error: `${error.message}${hint}` });
       }
+    }
 
+    return results;
+  }
+
+  // Disconnect a branch from the app; the production branch needs force
+  async removeBranch(appId, branchName, options = {}) {
+    await this.initialize({ appId });
+
+    let branch;
+    try {
+      branch = (await this.amplifyClient.send(new GetBranchCommand({ appId, branchName }))).branch;
+    } catch (error) {
+      throw new Error(`Failed to remove branch ${branchName}: ${error.message}. App ID: ${appId}`);
+    }
+
+    if (branch.stage === 'PRODUCTION' && !options.force) {
+      throw new Error(`${branchName} is the production branch of ${appId}.
+💡 Removing it takes the site offline. Pass force to remove it anyway, or change its stage first with add_branch.`);
+    }
+
+    try {
+      await this.amplifyClient.send(new DeleteBranchCommand({ appId, branchName }));
+      return { appId, branchName, stage: branch.stage };
+    } catch (error) {
+      throw new Error(`Failed to remove branch ${branchName}: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  /**
+   * Everything deleting an app removes, for dry runs and the confirmation prompt.
+   * An app that is already gone from AWS still has history entries and project links to clean up.
+   * missing only means the app is not in the region that was checked (plan.region).
+   * @param {string} appId
+   * @param {Object} [options]
+   * @param {string} [options.projectPath] - Also check this project's .amplify-deploy.json link
+   * @param {string} [options.region] - Region to look for the app in instead of the resolved one
+   * @returns {Promise<Object>} { appId, appName, repository, region, missing, branches, domains, webhooks, envVars, secrets, historyEntries, linkedProjects }
+   */
+  async planAppDeletion(appId, options = {}) {
+    await this.initialize({ appId, region: options.region });
+
+    const history = await this.configManager.getDeploymentHistory({ appId });
+    const linkedProjects = await this.findLinkedProjects(appId, [options.projectPath, ...history.map(d => d.projectPath)]);
+
+    let app = null;
+    try {
+      app = (await this.amplifyClient.send(new GetAppCommand({ appId }))).app;
+    } catch (error) {
+      if (error.name !== 'NotFoundException') {
+        throw new Error(`Failed to read app ${appId}: ${error.message}`);
+      }
+    }
+
+    // Secrets outlive the app in Parameter Store; null means they could not be listed
+    let secrets = null;
+    try {
+      secrets = await new AmplifyEnvManager(this.region, this.configManager).listAppSecretNames(appId);
+    } catch {
+      secrets = null;
+    }
+
+    if (!app) {
+      if (history.length === 0 && linkedProjects.length === 0) {
+        throw new Error(`App ${appId} was not found in AWS Amplify (${this.region}) or in the deployment history.`);
+      }
       return {
+        appId,
+        appName: history[0]?.appName || null,
+        repository: history[0]?.repository || null,
+        region: this.region,
+        missing: true,
+        branches: [],
+        domains: [],
+        webhooks: [],
+        envVars: [],
+        secrets,
+        historyEntries: history.length,
+        linkedProjects
+      };
+    }
+
+    const branches = await this.listBranches(appId, { app });
+
+    let domains = [];
+    try {
+      domains = (await this.listCustomDomains(appId)).map(domain => domain.domainName);
+    } catch {
+      // Reported as none; DeleteApp removes them regardless
+    }
+
+    const webhooks = [];
+    let nextToken;
+    do {
+      const response = await this.amplifyClient.send(new ListWebhooksCommand({ appId, nextToken }));
+      webhooks.push(...(response.webhooks || []).map(webhook => ({ webhookId: webhook.webhookId, branchName: webhook.branchName })));
+      nextToken = response.nextToken;
+    } while (nextToken);
+
+    return {
+      appId,
+      appName: app.name,
+      repository: app.repository || null,
+      region: this.region,
+      missing: false,
+      branches: branches.map(({ branchName, stage, status }) => ({ branchName, stage, status })),
+      domains,
+      webhooks,
+      envVars: [
+        ...Object.keys(app.environmentVariables || {}),
+        ...branches.flatMap(branch => branch.envVarNames.map(key => `${branch.branchName}:${key}`))
+      ],
+      secrets,
+      historyEntries: history.length,
+      linkedProjects
+    };
+  }
+
+  /**
+   * Delete an Amplify app with its branches, domains, webhooks and environment variables,
+   * then its Parameter Store secrets, deployment history entries and .amplify-deploy.json links.
+   * @param {string} appId
+   * @param {Object} options
+   * @param {string} options.confirmName - Must be the app's name, typed by the user
+   * @param {string} [options.projectPath] - Also unlink this project
+   * @param {string} [options.region] - Region of the app; required to clean up an app that was not found
+   * @returns {Promise<Object>} The plan plus { removedHistoryEntries, deletedSecrets, warnings }
+   */
+  async deleteApp(appId, options = {}) {
+    const plan = await this.planAppDeletion(appId, { projectPath: options.projectPath, region: options.region });
+    const expectedName = plan.appName || appId;
+
+    // A wrongly resolved region looks the same as a deleted app; never drop the records of a live app on a guess
+    if (plan.missing && !options.region) {
+      throw new Error(`App ${appId} was not found in ${plan.region}. If it lives in another region, cleaning up would remove the records of a live app.
+💡 Pass the region the app was deployed to explicitly to remove its local records.`);
+    }
+
+    if (options.confirmName !== expectedName) {
+      throw new Error(`Confirmation does not match. Type the app name "${expectedName}" to delete ${appId}.
+💡 Run a dry run first to see everything that will be removed.`);
+    }
+
+    if (!plan.missing) {
+      try {
+        await this.amplifyClient.send(new DeleteAppCommand({ appId }));
+      } catch (error) {
+        if (error.name !== 'NotFoundException') {
+          throw new Error(`Failed to delete app ${appId}: ${error.message}`);
+        }
+      }
+    }
+
+    const warnings = [];
+    let deletedSecrets = 0;
+    if (plan.secrets === null || plan.secrets.length > 0) {
+      try {
+        deletedSecrets = await new AmplifyEnvManager(this.region, this.configManager).deleteAppSecrets(appId);
+      } catch (error) {
+        warnings.push(`Parameter Store secrets under /amplify/shared/${appId}/ and /amplify/${appId}/ were not deleted: ${error.message}`);
+      }
+    }
+
+    const removedHistoryEntries = await this.configManager.removeDeployments(appId);
+
+    for (const projectPath of plan.linkedProjects) {
+      try {
+        const projectConfigManager = new ConfigManager(projectPath);
+        const projectConfig = await projectConfigManager.getProjectConfig();
+        // The region was written with the appId and would keep steering resolveRegion to the old app's region
+        delete projectConfig.appId;
+        delete projectConfig.region;
+        await projectConfigManager.saveProjectConfig(projectConfig);
+      } catch (error) {
+        warnings.push(`Could not remove the app link from ${projectPath}/.amplify-deploy.json: ${error.message}`);
+      }
+    }
+
+    return { ...plan, removedHistoryEntries, deletedSecrets, warnings };
+  }
+
+  // Projects whose .amplify-deploy.json points at the app
+  async findLinkedProjects(appId, projectPaths) {
+    const linked = [];
+    for (const projectPath of new Set(projectPaths.filter(Boolean))) {
+      const projectConfig = await new ConfigManager(projectPath).getProjectConfig();
+      if (projectConfig?.appId === appId) {
+        linked.push(projectPath);
+      }
+    }
+    return linked;
+  }
+
+  /**
+   * Apps imported by sync_deployments_from_aws that nothing has built for a while - candidates for deletion.
+   * Apps deployed through this tool are never reported; delete those one by one.
+   * @param {Object} [options]
+   * @param {number} [options.olderThanDays=90] - No job on any branch for this long
+   * @param {string} [options.region] - Look for every app in this region instead of each app's resolved one
+   * @returns {Promise<Array>} [{ appId, appName, repository, region, lastActivity, missing }], least recently active first
+   */
+  async findStaleApps(options = {}) {
+    const olderThanDays = options.olderThanDays || 90;
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const history = await this.configManager.getDeploymentHistory();
+
+    // An app counts as imported only if every history entry came from the AWS sync
+    const importedApps = new Map();
+    const deployedAppIds = new Set();
+    for (const deployment of history) {
+      if (!deployment.appId) continue;
+      if (!deployment.importedFromAWS) {
+        deployedAppIds.add(deployment.appId);
+      } else if (!importedApps.has(deployment.appId)) {
+        importedApps.set(deployment.appId, deployment);
+      }
+    }
+
+    const stale = [];
+    for (const [appId, deployment] of importedApps) {
+      if (deployedAppIds.has(appId)) continue;
+
+      // Imported apps can come from different regions
+      await this.initialize({ appId, region: options.region });
+      let app;
+      try {
+        app = (await this.amplifyClient.send(new GetAppCommand({ appId }))).app;
+      } catch (error) {
+        if (error.name !== 'NotFoundException') throw error;
+        stale.push({ appId, appName: deployment.appName, repository: deployment.repository, region: this.region, lastActivity: null, missing: true });
+        continue;
+      }
+
+      const branches = await this.listBranches(appId, { app });
+      const jobTimes = branches.map(branch => branch.lastJobTime).filter(Boolean).map(time => new Date(time).getTime());
+      const lastActivity = jobTimes.length > 0 ? Math.max(...jobTimes) : new Date(app.updateTime || app.createTime || 0).getTime();
+
+      if (lastActivity < cutoff) {
+        stale.push({
+          appId,
+          appName: app.name,
+          repository: app.repository || null,
+          region: this.region,
+          lastActivity: lastActivity ? new Date(lastActivity).toISOString() : null,
+          missing: false
+        });
+      }
+    }
+
+    return stale.sort((a, b) => (a.lastActivity || '').localeCompare(b.lastActivity || ''));
+  }
+
+  // Pick the branch a command should act on when the caller did not name one
+  async resolveBranchName(appId, branchName) {
+    if (branchName) return branchName;
+
+    const branchesResponse = await this.amplifyClient.send(new ListBranchesCommand({ appId }));
+    const branches = branchesResponse.branches || [];
+
+    if (branches.length === 0) {
+      throw new Error(`App ${appId} has no branches.`);
+    }
+
+    const targetBranch = branches.find(b => b.stage === 'PRODUCTION') ||
+      branches.find(b => b.branchName === 'main' || b.branchName === 'master') ||
+      branches[0];
+
+    return targetBranch.branchName;
+  }
+
+  async getDeploymentLogs(appId, options = {}) {
+    await this.initialize({ appId });
+
+    try {
+      const branchName = await this.resolveBranchName(appId, options.branch);
+
+      // Default to the most recent job on the branch
+      let jobId = options.jobId;
+      if (!jobId) {
+        const jobsResponse = await this.amplifyClient.send(new ListJobsCommand({
+          appId,
+          branchName,
+          maxResults: 1
+        }));
+        const latestJob = jobsResponse.jobSummaries?.[0];
+        if (!latestJob) {
+          throw new Error(`No jobs found for branch ${branchName}.`);
+        }
+        jobId = latestJob.jobId;
+      }
+
+      const jobResponse = await this.amplifyClient.send(new GetJobCommand({ appId, branchName, jobId }));
+      const job = jobResponse.job;
+
+      // Step logs are pre-signed S3 URLs that expire, so download them right away
+      const steps = [];
+      for (const step of job.steps || []) {
+        let log = null;
+        if (step.logUrl) {
+          try {
+            const response = await fetch(step.logUrl);
+            if (response.ok) {
+              log = await response.text();
+            }
+          } catch {
+            // Log download failed - report the step without it
+          }
+        }
+
+        steps.push({
+          stepName: step.stepName,
+          status: step.status,
+          statusReason: step.statusReason,
+          startTime: step.startTime,
+          endTime: step.endTime,
+          log
+        });
+      }
+
+      const failingStep = steps.find(step => step.status === 'FAILED') || null;
+      const logToDiagnose = failingStep?.log || steps.map(step => step.log || '').join('\n');
+
+      return {
+        appId,
+        branchName,
+        jobId,
+        status: job.summary.status,
+        commitId: job.summary.commitId,
+        commitMessage: job.summary.commitMessage,
+        startTime: job.summary.startTime,
+        endTime: job.summary.endTime,
+        steps,
+        failingStep,
+        tail: failingStep ? tailLog(failingStep.log, options.lines || 50) : null,
+        diagnoses: job.summary.status === 'FAILED' ? diagnoseBuildLog(logToDiagnose) : []
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get deployment logs: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  // Successful jobs on a branch, newest first; the first one is what is live now
+  async listRollbackCandidates(appId, options = {}) {
+    await this.initialize({ appId });
+
+    try {
+      const branchName = await this.resolveBranchName(appId, options.branch);
+      const limit = options.limit || 10;
+
+      const jobs = [];
+      let nextToken;
+      do {
+        const jobsResponse = await this.amplifyClient.send(new ListJobsCommand({
+          appId,
+          branchName,
+          maxResults: 50,
+          nextToken
+        }));
+
+        for (const job of jobsResponse.jobSummaries || []) {
+          if (job.status === 'SUCCEED' && job.commitId) {
+            jobs.push({
+              jobId: job.jobId,
+              jobType: job.jobType,
+              commitId: job.commitId,
+              commitMessage: job.commitMessage,
+              commitTime: job.commitTime,
+              endTime: job.endTime,
+              isCurrent: jobs.length === 0
+            });
+          }
+        }
+
+        nextToken = jobsResponse.nextToken;
+      } while (nextToken && jobs.length < limit + 1);
+
+      return { appId, branchName, jobs: jobs.slice(0, limit + 1) };
+
+    } catch (error) {
+      throw new Error(`Failed to list previous deployments: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  // Re-release the commit of an earlier successful job (defaults to the one before the live job)
+  async rollbackDeployment(appId, options = {}) {
+    const { branchName, jobs } = await this.listRollbackCandidates(appId, { branch: options.branch, limit: 50 });
+
+    const target = options.jobId
+      ? jobs.find(job => job.jobId === String(options.jobId))
+      : jobs.find(job => !job.isCurrent);
+
+    if (!target) {
+      throw new Error(options.jobId
+        ? `Job #${options.jobId} is not a successful deployment on branch ${branchName}.`
+        : `No previous successful deployment found on branch ${branchName} to roll back to.`);
+    }
+
+    if (target.isCurrent) {
+      throw new Error(`Job #${target.jobId} is already the live deployment on branch ${branchName}.`);
+    }
+
+    try {
+      const firstLine = (target.commitMessage || '').split('\n')[0];
+      const startJobResponse = await this.amplifyClient.send(new StartJobCommand({
+        appId,
+        branchName,
+        jobType: 'RELEASE',
+        commitId: target.commitId,
+        commitMessage: `Rollback to job #${target.jobId}${firstLine ? `: ${firstLine}` : ''}`,
+        commitTime: target.commitTime
+      }));
+
+      const appResponse = await this.amplifyClient.send(new GetAppCommand({ appId }));
+      const app = appResponse.app;
+      const jobId = startJobResponse.jobSummary?.jobId;
+      const url = `https://${branchName}.${app.defaultDomain}`;
+
+      const previous = (await this.configManager.getDeploymentHistory()).find(d => d.appId === appId);
+
+      await this.configManager.addDeployment({
+        appId,
+        jobId,
         appName: app.name,
-        status: branch.stage || 'UNKNOWN',
-        branch: branch.branchName,
-        lastUpdated: branch.updateTime || app.updateTime,
-        url: appUrl,
-        // Additional debug info
-        debugInfo: {
-          appId: appId,
-          defaultDomain: app.defaultDomain,
-          totalBranches: branchesResponse.branches.length,
-          availableBranches: branchesResponse.branches.map(b => ({ name: b.branchName, stage: b.stage }))
+        projectPath: previous?.projectPath,
+        repository: app.repository,
+        branch: branchName,
+        region: this.region,
+        status: 'ROLLBACK',
+        url,
+        rollbackOf: {
+          jobId: target.jobId,
+          commitId: target.commitId,
+          commitMessage: firstLine
         }
+      });
+
+      return {
+        appId,
+        branchName,
+        jobId,
+        url,
+        target
       };
-      
+
     } catch (error) {
-      throw new Error(`Failed to get app status: ${error.message}. App ID: ${appId}`);
+      throw new Error(`Rollback failed: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  async addCustomDomain(appId, options) {
+    await this.initialize({ appId });
+
+    try {
+      let subdomains = options.subdomains;
+      if (!subdomains || subdomains.length === 0) {
+        // Default: apex and www both serve the production branch
+        const branchName = await this.resolveBranchName(appId, options.branch);
+        subdomains = [
+          { prefix: '', branchName },
+          { prefix: 'www', branchName }
+        ];
+      }
+
+      await this.amplifyClient.send(new CreateDomainAssociationCommand({
+        appId,
+        domainName: options.domainName,
+        subDomainSettings: subdomains.map(s => ({ prefix: s.prefix, branchName: s.branchName })),
+        enableAutoSubDomain: options.enableAutoSubDomain || false
+      }));
+
+      return await this.getDomainStatus(appId, options.domainName);
+
+    } catch (error) {
+      throw new Error(`Failed to add custom domain ${options.domainName}: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  // Replace the subdomain to branch mapping of an existing domain
+  async updateCustomDomain(appId, options) {
+    await this.initialize({ appId });
+
+    try {
+      await this.amplifyClient.send(new UpdateDomainAssociationCommand({
+        appId,
+        domainName: options.domainName,
+        subDomainSettings: options.subdomains.map(s => ({ prefix: s.prefix, branchName: s.branchName })),
+        ...(options.enableAutoSubDomain !== undefined && { enableAutoSubDomain: options.enableAutoSubDomain })
+      }));
+
+      return await this.getDomainStatus(appId, options.domainName);
+
+    } catch (error) {
+      throw new Error(`Failed to update custom domain ${options.domainName}: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  async getDomainStatus(appId, domainName) {
+    await this.initialize({ appId });
+
+    try {
+      const response = await this.amplifyClient.send(new GetDomainAssociationCommand({ appId, domainName }));
+      const domain = this.formatDomainAssociation(response.domainAssociation);
+
+      // Remember active domains so list_deployments can show them without calling AWS
+      if (domain.status === 'AVAILABLE') {
+        await this.recordCustomDomainUrls(appId, domain.urls);
+      }
+
+      return domain;
+
+    } catch (error) {
+      throw new Error(`Failed to get status of custom domain ${domainName}: ${error.message}. App ID: ${appId}`);
     }
   }
 
+  async listCustomDomains(appId) {
+    await this.initialize({ appId });
+
+    try {
+      const response = await this.amplifyClient.send(new ListDomainAssociationsCommand({ appId }));
+      return (response.domainAssociations || []).map(domain => this.formatDomainAssociation(domain));
+    } catch (error) {
+      throw new Error(`Failed to list custom domains: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  async removeCustomDomain(appId, domainName) {
+    await this.initialize({ appId });
+
+    try {
+      await this.amplifyClient.send(new DeleteDomainAssociationCommand({ appId, domainName }));
+      await this.configManager.updateDeployments(appId, { customDomainUrl: null });
+    } catch (error) {
+      throw new Error(`Failed to remove custom domain ${domainName}: ${error.message}. App ID: ${appId}`);
+    }
+  }
+
+  // Stamp each branch's history records with the first custom domain URL that serves that branch
+  async recordCustomDomainUrls(appId, urls) {
+    const branchUrls = new Map();
+    for (const { branchName, url } of urls) {
+      if (!branchUrls.has(branchName)) branchUrls.set(branchName, url);
+    }
+
+    for (const [branchName, url] of branchUrls) {
+      await this.configManager.updateDeployments(appId, { customDomainUrl: url }, branchName);
+    }
+  }
+
+  // Turn an Amplify DomainAssociation into the records a user has to add at their DNS provider
+  formatDomainAssociation(association) {
+    const domainName = association.domainName;
+    const subdomains = (association.subDomains || []).map(sub => ({
+      prefix: sub.subDomainSetting.prefix,
+      branchName: sub.subDomainSetting.branchName,
+      verified: sub.verified,
+      dnsRecord: parseDnsRecord(sub.dnsRecord, domainName)
+    }));
+
+    const certificateType = association.certificate?.type || 'AMPLIFY_MANAGED';
+    const certificateRecord = parseDnsRecord(association.certificate?.certificateVerificationDNSRecord ||
+      association.certificateVerificationDNSRecord, domainName);
+
+    // Records still to be created: certificate validation until the domain is live, then each unverified subdomain
+    const dnsRecords = [];
+    if (certificateRecord && certificateType === 'AMPLIFY_MANAGED' && association.domainStatus !== 'AVAILABLE') {
+      dnsRecords.push({ ...certificateRecord, purpose: 'SSL certificate verification' });
+    }
+    for (const sub of subdomains) {
+      if (sub.dnsRecord && !sub.verified) {
+        dnsRecords.push({ ...sub.dnsRecord, purpose: `${sub.prefix || 'apex'} → ${sub.branchName}` });
+      }
+    }
+
+    return {
+      domainName,
+      status: association.domainStatus,
+      statusReason: association.statusReason,
+      updateStatus: association.updateStatus,
+      certificateType,
+      certificateRecord,
+      subdomains,
+      dnsRecords,
+      // Most DNS providers cannot put a CNAME on the apex domain
+      needsApexAlias: subdomains.some(sub => !sub.prefix && !sub.verified),
+      urls: subdomains.map(sub => ({
+        branchName: sub.branchName,
+        url: customDomainUrl(domainName, sub.prefix)
+      }))
+    };
+  }
+
   async checkPrerequisites(projectPath = null) {
     const checks = [];
 
@@ -1061,11 +2429,52 @@ The app may become available soon. Check:
       }
     }
 
+    // Projects hosted outside GitHub are checked against their own provider
+    let projectRepoInfo = null;
+    if (projectPath) {
+      try {
+        projectRepoInfo = await this.ensureRepository(projectPath);
+      } catch {
+        // No remote yet - fall through to the GitHub checks
+      }
+    }
+
+    if (projectRepoInfo && projectRepoInfo.provider !== 'github') {
+      const provider = getRepositoryProvider(projectRepoInfo.provider);
+      const token = process.env[provider.tokenEnvVar] || await this.configManager.getRepositoryToken(provider.id);
+
+      if (!token) {
+        checks.push({
+          name: `${provider.name} Setup`,
+          installed: false,
+          message: `Set ${provider.tokenEnvVar} to deploy ${projectRepoInfo.repository}`
+        });
+      } else {
+        try {
+          await provider.validateRepositoryAccess(token, projectRepoInfo);
+          checks.push({
+            name: `${provider.name} Access`,
+            installed: true,
+            message: `Repository access confirmed for ${projectRepoInfo.repository}`
+          });
+        } catch (error) {
+          checks.push({
+            name: `${provider.name} Access`,
+            installed: false,
+            message: `Validation failed: ${error.message.split('\n')[0]}`
+          });
+        }
+      }
+
+      return checks;
+    }
+
     // Check GitHub token with comprehensive validation
     if (process.env.GITHUB_TOKEN) {
+      const github = getRepositoryProvider('github');
       try {
         // Use the same comprehensive validation as deployment
-        await this.validateGitHubToken(process.env.GITHUB_TOKEN);
+        await github.validateToken(process.env.GITHUB_TOKEN);
         
         const userResponse = await fetch('https://api.github.com/user', {
           headers: {
@@ -1081,8 +2490,8 @@ The app may become available soon. Check:
           // If projectPath provided, also test repository access
           if (projectPath) {
             try {
-              const repoInfo = await this.ensureGitHubRepo(projectPath);
-              await this.validateGitHubTokenForRepository(process.env.GITHUB_TOKEN, repoInfo);
+              const repoInfo = projectRepoInfo || await this.ensureRepository(projectPath);
+              await github.validateRepositoryAccess(process.env.GITHUB_TOKEN, repoInfo);
               message += ` + repository access confirmed`;
             } catch (repoError) {
               // Don't fail the whole check if repo validation fails, just note it
@@ -1120,9 +2529,10 @@ The app may become available soon. Check:
     return checks;
   }
 
-  async syncDeploymentHistoryFromAWS() {
+  // Import the apps of one region (see ConfigManager.resolveRegion) into the deployment history
+  async syncDeploymentHistoryFromAWS(options = {}) {
     try {
-      await this.initialize();
+      await this.initialize({ region: options.region });
       
       // Get list of Amplify apps from AWS
       const listAppsResponse = await this.amplifyClient.send(new ListAppsCommand({}));
@@ -1161,7 +2571,7 @@ The app may become available soon. Check:
             projectPath: 'Unknown (imported from AWS)', 
             repository: app.repository || 'Unknown',
             branch: 'main',
-            region: app.region || 'us-east-1',
+            region: this.region,
             status: branchInfo?.stage === 'PRODUCTION' ? 'DEPLOYED' : 'UNKNOWN',
             url: appUrl,
             importedFromAWS: true
@@ -0,0 +1,80 @@
+const { createHash, timingSafeEqual } = require('crypto');
+const { URL } = require('url');
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host) || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+// Host header without the port, e.g. "[::1]:3456" -> "::1"
+function hostnameOf(hostHeader) {
+  const match = /^\[([^\]]+)\]|^([^:]+)/.exec(hostHeader.trim().toLowerCase());
+  return match ? match[1] || match[2] : '';
+}
+
+function normalizeOrigin(origin) {
+  try {
+    return new URL(origin).origin;
+  } catch {
+    throw new Error(`Invalid allowed origin: ${origin} (expected e.g. https://tools.example.com)`);
+  }
+}
+
+// Compares hashes so the comparison takes the same time for every guess
+function tokensMatch(given, expected) {
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Access rules for the network transports of the MCP server.
+ *
+ * The server can deploy, delete apps and read secrets, so a request is only let in when:
+ * - its Host header names the server (loopback names, the bound host or allowedHosts),
+ *   which stops DNS rebinding from a web page
+ * - it has no Origin header (IDEs and CLIs) or an Origin from allowedOrigins,
+ *   which stops cross-site requests from a browser
+ * - it carries `Authorization: Bearer <token>` when a token is configured
+ *
+ * @param {Object} options
+ * @param {string} options.host - Address the server listens on
+ * @param {string[]} [options.allowedHosts] - Extra Host header names, e.g. the DNS name of a shared server
+ * @param {string[]} [options.allowedOrigins] - Browser origins allowed to connect
+ * @param {string} [options.token] - Bearer token clients must send; required when host is not a loopback address
+ * @returns {Function} (headers) => null when allowed, or { status, message }
+ */
+function createAccessCheck({ host, allowedHosts = [], allowedOrigins = [], token = null }) {
+  if (!isLoopbackHost(host) && !token) {
+    throw new Error(`Refusing to listen on ${host} without a token: set AMPLIFY_MCP_TOKEN so other machines have to authenticate`);
+  }
+
+  const hosts = new Set(allowedHosts.map(name => hostnameOf(name)));
+  if (!WILDCARD_HOSTS.includes(host)) {
+    hosts.add(hostnameOf(host.includes(':') ? `[${host}]` : host));
+  }
+  const origins = new Set(allowedOrigins.map(normalizeOrigin));
+
+  return (headers) => {
+    const hostname = hostnameOf(headers.host || '');
+    if (!hosts.has(hostname) && !isLoopbackHost(hostname)) {
+      return { status: 403, message: `Host not allowed: ${headers.host || '(none)'}` };
+    }
+
+    if (headers.origin !== undefined && !origins.has(headers.origin)) {
+      return { status: 403, message: `Origin not allowed: ${headers.origin}` };
+    }
+
+    if (token) {
+      const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+      if (!match || !tokensMatch(match[1], token)) {
+        return { status: 401, message: 'Missing or invalid bearer token' };
+      }
+    }
+
+    return null;
+  };
+}
+
+module.exports = { createAccessCheck, isLoopbackHost };
@@ -9,25 +9,50 @@ const { ConfigManager } = require('./config-manager.js');
 const path = require('path');
 const fs = require('fs');
 
+const { MultiplexServerTransport } = require('./mcp-transport.js');
+const { createAccessCheck } = require('./mcp-access.js');
+const { FRAMEWORKS } = require('./build-config.js');
+
 // Use dynamic imports for MCP SDK (ESM only)
-let Server, StdioServerTransport, ListToolsRequestSchema, CallToolRequestSchema, ListToolsResultSchema, CallToolResultSchema;
+let Server, StdioServerTransport, SSEServerTransport, ListToolsRequestSchema, CallToolRequestSchema, ListToolsResultSchema, CallToolResultSchema;
 
 async function initializeMCPSDK() {
   const serverModule = await import('@modelcontextprotocol/sdk/server/index.js');
   const stdioModule = await import('@modelcontextprotocol/sdk/server/stdio.js');
+  const sseModule = await import('@modelcontextprotocol/sdk/server/sse.js');
   const typesModule = await import('@modelcontextprotocol/sdk/types.js');
   
   Server = serverModule.Server;
   StdioServerTransport = stdioModule.StdioServerTransport;
+  SSEServerTransport = sseModule.SSEServerTransport;
   ListToolsRequestSchema = typesModule.ListToolsRequestSchema;
   CallToolRequestSchema = typesModule.CallToolRequestSchema;
   ListToolsResultSchema = typesModule.ListToolsResultSchema;
   CallToolResultSchema = typesModule.CallToolResultSchema;
 }
 
+// Latest job status of a branch
+const BRANCH_STATUS_EMOJI = {
+  PENDING: '⏳',
+  PROVISIONING: '🔧',
+  RUNNING: '🏃',
+  SUCCEED: '✅',
+  FAILED: '❌',
+  CANCELLING: '🚫',
+  CANCELLED: '🚫',
+  NO_JOBS: '💤'
+};
+
+const BRANCH_IN_PROGRESS_STATUSES = ['PENDING', 'PROVISIONING', 'RUNNING'];
+
 class MCPServer {
   constructor(options = {}) {
     this.port = options.port || 3456;
+    // Network mode only listens on loopback unless a host is given; see createAccessCheck
+    this.host = options.host || '127.0.0.1';
+    this.allowedHosts = options.allowedHosts || [];
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.token = options.token || process.env.AMPLIFY_MCP_TOKEN || null;
     this.mode = options.mode || 'local';
     this.server = null; // Will be initialized after SDK is loaded
     
@@ -66,10 +91,14 @@ class MCPServer {
 - Get app ID and expected URL right away
 - Track progress with check_deployment_status()
 - Continue working while deployment runs
+- Redeploys reuse the project's existing Amplify app (no duplicate apps or new URLs)
+- Monorepos (npm/yarn/pnpm workspaces, Turborepo, Nx): pass app_root to pick the app under apps/
+- No GitHub? manual=true builds locally and uploads a zip instead of connecting a repository
 
 🔐 ENVIRONMENT VARIABLES - Consent-Based Workflow:
 If .env files are detected, the system will FIRST ask for your consent before deployment begins:
-- Shows a preview of what would be synced (with masked values for security)
+- Shows a diff against the app's current variables: new, changed and Amplify-only (with masked values for security)
+- Variables set in the Amplify console are never deleted by a sync unless you ask for it
 - Explains filtering rationale (dev vs prod variables)
 - Waits for your explicit approval before proceeding
 
@@ -106,6 +135,10 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
                   type: 'string',
                   description: 'Name for the Amplify app (optional, defaults to folder name)'
                 },
+                app_root: {
+                  type: 'string',
+                  description: 'Monorepo only: path of the app to deploy relative to project_path (e.g. apps/web). Required when the workspace contains several web apps.'
+                },
                 branch: {
                   type: 'string',
                   description: 'Git branch to deploy (default: main)',
@@ -113,12 +146,25 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
                 },
                 region: {
                   type: 'string',
-                  description: 'AWS region (default: us-east-1)',
-                  default: 'us-east-1'
+                  description: 'AWS region (optional, defaults to region in .amplify-deploy.json, then AWS_REGION, your profile and us-east-1)'
                 },
                 sync_env_vars: {
                   type: 'boolean',
                   description: 'Environment variable sync decision: true (sync), false (skip), undefined (ask for consent first)'
+                },
+                manual: {
+                  type: 'boolean',
+                  description: 'Deploy without Git: build locally, zip the output and upload it to an Amplify app that has no repository (static sites only)',
+                  default: false
+                },
+                build_directory: {
+                  type: 'string',
+                  description: 'Manual deploys only: build output folder to upload, relative to the project (defaults to the framework output, e.g. dist or build)'
+                },
+                skip_build: {
+                  type: 'boolean',
+                  description: 'Manual deploys only: upload the existing build output without running the build script',
+                  default: false
                 }
               },
               required: ['project_path']
@@ -126,7 +172,7 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
           },
           {
             name: 'check_deployment_status',
-            description: 'Check the status of an AWS Amplify deployment with enhanced debugging information',
+            description: 'Check the status of every branch of an AWS Amplify app (stage, auto-build, latest job status and URL)',
             inputSchema: {
               type: 'object',
               properties: {
@@ -138,15 +184,356 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
               required: ['app_id']
             }
           },
+          {
+            name: 'get_deployment_logs',
+            description: 'Get build logs for an Amplify deployment job, show the tail of the failing step and diagnose common build failures (lockfile mismatch, missing build script, wrong artifacts directory, Node.js version)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Branch name (optional, defaults to the production branch)'
+                },
+                job_id: {
+                  type: 'string',
+                  description: 'Job ID (optional, defaults to the most recent job on the branch)'
+                },
+                lines: {
+                  type: 'number',
+                  description: 'Number of log lines to show from the failing step (default: 50)',
+                  default: 50
+                }
+              },
+              required: ['app_id']
+            }
+          },
+          {
+            name: 'rollback_deployment',
+            description: `Roll back a branch to a previous successful deployment.
+
+- Without job_id: lists previous successful jobs (commit ID and message) so you can choose one - nothing is changed
+- With job_id: re-releases that job's commit and records the rollback in deployment history`,
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Branch name (optional, defaults to the production branch)'
+                },
+                job_id: {
+                  type: 'string',
+                  description: 'ID of the successful job to roll back to (omit to list candidates first)'
+                }
+              },
+              required: ['app_id']
+            }
+          },
+          {
+            name: 'add_branch',
+            description: 'Connect another Git branch (staging, feature branch, ...) to an Amplify app with its own stage and auto-build settings and start its first build. For an already connected branch, updates its stage and auto-build settings.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Git branch name'
+                },
+                stage: {
+                  type: 'string',
+                  enum: ['PRODUCTION', 'BETA', 'DEVELOPMENT', 'EXPERIMENTAL'],
+                  description: 'Branch stage (optional; new branches get one from their name: main → PRODUCTION, staging → BETA, develop → DEVELOPMENT, others → EXPERIMENTAL)'
+                },
+                enable_auto_build: {
+                  type: 'boolean',
+                  description: 'Build and deploy on every push to the branch (default: true for new branches, unchanged for existing ones)'
+                },
+                enable_pull_request_preview: {
+                  type: 'boolean',
+                  description: 'Build previews for pull requests targeting the branch (optional)'
+                },
+                start_build: {
+                  type: 'boolean',
+                  description: 'Start the first build of a new branch right away (default: true)',
+                  default: true
+                }
+              },
+              required: ['app_id', 'branch']
+            }
+          },
+          {
+            name: 'list_branches',
+            description: 'List the branches of an Amplify app with their stage, auto-build settings, latest job status and URL',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                }
+              },
+              required: ['app_id']
+            }
+          },
+          {
+            name: 'remove_branch',
+            description: 'Disconnect a branch from an Amplify app and delete its deployment. The production branch is only removed with force.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Branch to remove'
+                },
+                force: {
+                  type: 'boolean',
+                  description: 'Also remove a PRODUCTION branch (default: false)',
+                  default: false
+                }
+              },
+              required: ['app_id', 'branch']
+            }
+          },
+          {
+            name: 'list_previews',
+            description: 'List the active pull request preview environments of an Amplify app with their PR number, URL and build status. Can also post the preview URL as a comment on each GitHub pull request.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                post_comments: {
+                  type: 'boolean',
+                  description: 'Comment the preview URL and status on each pull request, editing the previous comment if there is one (GitHub only, needs a GitHub token; default: false)',
+                  default: false
+                }
+              },
+              required: ['app_id']
+            }
+          },
+          {
+            name: 'configure_previews',
+            description: 'Turn pull request previews on or off for a branch. Pull requests targeting the branch then get (or stop getting) their own preview environment.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Branch the pull requests target, e.g. main'
+                },
+                enabled: {
+                  type: 'boolean',
+                  description: 'true to build previews, false to stop'
+                }
+              },
+              required: ['app_id', 'branch', 'enabled']
+            }
+          },
+          {
+            name: 'manage_auto_branches',
+            description: `Control which Git branches AWS Amplify connects automatically when they are pushed.
+
+Actions:
+- get: show the branch patterns, auto-delete behavior and the settings auto-created branches get
+- set: change them (omitted fields stay unchanged). With project_path the result is also saved to autoBranch in .amplify-deploy.json, which every deploy applies.
+
+Patterns are include-only globs such as feature/* or release/**; branches matching no pattern (e.g. dependabot/*) are never connected.`,
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: {
+                  type: 'string',
+                  enum: ['get', 'set'],
+                  description: 'Action to perform'
+                },
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                project_path: {
+                  type: 'string',
+                  description: 'Project whose .amplify-deploy.json autoBranch section is used as the base and updated (set only, optional)'
+                },
+                enabled: {
+                  type: 'boolean',
+                  description: 'Connect matching branches automatically'
+                },
+                patterns: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Branch patterns to connect, e.g. ["feature/*", "release/**"]'
+                },
+                auto_delete: {
+                  type: 'boolean',
+                  description: 'Disconnect a branch from Amplify when it is deleted in Git'
+                },
+                branch_stage: {
+                  type: 'string',
+                  enum: ['PRODUCTION', 'BETA', 'DEVELOPMENT', 'EXPERIMENTAL'],
+                  description: 'Stage of auto-created branches'
+                },
+                branch_auto_build: {
+                  type: 'boolean',
+                  description: 'Build auto-created branches on every push'
+                },
+                branch_pull_request_preview: {
+                  type: 'boolean',
+                  description: 'Build pull request previews for auto-created branches'
+                }
+              },
+              required: ['action', 'app_id']
+            }
+          },
+          {
+            name: 'manage_custom_domain',
+            description: `Attach and manage custom domains for an Amplify app.
+
+Actions:
+- add: attach a domain and map subdomains to branches (default: apex and www → production branch)
+- update: replace the subdomain → branch mapping
+- status: show certificate/DNS verification status and the exact DNS records to add
+- list: list all domains of the app
+- remove: detach a domain`,
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: {
+                  type: 'string',
+                  enum: ['add', 'update', 'status', 'list', 'remove'],
+                  description: 'Action to perform'
+                },
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID'
+                },
+                domain_name: {
+                  type: 'string',
+                  description: 'Root domain, e.g. example.com (required for all actions except list)'
+                },
+                subdomains: {
+                  type: 'array',
+                  description: 'Subdomain to branch mapping, e.g. [{"prefix": "www", "branch": "main"}, {"prefix": "staging", "branch": "staging"}]. Use an empty prefix for the apex domain.',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      prefix: { type: 'string' },
+                      branch: { type: 'string' }
+                    },
+                    required: ['prefix', 'branch']
+                  }
+                },
+                enable_auto_subdomain: {
+                  type: 'boolean',
+                  description: 'Automatically create a subdomain for every connected branch (optional)'
+                }
+              },
+              required: ['action', 'app_id']
+            }
+          },
           {
             name: 'list_deployments',
-            description: 'Show deployment history with formatted status, URLs, and timestamps',
+            description: 'Show deployment history (one entry per job) with formatted status, URLs, and timestamps, optionally filtered by project, app, branch, status or date',
             inputSchema: {
               type: 'object',
-              properties: {},
+              properties: {
+                project: {
+                  type: 'string',
+                  description: 'Only deployments of this project (app name, project path or folder name)'
+                },
+                app_id: {
+                  type: 'string',
+                  description: 'Only deployments of this Amplify app'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Only deployments of this branch'
+                },
+                status: {
+                  type: 'string',
+                  description: 'Only deployments with this status (e.g. DEPLOYED, FAILED, ROLLBACK)'
+                },
+                since: {
+                  type: 'string',
+                  description: 'Only deployments started on or after this ISO date (e.g. 2024-12-01)'
+                },
+                until: {
+                  type: 'string',
+                  description: 'Only deployments started on or before this ISO date'
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of deployments to show (default: 10)',
+                  default: 10
+                }
+              },
               additionalProperties: false
             }
           },
+          {
+            name: 'delete_app',
+            description: `Delete an AWS Amplify app with its branches, custom domains, webhooks, environment variables and Parameter Store secrets, and remove its deployment history entries and .amplify-deploy.json link.
+
+Without confirm_app_name this is a dry run that lists everything that would be removed. Show the list to the user and only delete after they typed the app name themselves.
+An app not found in AWS is only cleaned up from the local records when region is given explicitly, since a wrong region looks the same as a deleted app.
+With stale=true it lists apps imported by sync_deployments_from_aws that have not been built for older_than_days; confirm_app_names deletes the listed ones.`,
+            inputSchema: {
+              type: 'object',
+              properties: {
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID (required unless stale is true)'
+                },
+                confirm_app_name: {
+                  type: 'string',
+                  description: 'App name exactly as typed by the user; omit for a dry run'
+                },
+                project_path: {
+                  type: 'string',
+                  description: 'Project whose .amplify-deploy.json link should also be removed (optional, linked projects from the history are found automatically)'
+                },
+                region: {
+                  type: 'string',
+                  description: 'AWS region of the app (optional, defaults to the region the app was deployed to, then .amplify-deploy.json, AWS_REGION and your profile). Required to clean up the local records of an app that was not found'
+                },
+                stale: {
+                  type: 'boolean',
+                  description: 'Find imported apps without recent builds instead of deleting a single app (default: false)',
+                  default: false
+                },
+                older_than_days: {
+                  type: 'number',
+                  description: 'With stale: no build on any branch for this many days (default: 90)',
+                  default: 90
+                },
+                confirm_app_names: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'With stale: names of the stale apps to delete, as typed by the user; omit for a dry run'
+                }
+              }
+            }
+          },
           {
             name: 'sync_deployments_from_aws',
             description: 'Import existing AWS Amplify apps into local deployment history',
@@ -155,8 +542,7 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
               properties: {
                 region: {
                   type: 'string',
-                  description: 'AWS region to scan for Amplify apps (default: us-east-1)',
-                  default: 'us-east-1'
+                  description: 'AWS region to scan for Amplify apps (optional, defaults to region in .amplify-deploy.json, then AWS_REGION, your profile and us-east-1)'
                 }
               }
             }
@@ -169,12 +555,16 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
               properties: {
                 framework: {
                   type: 'string',
-                  enum: ['react', 'nextjs', 'vue', 'angular', 'static'],
-                  description: 'Framework type (react, nextjs, vue, angular, static)'
+                  enum: FRAMEWORKS,
+                  description: `Framework type (${FRAMEWORKS.join(', ')}). Auto-detected when omitted.`
                 },
                 project_path: {
                   type: 'string',
                   description: 'Absolute path to the project directory (optional, but recommended for accuracy). Use literal spaces in paths, do NOT URL-encode.'
+                },
+                app_root: {
+                  type: 'string',
+                  description: 'Monorepo only: app path relative to project_path (e.g. apps/web). Generates the applications/appRoot form of amplify.yml.'
                 }
               }
             }
@@ -194,7 +584,7 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
           },
           {
             name: 'sync_env_vars',
-            description: 'Automatically sync environment variables from .env files directly to AWS Amplify app (smart filtering applied)',
+            description: 'Merge environment variables from .env files into an AWS Amplify app (smart filtering applied). Shows a diff of added, changed and remote-only variables; variables set in the Amplify console are kept unless remove_missing=true',
             inputSchema: {
               type: 'object',
               properties: {
@@ -210,10 +600,33 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
                   type: 'string',
                   description: 'Project name for reference (optional, defaults to folder name)'
                 },
+                region: {
+                  type: 'string',
+                  description: 'AWS region of the app (optional, defaults to the region the app was deployed to, then .amplify-deploy.json, AWS_REGION and your profile)'
+                },
                 force_sync: {
                   type: 'boolean',
                   description: 'Force sync even if no changes detected (default: false)',
                   default: false
+                },
+                preview: {
+                  type: 'boolean',
+                  description: 'Only show the diff against the app, without changing anything (default: false)',
+                  default: false
+                },
+                keys: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only apply changes to these variables (optional, defaults to every change in the diff)'
+                },
+                remove_missing: {
+                  type: 'boolean',
+                  description: 'Also delete variables that exist in Amplify but not in the .env files (default: false)',
+                  default: false
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Sync branch-level variables for this branch instead of app-wide ones. Reads .env.<branch> (e.g. .env.staging), or .env.production for main/master'
                 }
               },
               required: ['project_path', 'app_id']
@@ -221,29 +634,86 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
           },
           {
             name: 'manage_env_vars',
-            description: 'Retrieve environment variables from AWS Amplify apps (by app_id or project name)',
+            description: 'Read and edit environment variables of AWS Amplify apps (by app_id or project name) one variable at a time: retrieve shows the effective values of each branch (app-wide variables merged with branch overrides), set/unset/rename change single variables, copy_from_app copies variables from another app and export writes them to a .env file',
             inputSchema: {
               type: 'object',
               properties: {
                 action: {
                   type: 'string',
-                  enum: ['retrieve'],
-                  description: 'Action to perform: retrieve (get from Amplify app)'
+                  enum: ['retrieve', 'set', 'unset', 'rename', 'copy_from_app', 'export'],
+                  description: 'Action to perform: retrieve (get from Amplify app), set (add or update env_vars), unset (delete keys), rename (key to new_key), copy_from_app (copy from source_app_id), export (write to a .env file in project_path)'
                 },
                 project_name: {
                   type: 'string',
-                  description: 'Project name, app name, or app_id (app_id is preferred for direct lookup)'
+                  description: 'Project name, Amplify app name, project folder or path, or app_id (app_id is preferred for direct lookup)'
+                },
+                app_id: {
+                  type: 'string',
+                  description: 'Amplify app ID (alternative to project_name)'
+                },
+                region: {
+                  type: 'string',
+                  description: 'AWS region of the app (optional, defaults to the region the app was deployed to, then .amplify-deploy.json, AWS_REGION and your profile)'
+                },
+                branch: {
+                  type: 'string',
+                  description: 'Work on the branch-level variables of this branch instead of the app-wide ones. For retrieve and export: the branch whose effective variables to show'
+                },
+                env_vars: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                  description: 'set: variables to add or update, e.g. {"API_URL": "https://api.example.com"}'
+                },
+                keys: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'unset: variables to delete. copy_from_app: variables to copy (optional, defaults to all)'
+                },
+                key: {
+                  type: 'string',
+                  description: 'rename: current variable name'
+                },
+                new_key: {
+                  type: 'string',
+                  description: 'rename: new variable name'
+                },
+                source_app_id: {
+                  type: 'string',
+                  description: 'copy_from_app: app ID to copy app-wide variables from'
+                },
+                overwrite: {
+                  type: 'boolean',
+                  description: 'copy_from_app: replace variables that already exist on the target (default: false)',
+                  default: false
+                },
+                project_path: {
+                  type: 'string',
+                  description: 'export: project directory to write the file to. set, rename, copy_from_app: project whose envFilter rules in .amplify-deploy.json decide which variables are secrets (optional, defaults to the app\'s project from the deployment history)'
+                },
+                output_file: {
+                  type: 'string',
+                  description: 'export: file name relative to project_path (default: .env.amplify)'
+                },
+                format: {
+                  type: 'string',
+                  enum: ['dotenv', 'json'],
+                  description: 'export: file format (default: dotenv)'
                 }
               },
-              required: ['action', 'project_name']
+              required: ['action']
             }
           },
           {
             name: 'list_env_projects',
-            description: 'List all projects that have environment variables in AWS Amplify (from deployment history and live apps)',
+            description: 'List projects from the deployment history and live Amplify apps, linked by app ID, with app-wide and per-branch environment variable counts',
             inputSchema: {
               type: 'object',
-              properties: {},
+              properties: {
+                region: {
+                  type: 'string',
+                  description: 'AWS region to list Amplify apps from (optional, defaults to .amplify-deploy.json, then AWS_REGION, your profile and us-east-1)'
+                }
+              },
               additionalProperties: false
             }
           }
@@ -257,35 +727,65 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
 
       try {
         switch (name) {
-          case 'deploy_to_amplify':
-            return await this.handleDeploy(args);
+        case 'deploy_to_amplify':
+          return await this.handleDeploy(args);
+          
+        case 'check_deployment_status':
+          return await this.handleStatus(args);
+          
+        case 'add_branch':
+          return await this.handleAddBranch(args);
+          
+        case 'list_branches':
+          return await this.handleListBranches(args);
+          
+        case 'remove_branch':
+          return await this.handleRemoveBranch(args);
+          
+        case 'list_previews':
+          return await this.handleListPreviews(args);
+          
+        case 'configure_previews':
+          return await this.handleConfigurePreviews(args);
           
-          case 'check_deployment_status':
-            return await this.handleStatus(args);
+        case 'manage_auto_branches':
+          return await this.handleManageAutoBranches(args);
           
-          case 'list_deployments':
-            return await this.handleListDeployments(args);
+        case 'get_deployment_logs':
+          return await this.handleGetDeploymentLogs(args);
           
-          case 'sync_deployments_from_aws':
-            return await this.handleSyncDeploymentsFromAWS(args);
+        case 'rollback_deployment':
+          return await this.handleRollback(args);
           
-          case 'generate_amplify_config':
-            return await this.handleGenerateConfig(args);
+        case 'manage_custom_domain':
+          return await this.handleManageCustomDomain(args);
           
-          case 'check_prerequisites':
-            return await this.handleCheckPrerequisites(args);
+        case 'list_deployments':
+          return await this.handleListDeployments(args);
           
-          case 'sync_env_vars':
-            return await this.handleSyncEnvVars(args);
+        case 'delete_app':
+          return await this.handleDeleteApp(args);
           
-          case 'manage_env_vars':
-            return await this.handleManageEnvVars(args);
+        case 'sync_deployments_from_aws':
+          return await this.handleSyncDeploymentsFromAWS(args);
           
-          case 'list_env_projects':
-            return await this.handleListEnvProjects(args);
+        case 'generate_amplify_config':
+          return await this.handleGenerateConfig(args);
           
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+        case 'check_prerequisites':
+          return await this.handleCheckPrerequisites(args);
+          
+        case 'sync_env_vars':
+          return await this.handleSyncEnvVars(args);
+          
+        case 'manage_env_vars':
+          return await this.handleManageEnvVars(args);
+          
+        case 'list_env_projects':
+          return await this.handleListEnvProjects(args);
+          
+        default:
+          throw new Error(`Unknown tool: ${name}`);
         }
       } catch (error) {
         return {
@@ -417,6 +917,56 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
     return projectPath;
   }
 
+  // Manual (zip upload) deployment: no repository, so no env var sync - the local build already has them baked in
+  async handleManualDeploy(args) {
+    try {
+      const result = await this.deploymentService.deployManualForMCP({
+        projectPath: args.project_path,
+        appRoot: args?.app_root,
+        appName: args?.project_name,
+        branch: args?.branch || 'main',
+        region: args?.region,
+        buildDirectory: args?.build_directory,
+        skipBuild: args?.skip_build === true
+      });
+
+      let responseText = '📦 Manual Deployment Started!\n\n';
+      responseText += '📋 App Details:\n';
+      responseText += `   🆔 App ID: ${result.appId}\n`;
+      responseText += `   📱 Name: ${args?.project_name || path.basename(args.project_path)}\n`;
+      responseText += `   🌿 Branch: ${args?.branch || 'main'}\n`;
+      responseText += `   🔢 Job: #${result.jobId}\n`;
+      responseText += `   ♻️  ${result.isNewApp ? 'New Amplify app created (no repository)' : 'Redeployed to existing Amplify app'}\n\n`;
+      responseText += '📤 Uploaded:\n';
+      responseText += `   📁 ${result.artifactDirectory}\n`;
+      responseText += `   📄 ${result.fileCount} files, ${(result.archiveSize / 1024 / 1024).toFixed(2)} MB zipped\n\n`;
+      responseText += `🌐 Expected URL: ${result.url}\n`;
+      responseText += '   ⚠️  Manual deployments usually go live within a minute\n\n';
+      responseText += '📊 Track Progress:\n';
+      responseText += `   check_deployment_status(app_id="${result.appId}")\n\n`;
+      responseText += '💡 Redeploy after changes with deploy_to_amplify(..., manual=true) - there is no Git auto-build for manual apps';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: responseText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}\n\nTroubleshooting tips:\n1. Install dependencies so the local build can run (or pass skip_build=true with an existing build)\n2. Pass build_directory if your build writes somewhere other than the framework default\n3. Check that you have AWS credentials configured`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
   async handleDeploy(args) {
     try {
       // Require project_path for deployment
@@ -426,6 +976,10 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
       
       const projectPath = args.project_path;
 
+      if (args?.manual) {
+        return await this.handleManualDeploy(args);
+      }
+
       // Check for environment variables BEFORE deployment
       const envProjectPath = this.findProjectWithEnvFiles(projectPath);
       const hasEnvFiles = this.hasEnvFiles(projectPath);
@@ -449,13 +1003,14 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
       // Start background deployment - returns immediately after app creation
       const result = await this.deploymentService.deployForMCPBackground({
         projectPath: projectPath,
+        appRoot: args?.app_root,
         appName: args?.project_name,
         branch: args?.branch || 'main',
-        region: args?.region || 'us-east-1'
+        region: args?.region
       });
 
       // Determine deployment type for time estimates
-      const isFirstTime = true; // Could be enhanced to check deployment history
+      const isFirstTime = result.isNewApp !== false;
       const estimatedTime = isFirstTime ? '10-15 minutes' : '5-8 minutes';
 
       let responseText = `🚀 AWS Amplify Deployment Started!\n\n`;
@@ -468,9 +1023,25 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
       responseText += `📋 App Details:\n`;
       responseText += `   🆔 App ID: ${result.appId}\n`;
       responseText += `   📱 Name: ${args?.project_name || path.basename(projectPath)}\n`;
+      if (result.appRoot) {
+        responseText += `   📂 App Root: ${result.appRoot}\n`;
+      }
+      if (result.platform === 'WEB_COMPUTE') {
+        const features = result.platformFeatures?.length > 0 ? `: ${result.platformFeatures.join(', ')}` : '';
+        responseText += `   🖥️  Platform: WEB_COMPUTE (server-side rendering${features})\n`;
+      }
       responseText += `   🌿 Branch: ${args?.branch || 'main'}\n`;
-      responseText += `   🌍 Region: ${args?.region || 'us-east-1'}\n`;
-      responseText += `   🔄 Status: ${result.status}\n\n`;
+      responseText += `   🌍 Region: ${result.region}\n`;
+      responseText += `   🔄 Status: ${result.status}\n`;
+      responseText += `   ♻️  ${isFirstTime ? 'New Amplify app created' : 'Redeployed to existing Amplify app'}\n\n`;
+
+      if (result.warnings?.length > 0) {
+        responseText += `⚠️  Warnings:\n`;
+        for (const warning of result.warnings) {
+          responseText += `   • ${warning}\n`;
+        }
+        responseText += `\n`;
+      }
       
       // Expected URL
       responseText += `🌐 Expected URL: ${result.url}\n`;
@@ -533,128 +1104,567 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
   async handleStatus(args) {
     try {
       const status = await this.deploymentService.getStatus(args.app_id);
-      
-      const statusEmoji = {
-        'PENDING': '⏳',
-        'PROVISIONING': '🔧',
-        'RUNNING': '🏃',
-        'SUCCEED': '✅',
-        'PRODUCTION': '🎉',
-        'FAILED': '❌',
-        'CANCELLING': '🚫',
-        'NO_BRANCHES': '🚫',
-        'UNKNOWN': '❓'
-      };
-
-      // Enhanced status messages with progress context
-      const statusMessages = {
-        'PENDING': 'Setting up build environment...',
-        'PROVISIONING': 'Preparing deployment infrastructure...',
-        'RUNNING': 'Building and deploying your application...',
-        'PRODUCTION': 'Live and ready! 🎉',
-        'SUCCEED': 'Deployment completed successfully!',
-        'FAILED': 'Deployment encountered an error',
-        'CANCELLING': 'Deployment was cancelled',
-        'NO_BRANCHES': 'No branches configured',
-        'UNKNOWN': 'Status unclear - checking...'
-      };
 
       // Check if this deployment is in our history for additional context
       let deploymentInfo = null;
       try {
-        const deployments = await this.deploymentService.configManager.getDeploymentHistory();
-        deploymentInfo = deployments.find(d => d.appId === args.app_id);
+        const deployments = await this.deploymentService.configManager.getDeploymentHistory({ appId: args.app_id });
+        deploymentInfo = deployments[0] || null;
       } catch (error) {
         // History lookup failed, continue without it
       }
 
-      // Build status response with enhanced context
-      let statusText = `${statusEmoji[status.status] || '❓'} Deployment Status: ${status.status}\n`;
-      statusText += `📋 ${statusMessages[status.status] || 'Processing...'}\n\n`;
-      
-      // App information
-      statusText += `📱 App: ${status.appName}\n`;
-      statusText += `🌿 Branch: ${status.branch}\n`;
-      statusText += `🕐 Last updated: ${status.lastUpdated}\n`;
-      
-      // Show URL with status-specific messaging
-      if (status.url) {
-        if (status.status === 'PRODUCTION' || status.status === 'SUCCEED') {
-          statusText += `🌐 Live URL: ${status.url} ✅\n`;
-        } else {
-          statusText += `🌐 Expected URL: ${status.url}\n`;
-          statusText += `   ⏳ Will be available when deployment completes\n`;
-        }
-      } else {
-        statusText += `⚠️  URL: Not available yet\n`;
-      }
-      
-      // Add deployment history context if available
-      if (deploymentInfo) {
-        const deployedTime = new Date(deploymentInfo.timestamp);
-        const timeElapsed = Math.round((Date.now() - deployedTime.getTime()) / 1000 / 60); // minutes
-        
-        statusText += `\n📊 Deployment Info:\n`;
-        statusText += `   📁 Project: ${deploymentInfo.projectPath || 'Unknown'}\n`;
-        statusText += `   🗓️  Started: ${deployedTime.toLocaleString()}\n`;
-        statusText += `   ⏱️  Time elapsed: ${timeElapsed} minute${timeElapsed !== 1 ? 's' : ''}\n`;
+      let statusText = `📱 App: ${status.appName} (${status.appId})\n`;
+      statusText += `🕐 Last updated: ${status.lastUpdated}\n`;
+      if (deploymentInfo?.projectPath) {
+        statusText += `📁 Project: ${deploymentInfo.projectPath}\n`;
+      }
+
+      if (status.branches.length === 0) {
+        statusText += `\n🚫 No branches configured\n`;
+        statusText += `🔧 This might indicate an issue with app setup\n`;
+        statusText += `💡 Connect one with add_branch(app_id="${args.app_id}", branch="main") or check AWS Console\n`;
+        statusText += `\n🔍 Debug Information:\n`;
+        statusText += `   • Default Domain: ${status.defaultDomain || 'Not set'}\n`;
+        statusText += `   • Repository: ${status.repository || 'None (manual deployments)'}`;
+      } else {
+        statusText += `\n🌿 Branches (${status.branches.length}):\n\n${this.formatBranches(status.branches)}`;
+      }
+
+      const failed = status.branches.filter(branch => branch.status === 'FAILED');
+      const inProgress = status.branches.filter(branch => BRANCH_IN_PROGRESS_STATUSES.includes(branch.status));
+
+      for (const branch of failed) {
+        statusText += `\n\n❌ ${branch.branchName} failed - see the failing step and a diagnosis: get_deployment_logs(app_id="${args.app_id}", branch="${branch.branchName}")`;
+      }
+      if (failed.length > 0) {
+        statusText += `\n🔗 AWS Console: https://console.aws.amazon.com/amplify/home#/${args.app_id}`;
+      }
+      if (inProgress.length > 0) {
+        statusText += `\n\n⏳ ${inProgress.map(branch => branch.branchName).join(', ')} still building - initial deployments can take 5-15 minutes, check again in 3-5 minutes.`;
+      }
+      if (failed.length === 0 && inProgress.length === 0 && deploymentInfo?.projectPath && status.branches.some(branch => branch.status === 'SUCCEED')) {
+        statusText += `\n\n💡 Don't forget to sync environment variables if needed:\n`;
+        statusText += `   sync_env_vars(project_path="${deploymentInfo.projectPath}", app_id="${args.app_id}")`;
+      }
+
+      // Add refresh reminder
+      statusText += `\n\n🔄 Refresh status: check_deployment_status(app_id="${args.app_id}")`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: statusText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Failed to get status: ${error.message}\n\n💡 Make sure the app_id is correct. Use list_deployments to see your recent deployments.\n\n🔍 If the app exists in AWS Console but status check fails, there might be a permissions issue with your AWS credentials.`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // One block per branch: stage, build settings, latest job and URL
+  formatBranches(branches) {
+    return branches.map(branch => {
+      const isLive = branch.status === 'SUCCEED';
+      let text = `${BRANCH_STATUS_EMOJI[branch.status] || '❓'} ${branch.branchName} - ${branch.stage}\n`;
+      text += `   📋 Status: ${branch.status}${branch.jobId ? ` (job #${branch.jobId}${branch.lastJobTime ? `, ${new Date(branch.lastJobTime).toLocaleString()}` : ''})` : ''}\n`;
+      text += `   🔁 Auto-build: ${branch.enableAutoBuild ? 'on' : 'off'}${branch.enablePullRequestPreview ? ', pull request previews on' : ''}\n`;
+      if (branch.url) {
+        text += `   🌐 ${isLive ? 'Live URL' : 'Expected URL'}: ${branch.url}${isLive ? ' ✅' : ''}\n`;
+      }
+      if (branch.customDomainUrl) {
+        text += `   🔗 Custom domain: ${branch.customDomainUrl}\n`;
+      }
+      return text.trimEnd();
+    }).join('\n\n');
+  }
+
+  async handleAddBranch(args) {
+    try {
+      const result = await this.deploymentService.addBranch(args.app_id, {
+        branchName: args.branch,
+        stage: args.stage,
+        enableAutoBuild: args.enable_auto_build,
+        enablePullRequestPreview: args.enable_pull_request_preview,
+        startBuild: args.start_build
+      });
+
+      let text = result.created
+        ? `🌿 Branch ${result.branchName} connected to ${args.app_id}\n\n`
+        : `🌿 Branch ${result.branchName} already existed - settings updated\n\n`;
+      text += `   🎭 Stage: ${result.stage}\n`;
+      text += `   🔁 Auto-build: ${result.enableAutoBuild ? 'on' : 'off'}\n`;
+      if (result.jobId) {
+        text += `   🚀 First build started (job #${result.jobId})\n`;
+        text += `   🌐 Expected URL: ${result.url}\n`;
+      } else if (result.created) {
+        text += `   ⏸️  No build started${result.enableAutoBuild ? ' - the next push to the branch will build it' : ''}\n`;
+      }
+      text += `\n💡 Give the branch its own environment variables: sync_env_vars(project_path="...", app_id="${args.app_id}", branch="${result.branchName}")`;
+      text += `\n🔄 Follow progress: check_deployment_status(app_id="${args.app_id}")`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleListBranches(args) {
+    try {
+      const branches = await this.deploymentService.listBranches(args.app_id);
+      const text = branches.length === 0
+        ? `No branches connected to ${args.app_id}.\n\n💡 Connect one: add_branch(app_id="${args.app_id}", branch="main")`
+        : `🌿 Branches of ${args.app_id} (${branches.length})\n\n${this.formatBranches(branches)}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleRemoveBranch(args) {
+    try {
+      const result = await this.deploymentService.removeBranch(args.app_id, args.branch, { force: args.force });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🗑️  Branch ${result.branchName} (${result.stage}) removed from ${args.app_id}.\n💡 The Git branch itself is untouched; its branch-level environment variables were deleted with it.`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleListPreviews(args) {
+    try {
+      const result = await this.deploymentService.listPreviews(args.app_id);
+      const previewBranches = result.branches.filter(branch => branch.enablePullRequestPreview);
+      let text;
+
+      if (result.previews.length === 0) {
+        text = `No active pull request previews for ${result.appName} (${args.app_id}).\n`;
+        text += previewBranches.length > 0
+          ? `\nPreviews are enabled for: ${previewBranches.map(branch => branch.branchName).join(', ')} - opening a pull request against one of them creates a preview.`
+          : `\n💡 Previews are off for every branch. Turn them on: configure_previews(app_id="${args.app_id}", branch="main", enabled=true)`;
+      } else {
+        text = `🔍 Pull request previews of ${result.appName} (${result.previews.length})\n\n`;
+        for (const preview of result.previews) {
+          const emoji = BRANCH_STATUS_EMOJI[preview.status] || '❓';
+          const title = preview.pullRequestNumber ? `PR #${preview.pullRequestNumber}` : preview.branchName;
+          text += `${emoji} ${title}${preview.sourceBranch ? ` (${preview.sourceBranch} → ${preview.destinationBranch})` : ''}\n`;
+          text += `   Status: ${preview.status}${preview.jobId ? ` (job #${preview.jobId})` : ''}\n`;
+          text += `   URL: ${preview.url}\n`;
+          if (preview.lastJobTime) {
+            text += `   Last build: ${new Date(preview.lastJobTime).toLocaleString()}\n`;
+          }
+          text += '\n';
+        }
+        text += `Previews enabled for: ${previewBranches.map(branch => branch.branchName).join(', ') || 'no branch (existing previews stay until their pull requests close)'}\n`;
+        text += `💡 Amplify deletes a preview when its pull request closes. Remove one early: remove_branch(app_id="${args.app_id}", branch="${result.previews[0].branchName}")`;
+      }
+
+      if (args.post_comments) {
+        let comments = [];
+        try {
+          comments = await this.deploymentService.commentPreviewUrls(args.app_id, result.repository, result.previews);
+        } catch (error) {
+          text += `\n\n⚠️  No pull request comments posted: ${error.message}`;
+        }
+        if (comments.length > 0) {
+          text += '\n\n💬 Pull request comments:\n';
+          for (const comment of comments) {
+            text += comment.result === 'failed'
+              ? `   ❌ PR #${comment.pullRequestNumber}: ${comment.error}\n`
+              : `   ✅ PR #${comment.pullRequestNumber}: comment ${comment.result}\n`;
+          }
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleConfigurePreviews(args) {
+    try {
+      const result = await this.deploymentService.setPullRequestPreviews(args.app_id, args.branch, args.enabled);
+      const text = result.enablePullRequestPreview
+        ? `✅ Pull request previews enabled for ${result.branchName}.\n💡 New pull requests against ${result.branchName} get their own preview environment.`
+        : `⏸️  Pull request previews disabled for ${result.branchName}.\n💡 Existing previews stay until their pull requests close. See them with list_previews(app_id="${args.app_id}").`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleManageAutoBranches(args) {
+    try {
+      let result;
+      if (args.action === 'set') {
+        const branchConfig = {
+          stage: args.branch_stage,
+          enableAutoBuild: args.branch_auto_build,
+          enablePullRequestPreview: args.branch_pull_request_preview
+        };
+        result = await this.deploymentService.configureAutoBranches(args.app_id, {
+          enabled: args.enabled,
+          patterns: args.patterns,
+          autoDelete: args.auto_delete,
+          branchConfig: Object.values(branchConfig).some(value => value !== undefined) ? branchConfig : undefined
+        }, { projectPath: args.project_path });
+      } else if (args.action === 'get') {
+        result = await this.deploymentService.getAutoBranchSettings(args.app_id);
+      } else {
+        throw new Error(`Unknown action: ${args.action}. Use get or set.`);
+      }
+
+      let text = args.action === 'set'
+        ? `✅ Automatic branch creation updated for ${result.appName} (${args.app_id})\n\n`
+        : `🌿 Automatic branch creation for ${result.appName} (${args.app_id})\n\n`;
+      text += `Enabled: ${result.enabled ? 'yes' : 'no'}\n`;
+      text += `Patterns: ${result.patterns.length > 0 ? result.patterns.join(', ') : '(none)'}\n`;
+      text += `Disconnect branches deleted in Git: ${result.autoDelete ? 'yes' : 'no'}\n`;
+
+      const config = result.branchConfig;
+      text += '\nNew branches get:\n';
+      text += `   Stage: ${config.stage || 'not set'}\n`;
+      text += `   Build on push: ${config.enableAutoBuild === false ? 'no' : 'yes'}\n`;
+      text += `   Pull request previews: ${config.enablePullRequestPreview ? 'yes' : 'no'}\n`;
+      if (config.framework) {
+        text += `   Framework: ${config.framework}\n`;
+      }
+      if (config.environmentVariables.length > 0) {
+        text += `   Environment variables: ${config.environmentVariables.join(', ')}\n`;
+      }
+
+      if (args.action === 'set' && args.project_path) {
+        text += `\n💾 Saved to autoBranch in ${args.project_path}/.amplify-deploy.json`;
+      } else if (args.action === 'set') {
+        text += '\n💡 A deploy applies autoBranch from .amplify-deploy.json when the project has one. Pass project_path to keep both in sync.';
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleGetDeploymentLogs(args) {
+    try {
+      const logs = await this.deploymentService.getDeploymentLogs(args.app_id, {
+        branch: args.branch,
+        jobId: args.job_id,
+        lines: args.lines
+      });
+
+      const stepEmoji = {
+        'SUCCEED': '✅',
+        'FAILED': '❌',
+        'RUNNING': '🏃',
+        'PENDING': '⏳',
+        'CANCELLED': '🚫'
+      };
+
+      let logsText = `📜 Deployment Logs - Job #${logs.jobId} (${logs.status})\n\n`;
+      logsText += `📱 App ID: ${logs.appId}\n`;
+      logsText += `🌿 Branch: ${logs.branchName}\n`;
+      if (logs.commitId) {
+        logsText += `🔖 Commit: ${logs.commitId.substring(0, 7)} ${logs.commitMessage ? `- ${logs.commitMessage.split('\n')[0]}` : ''}\n`;
+      }
+
+      logsText += '\n🪜 Steps:\n';
+      for (const step of logs.steps) {
+        logsText += `   ${stepEmoji[step.status] || '❓'} ${step.stepName}: ${step.status}${step.log === null ? ' (log unavailable)' : ''}\n`;
+      }
+
+      if (logs.failingStep) {
+        logsText += `\n❌ Failing step: ${logs.failingStep.stepName}`;
+        if (logs.failingStep.statusReason) {
+          logsText += ` - ${logs.failingStep.statusReason}`;
+        }
+        logsText += '\n';
+
+        if (logs.tail) {
+          logsText += `\nLast lines of the ${logs.failingStep.stepName} log:\n\`\`\`\n${logs.tail}\n\`\`\`\n`;
+        }
+      }
+
+      if (logs.diagnoses.length > 0) {
+        logsText += '\n🩺 Diagnosis:\n';
+        for (const diagnosis of logs.diagnoses) {
+          logsText += `   • ${diagnosis.title}\n`;
+          logsText += `     Found: ${diagnosis.evidence}\n`;
+          logsText += `     Fix: ${diagnosis.fix}\n`;
+        }
+      } else if (logs.status === 'FAILED') {
+        logsText += '\n🩺 No known failure pattern matched. Review the log lines above for the first error.\n';
+      }
+
+      if (logs.status === 'FAILED') {
+        logsText += '\n💡 After fixing the issue, push your changes or redeploy with deploy_to_amplify.';
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: logsText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}\n\n💡 Make sure the app_id and branch are correct. Use list_deployments to see your recent deployments.`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleRollback(args) {
+    try {
+      if (!args.job_id) {
+        const { branchName, jobs } = await this.deploymentService.listRollbackCandidates(args.app_id, {
+          branch: args.branch
+        });
+
+        if (jobs.length < 2) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `ℹ️  No previous successful deployment on branch ${branchName} to roll back to.`
+              }
+            ]
+          };
+        }
+
+        let rollbackText = `⏪ Previous successful deployments on ${branchName}\n\n`;
+        for (const job of jobs) {
+          const when = job.endTime ? new Date(job.endTime).toLocaleString() : 'Unknown time';
+          rollbackText += `${job.isCurrent ? '🟢' : '⚪'} Job #${job.jobId} - ${job.commitId.substring(0, 7)} ${(job.commitMessage || '').split('\n')[0]}\n`;
+          rollbackText += `   🗓️  ${when}${job.isCurrent ? ' (live now)' : ''}\n`;
+        }
+
+        const suggested = jobs.find(job => !job.isCurrent);
+        rollbackText += `\n💡 To roll back: rollback_deployment(app_id="${args.app_id}", branch="${branchName}", job_id="${suggested.jobId}")`;
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: rollbackText
+            }
+          ]
+        };
+      }
+
+      const result = await this.deploymentService.rollbackDeployment(args.app_id, {
+        branch: args.branch,
+        jobId: args.job_id
+      });
+
+      let rollbackText = '⏪ Rollback Started!\n\n';
+      rollbackText += `🌿 Branch: ${result.branchName}\n`;
+      rollbackText += `🎯 Rolling back to: job #${result.target.jobId} (${result.target.commitId.substring(0, 7)})\n`;
+      rollbackText += `🆕 Rollback job: #${result.jobId}\n`;
+      rollbackText += `🌐 URL: ${result.url}\n\n`;
+      rollbackText += `📊 Track progress: check_deployment_status(app_id="${result.appId}")\n`;
+      rollbackText += '⚠️  Auto-build is still enabled: the next push to this branch deploys the latest commit again.';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: rollbackText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async handleManageCustomDomain(args) {
+    const { action, app_id, domain_name, subdomains, enable_auto_subdomain } = args;
+
+    try {
+      if (action !== 'list' && !domain_name) {
+        throw new Error(`domain_name is required for the ${action} action.`);
+      }
+
+      const mapping = subdomains?.map(s => ({ prefix: s.prefix, branchName: s.branch }));
+      let domainText;
+
+      switch (action) {
+      case 'add': {
+        const domain = await this.deploymentService.addCustomDomain(app_id, {
+          domainName: domain_name,
+          subdomains: mapping,
+          enableAutoSubDomain: enable_auto_subdomain
+        });
+        domainText = `🔗 Custom domain ${domain_name} added to ${app_id}\n\n${this.formatDomainStatus(domain)}`;
+        break;
       }
-      
-      // Add helpful next steps based on status
-      if (status.status === 'PENDING' || status.status === 'PROVISIONING') {
-        const estimatedRemaining = deploymentInfo ? Math.max(0, 15 - Math.round((Date.now() - new Date(deploymentInfo.timestamp).getTime()) / 1000 / 60)) : 10;
-        statusText += `\n⏱️  Estimated time remaining: ${estimatedRemaining}-${estimatedRemaining + 5} minutes\n`;
-        statusText += `🏗️  Currently: Setting up build environment and dependencies\n`;
-        statusText += `💡 Check again in 3-5 minutes for build progress`;
-      } else if (status.status === 'RUNNING') {
-        const estimatedRemaining = deploymentInfo ? Math.max(0, 12 - Math.round((Date.now() - new Date(deploymentInfo.timestamp).getTime()) / 1000 / 60)) : 8;
-        statusText += `\n⏱️  Estimated time remaining: ${estimatedRemaining}-${estimatedRemaining + 3} minutes\n`;
-        statusText += `🔨 Currently: Building application and optimizing assets\n`;
-        statusText += `💡 This is the longest phase - great time for a coffee break! ☕`;
-      } else if (status.status === 'PRODUCTION' || status.status === 'SUCCEED') {
-        statusText += `\n🎉 Deployment completed successfully!\n`;
-        statusText += `✅ Your app is live and accessible at the URL above\n`;
-        statusText += `🚀 Ready for production traffic!`;
-        
-        // Suggest environment variable sync if applicable
-        if (deploymentInfo) {
-          statusText += `\n\n💡 Don't forget to sync environment variables if needed:\n`;
-          statusText += `   sync_env_vars(project_path="${deploymentInfo.projectPath}", app_id="${args.app_id}")`;
+
+      case 'update': {
+        if (!mapping || mapping.length === 0) {
+          throw new Error('subdomains is required for the update action.');
         }
-      } else if (status.status === 'FAILED') {
-        statusText += `\n❌ Deployment failed\n`;
-        statusText += `🔍 Check the AWS Amplify Console for detailed error logs\n`;
-        statusText += `🔗 AWS Console: https://console.aws.amazon.com/amplify/home#/${args.app_id}\n`;
-        statusText += `💡 Common fixes:\n`;
-        statusText += `   • Check build settings in amplify.yml\n`;
-        statusText += `   • Verify all dependencies are in package.json\n`;
-        statusText += `   • Ensure build commands are correct\n`;
-        statusText += `   • Check for environment variable issues`;
-      } else if (status.status === 'NO_BRANCHES') {
-        statusText += `\n⚠️  No branches found for this app\n`;
-        statusText += `🔧 This might indicate an issue with app setup\n`;
-        statusText += `💡 Try redeploying or check AWS Console`;
+        const domain = await this.deploymentService.updateCustomDomain(app_id, {
+          domainName: domain_name,
+          subdomains: mapping,
+          enableAutoSubDomain: enable_auto_subdomain
+        });
+        domainText = `🔗 Subdomains of ${domain_name} updated\n\n${this.formatDomainStatus(domain)}`;
+        break;
       }
-      
-      // Add debug information if status seems unusual
-      if (!status.url || status.status === 'UNKNOWN' || status.status === 'NO_BRANCHES') {
-        statusText += `\n\n🔍 Debug Information:\n`;
-        statusText += `   • App ID: ${status.debugInfo?.appId}\n`;
-        statusText += `   • Default Domain: ${status.debugInfo?.defaultDomain || 'Not set'}\n`;
-        statusText += `   • Total Branches: ${status.debugInfo?.totalBranches || 0}\n`;
-        if (status.debugInfo?.availableBranches && status.debugInfo.availableBranches.length > 0) {
-          statusText += `   • Available Branches: ${status.debugInfo.availableBranches.map(b => `${b.name} (${b.stage})`).join(', ')}\n`;
+
+      case 'status': {
+        const domain = await this.deploymentService.getDomainStatus(app_id, domain_name);
+        domainText = this.formatDomainStatus(domain);
+        break;
+      }
+
+      case 'list': {
+        const domains = await this.deploymentService.listCustomDomains(app_id);
+        if (domains.length === 0) {
+          domainText = `No custom domains configured for ${app_id}.\n\n💡 Add one: manage_custom_domain(action="add", app_id="${app_id}", domain_name="example.com")`;
+        } else {
+          domainText = `🔗 Custom domains for ${app_id}\n\n`;
+          domainText += domains.map(domain =>
+            `• ${domain.domainName} - ${domain.status}\n` +
+              domain.urls.map(u => `   ${u.url} → ${u.branchName}`).join('\n')
+          ).join('\n\n');
         }
+        break;
       }
 
-      // Add refresh reminder
-      statusText += `\n\n🔄 Refresh status: check_deployment_status(app_id="${args.app_id}")`;
+      case 'remove':
+        await this.deploymentService.removeCustomDomain(app_id, domain_name);
+        domainText = `🗑️  Custom domain ${domain_name} removed from ${app_id}.\n💡 Remember to delete its DNS records at your DNS provider.`;
+        break;
+
+      default:
+        throw new Error(`Unknown action: ${action}. Valid actions: add, update, status, list, remove.`);
+      }
 
       return {
         content: [
           {
             type: 'text',
-            text: statusText
+            text: domainText
           }
         ]
       };
@@ -663,7 +1673,7 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
         content: [
           {
             type: 'text',
-            text: `❌ Failed to get status: ${error.message}\n\n💡 Make sure the app_id is correct. Use list_deployments to see your recent deployments.\n\n🔍 If the app exists in AWS Console but status check fails, there might be a permissions issue with your AWS credentials.`
+            text: `❌ ${error.message}`
           }
         ],
         isError: true
@@ -671,16 +1681,65 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
     }
   }
 
+  // Shared text for domain add/update/status: status, DNS records to create and URLs
+  formatDomainStatus(domain) {
+    const statusMessages = {
+      'CREATING': 'Setting up the domain...',
+      'REQUESTING_CERTIFICATE': 'Requesting SSL certificate...',
+      'PENDING_VERIFICATION': 'Waiting for the certificate verification DNS record',
+      'PENDING_DEPLOYMENT': 'Verified - deploying to the CDN',
+      'IN_PROGRESS': 'Configuring the domain...',
+      'AVAILABLE': 'Live ✅',
+      'AWAITING_APP_CNAME': 'Waiting for the subdomain CNAME records',
+      'UPDATING': 'Applying changes...',
+      'FAILED': 'Domain setup failed'
+    };
+
+    let text = `🌐 ${domain.domainName}: ${domain.status} - ${statusMessages[domain.status] || 'Processing...'}\n`;
+    if (domain.statusReason) {
+      text += `   Reason: ${domain.statusReason}\n`;
+    }
+
+    if (domain.dnsRecords.length > 0) {
+      text += '\n📝 Add these DNS records at your DNS provider:\n';
+      for (const record of domain.dnsRecords) {
+        text += `   ${record.type.padEnd(6)} ${record.name}  →  ${record.value}   (${record.purpose})\n`;
+      }
+      if (domain.needsApexAlias) {
+        text += '   ℹ️  Most DNS providers do not allow a CNAME on the apex domain - use an ALIAS/ANAME record or Route 53 instead.\n';
+      }
+      text += '\n⏳ DNS propagation and certificate issuance can take up to 24-48 hours.\n';
+    }
+
+    text += '\n🔗 URLs:\n';
+    domain.subdomains.forEach((sub, index) => {
+      text += `   ${sub.verified ? '✅' : '⏳'} ${domain.urls[index].url} → ${sub.branchName}\n`;
+    });
+
+    return text;
+  }
+
   async handleListDeployments(args) {
     try {
-      const deployments = await this.deploymentService.configManager.getDeploymentHistory();
+      const filters = {
+        project: args?.project,
+        appId: args?.app_id,
+        branch: args?.branch,
+        status: args?.status,
+        since: args?.since,
+        until: args?.until
+      };
+      const isFiltered = Object.values(filters).some(Boolean);
+      const deployments = await this.deploymentService.configManager.getDeploymentHistory(filters);
       
       if (deployments.length === 0) {
         return {
           content: [
             {
               type: 'text',
-              text: 'No deployment history found. Deploy a project first using deploy_to_amplify.'
+              text: isFiltered
+                ? 'No deployments match these filters. Run list_deployments without filters to see the whole history.'
+                : 'No deployment history found. Deploy a project first using deploy_to_amplify.'
             }
           ]
         };
@@ -695,20 +1754,39 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
           'DEPLOYING': '⏳', 
           'DEPLOYED': '✅',
           'FAILED': '❌',
-          'IN_PROGRESS': '🔄'
+          'IN_PROGRESS': '🔄',
+          'ROLLBACK': '⏪'
         };
         
-        return `${index + 1}. ${deployment.appName || 'Unnamed App'}
+        let text = `${index + 1}. ${deployment.appName || 'Unnamed App'}
    📱 App ID: ${deployment.appId}
    ${statusEmoji[deployment.status] || '❓'} Status: ${deployment.status}
    🌐 URL: ${deployment.url || 'Pending...'}
    📁 Project: ${deployment.projectPath || 'Unknown'}
    🗓️  Deployed: ${new Date(deployment.timestamp).toLocaleString()}`;
+        
+        if (deployment.branch) {
+          text += `\n   🌿 Branch: ${deployment.branch}${deployment.jobId ? ` (job #${deployment.jobId})` : ''}`;
+        }
+        
+        if (deployment.customDomainUrl) {
+          text += `\n   🔗 Custom domain: ${deployment.customDomainUrl}`;
+        }
+        
+        if (deployment.deploymentType === 'MANUAL') {
+          text += '\n   📦 Manual deployment (zip upload)';
+        }
+        
+        if (deployment.rollbackOf) {
+          text += `\n   ⏪ Rolled back to: job #${deployment.rollbackOf.jobId} (${deployment.rollbackOf.commitId.substring(0, 7)}${deployment.rollbackOf.commitMessage ? ` - ${deployment.rollbackOf.commitMessage}` : ''})`;
+        }
+        
+        return text;
       };
 
       const deploymentText = recentDeployments.map(formatDeployment).join('\n\n');
       
-      const summary = `📋 Recent AWS Amplify Deployments (${recentDeployments.length} of ${deployments.length})\n\n${deploymentText}\n\n💡 Tip: Use check_deployment_status(app_id="APP_ID") to get current status of any deployment.`;
+      const summary = `📋 ${isFiltered ? 'Matching' : 'Recent'} AWS Amplify Deployments (${recentDeployments.length} of ${deployments.length})\n\n${deploymentText}\n\n💡 Tip: Use check_deployment_status(app_id="APP_ID") to get current status of any deployment.`;
 
       return {
         content: [
@@ -731,9 +1809,102 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
     }
   }
 
+  // What deleting an app removes, one line per kind of resource
+  formatDeletionPlan(plan) {
+    const list = (items) => items.length > 0 ? items.join(', ') : 'none';
+    let text = `🗑️  ${plan.appName || plan.appId} (${plan.appId})${plan.repository ? ` - ${plan.repository}` : ''}\n`;
+
+    if (plan.missing) {
+      text += `   Not found in AWS Amplify (${plan.region}) - only local records remain\n`;
+    } else {
+      text += `   🌿 Branches: ${list(plan.branches.map(branch => `${branch.branchName} (${branch.stage})`))}\n`;
+      text += `   🌐 Custom domains: ${list(plan.domains)}\n`;
+      text += `   🪝 Webhooks: ${list(plan.webhooks.map(webhook => `${webhook.branchName} (${webhook.webhookId})`))}\n`;
+      text += `   🔧 Environment variables: ${list(plan.envVars)}\n`;
+    }
+    text += `   🔐 Parameter Store secrets: ${plan.secrets === null ? 'unknown (no access to Parameter Store)' : plan.secrets.length}\n`;
+    text += `   📜 Deployment history entries: ${plan.historyEntries}\n`;
+    text += `   🔗 Project links (.amplify-deploy.json): ${list(plan.linkedProjects)}\n`;
+    return text;
+  }
+
+  async handleDeleteApp(args) {
+    try {
+      let text;
+
+      if (args.stale) {
+        const staleApps = await this.deploymentService.findStaleApps({ olderThanDays: args.older_than_days, region: args.region });
+        if (staleApps.length === 0) {
+          text = `✅ No stale apps: every app imported from AWS was built in the last ${args.older_than_days || 90} days.`;
+        } else if (!args.confirm_app_names?.length) {
+          text = `🧹 ${staleApps.length} imported app(s) without a build in the last ${args.older_than_days || 90} days:\n\n`;
+          for (const app of staleApps) {
+            text += `- ${app.appName || app.appId} (${app.appId}) - ${app.missing ? `not found in ${app.region}` : `last activity: ${app.lastActivity ? new Date(app.lastActivity).toLocaleDateString() : 'never built'}`}\n`;
+          }
+          text += '\nThis was a dry run. Ask the user which apps to delete and have them type the names; only names the user typed may be passed in confirm_app_names.';
+          if (staleApps.some(app => app.missing)) {
+            text += '\nApps not found are only cleaned up when the region is given explicitly - check with the user that they were really deleted.';
+          }
+        } else {
+          text = '';
+          for (const app of staleApps.filter(app => args.confirm_app_names.includes(app.appName || app.appId))) {
+            try {
+              const result = await this.deploymentService.deleteApp(app.appId, { confirmName: app.appName || app.appId, region: args.region });
+              text += `✅ Deleted ${result.appName || result.appId} (${result.appId})\n`;
+              result.warnings.forEach(warning => { text += `   ⚠️  ${warning}\n`; });
+            } catch (error) {
+              text += `❌ ${app.appName || app.appId}: ${error.message}\n`;
+            }
+          }
+          const unknownNames = args.confirm_app_names.filter(name => !staleApps.some(app => (app.appName || app.appId) === name));
+          if (unknownNames.length > 0) {
+            text += `⏭️  Skipped (not in the stale list): ${unknownNames.join(', ')}\n`;
+          }
+        }
+      } else if (!args.app_id) {
+        throw new Error('app_id is required (or pass stale=true to find unused apps).');
+      } else if (args.confirm_app_name === undefined) {
+        const plan = await this.deploymentService.planAppDeletion(args.app_id, { projectPath: args.project_path, region: args.region });
+        text = `Dry run - deleting this app removes:\n\n${this.formatDeletionPlan(plan)}`;
+        text += '\n⚠️  This cannot be undone. Show this list to the user and ask them to type the app name themselves; pass only what they typed as confirm_app_name.';
+        if (plan.missing && !args.region) {
+          text += `\n⚠️  The app was not found in ${plan.region}. Ask the user which region it was deployed to and pass region explicitly - the local records are only removed then.`;
+        }
+      } else {
+        const result = await this.deploymentService.deleteApp(args.app_id, {
+          confirmName: args.confirm_app_name,
+          projectPath: args.project_path,
+          region: args.region
+        });
+        text = `✅ Deleted ${result.appName || result.appId}. Removed:\n\n${this.formatDeletionPlan(result)}`;
+        text += `\nRemoved ${result.removedHistoryEntries} history entr${result.removedHistoryEntries === 1 ? 'y' : 'ies'} and ${result.deletedSecrets} secret(s).`;
+        result.warnings.forEach(warning => { text += `\n⚠️  ${warning}`; });
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: text.trimEnd()
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
   async handleSyncDeploymentsFromAWS(args) {
     try {
-      const deployments = await this.deploymentService.syncDeploymentHistoryFromAWS();
+      const deployments = await this.deploymentService.syncDeploymentHistoryFromAWS({ region: args?.region });
       
       // Count how many were actually imported (not duplicates)
       const importedCount = deployments.filter(d => d.importedFromAWS).length;
@@ -753,7 +1924,7 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
         content: [
           {
             type: 'text',
-            text: `🎉 Successfully imported ${importedCount} deployment(s) from AWS!\n\nYour local deployment history now includes all AWS Amplify apps from your account.\n\n💡 Use list_deployments to see the updated history.`
+            text: `🎉 Successfully imported ${importedCount} deployment(s) from AWS!\n\nYour local deployment history now includes all AWS Amplify apps in ${this.deploymentService.region}.\n\n💡 Use list_deployments to see the updated history.`
           }
         ]
       };
@@ -780,27 +1951,31 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
         projectPath = process.cwd();
       }
       
+      // Monorepo apps get the applications/appRoot form of amplify.yml
+      const target = await this.deploymentService.resolveDeployTarget(projectPath, args?.app_root);
+      const appRootText = target.appRoot ? `\nApp Root: ${target.appRoot}` : '';
+
       if (!args?.framework) {
         // Auto-detect framework if not provided
-        const framework = await this.deploymentService.detectFramework(projectPath);
-        const config = await this.deploymentService.generateAmplifyConfig(framework, projectPath);
+        const framework = await this.deploymentService.detectFramework(target.appPath);
+        const config = await this.deploymentService.generateAmplifyConfig(framework, target.repoRoot, false, target.appRoot);
         
         return {
           content: [
             {
               type: 'text',
-              text: `Auto-detected framework: ${framework}\n\nGenerated amplify.yml configuration:\n\n\`\`\`yaml\n${config}\n\`\`\`\n\nProject Path: ${projectPath}`
+              text: `Auto-detected framework: ${framework}\n\nGenerated amplify.yml configuration:\n\n\`\`\`yaml\n${config}\n\`\`\`\n\nProject Path: ${projectPath}${appRootText}`
             }
           ]
         };
       } else {
-        const config = await this.deploymentService.generateAmplifyConfig(args.framework, projectPath);
+        const config = await this.deploymentService.generateAmplifyConfig(args.framework, target.repoRoot, false, target.appRoot);
         
         return {
           content: [
             {
               type: 'text',
-              text: `Generated amplify.yml configuration for ${args.framework}:\n\n\`\`\`yaml\n${config}\n\`\`\`\n\nProject Path: ${projectPath}`
+              text: `Generated amplify.yml configuration for ${args.framework}:\n\n\`\`\`yaml\n${config}\n\`\`\`\n\nProject Path: ${projectPath}${appRootText}`
             }
           ]
         };
@@ -868,7 +2043,7 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
   }
 
   async handleSyncEnvVars(args) {
-    const { project_path, app_id, project_name, force_sync = false } = args;
+    const { project_path, app_id, project_name, force_sync = false, preview = false, keys, remove_missing = false, branch } = args;
     
     if (!project_path) {
       throw new Error('project_path is required');
@@ -878,27 +2053,79 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
       throw new Error('app_id is required');
     }
 
-    const envManager = new AmplifyEnvManager(process.env.AWS_REGION || 'us-east-1');
+    const envManager = await AmplifyEnvManager.create({ region: args.region, appId: app_id, projectPath: project_path }, this.deploymentService.configManager);
     const finalProjectName = project_name || path.basename(project_path);
     
-    const results = await envManager.autoSyncFromEnvFile(project_path, app_id, finalProjectName);
+    const results = await envManager.autoSyncFromEnvFile(project_path, app_id, finalProjectName, {
+      branch,
+      dryRun: preview,
+      force: force_sync,
+      keys,
+      removeMissing: remove_missing
+    });
     
     // Format the response
-    let responseText = `🔐 Environment Variable Sync Results\n\n`;
+    const target = branch ? `branch ${branch} of ${app_id}` : app_id;
+    let responseText = `🔐 Environment Variable Sync ${preview ? 'Preview' : 'Results'}\n\n`;
     
     if (results.envFileRead) {
-      responseText += `✅ Found and read .env files\n`;
+      responseText += `✅ Found and read ${results.envFiles.join(', ')}\n`;
       responseText += `📊 Variables found: ${results.envVarsFound}\n`;
-      responseText += `🔍 Production variables (dev/localhost filtered out)\n\n`;
+      responseText += `🔍 Production variables (dev/localhost filtered out)`;
+      responseText += `${this.formatExcludedEnvVars(results.excluded).replace(/^\n/, '')}`;
+      responseText += `${this.formatMissingClientEnvVars(results.missingReferences)}\n\n`;
+
+      const secrets = results.secrets;
+      const movedKeys = envManager.getStoredSecretKeys(secrets);
+
+      if (results.diff) {
+        responseText += `📋 Changes for ${target}${branch ? ' (branch-level variables)' : ''}:\n`;
+        for (const line of envManager.formatEnvDiff(results.diff, { removeMissing: remove_missing, movedKeys })) {
+          responseText += `   ${line}\n`;
+        }
+        responseText += `\n`;
+      }
+
+      if (secrets) {
+        responseText += `🔐 Secrets for SSM Parameter Store (${secrets.path}, SecureString):\n`;
+        for (const line of envManager.formatEnvDiff(secrets.diff, { removeMissing: remove_missing, secret: true })) {
+          responseText += `   ${line}\n`;
+        }
+        responseText += `\n`;
+      }
       
-      if (results.synced) {
-        responseText += `🚀 Successfully synced ${results.envVarsFound} variables to Amplify app: ${app_id}\n`;
-        responseText += `💡 Variables are now available in your app during build and runtime.\n`;
+      const applied = results.applied;
+      const changeCount = applied ? applied.added.length + applied.changed.length + applied.removed.length : 0;
+      const keptCount = results.diff ? results.diff.removed.filter(({ key }) => !applied.removed.some(removed => removed.key === key)).length : 0;
+
+      if (preview && results.diff) {
+        responseText += `👀 Preview only - nothing was changed.\n`;
+        responseText += `💡 To apply: sync_env_vars(project_path="${project_path}", app_id="${app_id}"${branch ? `, branch="${branch}"` : ''})\n`;
+        if (keptCount > 0 && !remove_missing) {
+          responseText += `💡 Add remove_missing=true to also delete the ${keptCount} Amplify-only variable${keptCount !== 1 ? 's' : ''}.\n`;
+        }
+      } else if (results.synced && !results.updated) {
+        responseText += `✅ ${branch ? `Branch ${branch}` : `Amplify app ${app_id}`} is already up to date - nothing to sync.\n`;
+      } else if (results.synced) {
+        responseText += `🚀 Applied ${changeCount} change${changeCount !== 1 ? 's' : ''} to ${branch ? target : `Amplify app: ${app_id}`} `;
+        responseText += `(${applied.added.length} added, ${applied.changed.length} updated, ${applied.removed.length} deleted)\n`;
+        if (secrets?.updated) {
+          responseText += `🔐 Stored ${secrets.count} secret change${secrets.count !== 1 ? 's' : ''} in ${secrets.path} - Amplify exposes them to the build as the JSON \`secrets\` variable.\n`;
+        }
+        if (keptCount > 0 && !remove_missing) {
+          responseText += `🔒 Kept ${keptCount} Amplify-only variable${keptCount !== 1 ? 's' : ''} (use remove_missing=true to delete them).\n`;
+        }
+        responseText += branch
+          ? `💡 Branch variables override app-wide ones on the next build of ${branch}.\n`
+          : `💡 Variables are now available in your app during build and runtime.\n`;
         responseText += `🔗 View in AWS Console: Amplify → ${app_id} → Environment variables`;
       } else {
-        responseText += `❌ Failed to sync to Amplify app: ${app_id}\n`;
+        responseText += `❌ Failed to sync to ${branch ? target : `Amplify app: ${app_id}`}\n`;
       }
       
+    } else if (branch) {
+      responseText += `❌ No .env file found for branch ${branch}\n`;
+      responseText += `💡 Create ${envManager.getBranchEnvFiles(branch).join(' or ')} with the variables that differ on this branch.\n`;
     } else {
       responseText += `❌ No .env files found in project directory\n`;
       responseText += `💡 Create a .env file with your API keys, database URLs, and other environment variables.\n`;
@@ -925,83 +2152,110 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
       project_name, 
       env_vars = {}, 
       project_path,
-      app_id 
+      app_id,
+      branch,
+      keys = [],
+      key,
+      new_key,
+      source_app_id,
+      overwrite = false,
+      output_file = '.env.amplify',
+      format = 'dotenv'
     } = args;
     
-    const envManager = new AmplifyEnvManager(process.env.AWS_REGION || 'us-east-1');
+    const envManager = await AmplifyEnvManager.create({ region: args.region, appId: app_id }, this.deploymentService.configManager);
+    const target = branch ? `branch ${branch}` : 'app-wide variables';
     let responseText = '';
     
+    if (!project_name && !app_id) {
+      throw new Error(`project_name or app_id is required for ${action || 'this'} action.`);
+    }
+    
+    const appId = await this.resolveEnvAppId(envManager, app_id, project_name);
+    
     switch (action) {
-      case 'retrieve':
-        if (!project_name) {
-          throw new Error('project_name is required for retrieve action. You can also use an app_id instead.');
-        }
+    case 'retrieve':
+      responseText = await this.formatEnvVarsByBranch(envManager, appId, branch);
+      break;
         
-        // Check if project_name is actually an app_id (starts with 'd' and has right format)
-        const isAppId = /^d[a-z0-9]+$/i.test(project_name);
+    case 'set': {
+      if (Object.keys(env_vars).length === 0) {
+        throw new Error('env_vars is required for set action, e.g. env_vars={"API_URL": "https://api.example.com"}');
+      }
+      const { diff, secrets } = await envManager.setEnvVars(appId, env_vars, { branch, projectPath: project_path });
+      responseText = `✅ Updated ${target} of ${appId}\n\n`;
+      responseText += this.formatEnvChanges(envManager, diff, secrets);
+      break;
+    }
         
-        if (isAppId) {
-          // Treat as app_id and get directly from Amplify
-          const { success, envVars, appName, error } = await envManager.getAmplifyAppEnvVars(project_name);
-          
-          if (success) {
-            responseText = `🔍 Environment Variables for ${appName} (${project_name})\n\n`;
-            if (Object.keys(envVars).length === 0) {
-              responseText += `No environment variables found for this app.\n`;
-            } else {
-              responseText += `Found ${Object.keys(envVars).length} environment variable${Object.keys(envVars).length !== 1 ? 's' : ''}:\n\n`;
-              const formatted = envManager.formatEnvVarsForDisplay(envVars);
-              for (const envVar of formatted) {
-                responseText += `🔑 ${envVar.key}: ${envVar.value} (${envVar.type})\n`;
-              }
-              responseText += `\n💡 These variables are live in your Amplify app and available during builds.`;
-            }
-          } else {
-            responseText = `❌ Failed to retrieve variables from Amplify app: ${error}\n`;
-          }
-        } else {
-          // Try to find app by project name in deployment history
-          try {
-            const { ConfigManager } = require('./config-manager.js');
-            const configManager = new ConfigManager();
-            const deployments = await configManager.getDeploymentHistory();
-            
-            const deployment = deployments.find(d => 
-              d.appName === project_name || 
-              (d.projectPath && d.projectPath.includes(project_name))
-            );
-            
-            if (deployment && deployment.appId) {
-              const { success, envVars, appName, error } = await envManager.getAmplifyAppEnvVars(deployment.appId);
-              
-              if (success) {
-                responseText = `🔍 Environment Variables for ${appName} (${deployment.appId})\n\n`;
-                if (Object.keys(envVars).length === 0) {
-                  responseText += `No environment variables found for this project.\n`;
-                } else {
-                  responseText += `Found ${Object.keys(envVars).length} environment variable${Object.keys(envVars).length !== 1 ? 's' : ''}:\n\n`;
-                  const formatted = envManager.formatEnvVarsForDisplay(envVars);
-                  for (const envVar of formatted) {
-                    responseText += `🔑 ${envVar.key}: ${envVar.value} (${envVar.type})\n`;
-                  }
-                  responseText += `\n💡 These variables are live in your Amplify app.`;
-                }
-              } else {
-                responseText = `❌ Failed to retrieve variables: ${error}\n`;
-              }
-            } else {
-              responseText = `❌ Project '${project_name}' not found in deployment history.\n`;
-              responseText += `💡 Use list_env_projects to see available projects, or use the exact app_id instead.`;
-            }
-          } catch (historyError) {
-            responseText = `❌ Failed to access deployment history: ${historyError.message}\n`;
-            responseText += `💡 Try using the app_id directly instead of project name.`;
-          }
-        }
-        break;
+    case 'unset': {
+      if (keys.length === 0) {
+        throw new Error('keys is required for unset action, e.g. keys=["OLD_API_KEY"]');
+      }
+      const { diff, deletedSecrets } = await envManager.unsetEnvVars(appId, keys, { branch });
+      responseText = `✅ Removed from ${target} of ${appId}\n\n`;
+      if (diff.removed.length > 0 || !deletedSecrets) {
+        responseText += this.formatEnvChanges(envManager, diff);
+      }
+      if (deletedSecrets) {
+        responseText += `🔐 Deleted from SSM Parameter Store (${deletedSecrets.path}): ${deletedSecrets.keys.join(', ')}\n`;
+      }
+      break;
+    }
         
-      default:
-        throw new Error(`Unknown action: ${action}. Valid actions: retrieve. Use sync_env_vars to automatically sync .env files to Amplify.`);
+    case 'rename': {
+      if (!key || !new_key) {
+        throw new Error('key and new_key are required for rename action');
+      }
+      const { secrets } = await envManager.renameEnvVar(appId, key, new_key, { branch, projectPath: project_path });
+      responseText = `✅ Renamed ${key} to ${new_key} (${target} of ${appId})\n`;
+      if (secrets) {
+        responseText += `🔐 ${new_key} is a secret and was stored in SSM Parameter Store (${secrets.path}${new_key}, SecureString)\n`;
+      }
+      responseText += `💡 Update any code or build settings that still read ${key}.`;
+      break;
+    }
+        
+    case 'copy_from_app': {
+      if (!source_app_id) {
+        throw new Error('source_app_id is required for copy_from_app action');
+      }
+      const { diff, secrets, sourceAppName } = await envManager.copyEnvVarsFromApp(source_app_id, appId, {
+        keys: keys.length > 0 ? keys : null,
+        overwrite,
+        branch,
+        projectPath: project_path
+      });
+      responseText = `✅ Copied variables from ${sourceAppName} (${source_app_id}) to ${target} of ${appId}\n\n`;
+      responseText += this.formatEnvChanges(envManager, diff, secrets);
+      if (!overwrite) {
+        responseText += `\n💡 Variables that already existed were kept. Use overwrite=true to replace them.`;
+      }
+      break;
+    }
+        
+    case 'export': {
+      if (!project_path) {
+        throw new Error('project_path is required for export action');
+      }
+      const { envVars, content, secretKeys, secretsError } = await envManager.exportEnvVars(appId, { branch, format });
+      const outputPath = path.resolve(project_path, output_file);
+      fs.writeFileSync(outputPath, content, { mode: 0o600 });
+        
+      const count = Object.keys(envVars).length;
+      responseText = `✅ Exported ${count} variable${count !== 1 ? 's' : ''} of ${appId}${branch ? ` (effective values of ${branch})` : ''} to ${outputPath}\n\n`;
+      for (const envVar of envManager.formatEnvVarsForDisplay(envVars)) {
+        responseText += `🔑 ${envVar.key}: ${secretKeys.includes(envVar.key) ? '[secret] (from SSM Parameter Store)' : envVar.value}\n`;
+      }
+      if (secretsError) {
+        responseText += `\n⚠️  Parameter Store secrets could not be read and are missing from the file: ${secretsError}`;
+      }
+      responseText += `\n⚠️  The file contains unmasked secrets - keep it out of version control.`;
+      break;
+    }
+        
+    default:
+      throw new Error(`Unknown action: ${action}. Valid actions: retrieve, set, unset, rename, copy_from_app, export. Use sync_env_vars to sync .env files to Amplify.`);
     }
     
     return {
@@ -1012,69 +2266,82 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
     };
   }
 
+  // app_id is used as is when it looks like one; project names, folders and paths are matched
+  // against the deployment history and the Amplify apps (see AmplifyEnvManager.resolveAppId)
+  async resolveEnvAppId(envManager, appId, projectName) {
+    if (appId && /^d[a-z0-9]{13}$/.test(appId)) {
+      return appId;
+    }
+    return envManager.resolveAppId(appId || projectName);
+  }
+
+  // secrets is the Parameter Store result of set/copy_from_app; plain copies of those keys show as moved
+  formatEnvChanges(envManager, diff, secrets = null) {
+    const changes = { ...diff, unchanged: [] };
+    const movedKeys = envManager.getStoredSecretKeys(secrets);
+    const lines = envManager.formatEnvDiff(changes, { removeMissing: true, applied: true, movedKeys });
+    const secretLines = secrets ? envManager.formatEnvDiff({ ...secrets.applied, unchanged: [] }, { secret: true }) : [];
+    if (lines.length === 0 && secretLines.length === 0) {
+      return 'No changes - the variables already had these values.\n';
+    }
+
+    let text = lines.map(line => `   ${line}\n`).join('');
+    if (secretLines.length > 0) {
+      text += `${lines.length > 0 ? '\n' : ''}🔐 Stored in SSM Parameter Store (${secrets.path}, SecureString):\n`;
+      text += secretLines.map(line => `   ${line}\n`).join('');
+    }
+    return text;
+  }
+
   async handleListEnvProjects(args) {
-    const envManager = new AmplifyEnvManager(process.env.AWS_REGION || 'us-east-1');
-    
     try {
-      // Get projects from deployment history
-      const historyProjects = await envManager.listProjectsFromDeploymentHistory();
-      
-      // Get all Amplify apps with environment variables
-      const { success: amplifySuccess, apps } = await envManager.listAmplifyAppsWithEnvVars();
+      const envManager = await AmplifyEnvManager.create({ region: args?.region }, this.deploymentService.configManager);
+
+      // Deployment history and live Amplify apps, merged by app ID
+      const { success, projects, error } = await envManager.listEnvProjects({ branches: true });
       
-      if (!amplifySuccess) {
-        throw new Error(`Failed to list Amplify apps: ${apps.error || 'Unknown error'}`);
+      if (!success && projects.length === 0) {
+        throw new Error(`Failed to list Amplify apps: ${error || 'Unknown error'}`);
       }
       
-      let responseText = `🗂️ Projects with Environment Variables\n\n`;
-      
-      // Combine and deduplicate projects
-      const allProjects = new Map();
+      // Apps nobody deployed from here only matter when they have variables
+      const hasEnvVars = (project) => project.envVarCount > 0 || project.branches.some(branch => branch.envVarCount > 0);
+      const shown = projects.filter(project => project.inHistory || hasEnvVars(project));
       
-      // Add from deployment history
-      for (const project of historyProjects) {
-        allProjects.set(project.projectName, {
-          projectName: project.projectName,
-          source: 'deployment_history'
-        });
-      }
+      let responseText = `🗂️ Projects with Environment Variables\n\n`;
       
-      // Add from live Amplify apps
-      for (const app of apps) {
-        if (!allProjects.has(app.name)) {
-          allProjects.set(app.name, {
-            projectName: app.name,
-            appId: app.appId,
-            envVarCount: app.envVarCount,
-            source: 'amplify_app'
-          });
-        } else {
-          // Update with Amplify details if we have deployment history entry
-          const existing = allProjects.get(app.name);
-          existing.appId = app.appId;
-          existing.envVarCount = app.envVarCount;
-        }
+      if (!success) {
+        responseText += `⚠️  Could not list Amplify apps (${error}) - showing deployment history only.\n\n`;
       }
       
-      if (allProjects.size === 0) {
+      if (shown.length === 0) {
         responseText += `No projects found with environment variables.\n`;
         responseText += `\n💡 Deploy an app and use sync_env_vars to set up environment variables.\n`;
       } else {
-        responseText += `Found ${allProjects.size} project(s) with environment variables:\n\n`;
+        responseText += `Found ${shown.length} project(s):\n\n`;
         
-        for (const [name, project] of allProjects) {
-          responseText += `📁 ${project.projectName}\n`;
-          if (project.appId) {
-            responseText += `   🆔 App ID: ${project.appId}\n`;
+        for (const project of shown) {
+          responseText += `📁 ${project.projectName || project.appId}\n`;
+          responseText += `   🆔 App ID: ${project.appId}${project.appName && project.appName !== project.projectName ? ` (Amplify app: ${project.appName})` : ''}\n`;
+          if (project.projectPath) {
+            responseText += `   💻 Local project: ${project.projectPath}\n`;
           }
-          if (project.envVarCount) {
-            responseText += `   📊 ${project.envVarCount} variable${project.envVarCount !== 1 ? 's' : ''}\n`;
+          
+          if (project.inAmplify) {
+            responseText += `   🌐 App-wide: ${project.envVarCount} variable${project.envVarCount !== 1 ? 's' : ''}\n`;
+            for (const branch of project.branches) {
+              responseText += `   🌿 ${branch.branchName}: ${branch.envVarCount} branch variable${branch.envVarCount !== 1 ? 's' : ''}\n`;
+            }
+          } else if (success) {
+            responseText += `   ⚠️  Not found in ${envManager.region}${project.region && project.region !== envManager.region ? ` (deployed to ${project.region})` : ' - the app may have been deleted'}\n`;
           }
-          responseText += `   📍 Source: ${project.source === 'deployment_history' ? 'Deployment History' : 'Amplify Console'}\n`;
+          
+          const sources = [project.inHistory && 'Deployment History', project.inAmplify && 'Amplify Console'].filter(Boolean);
+          responseText += `   📍 Source: ${sources.join(' + ')}\n`;
           responseText += '\n';
         }
         
-        responseText += `💡 Use manage_env_vars with action 'retrieve' and the app_id to see variables for a specific project.\n`;
+        responseText += `💡 Use manage_env_vars with action 'retrieve' and the app_id or project name to see variables for a specific project.\n`;
         responseText += `🔍 Or check the AWS Amplify Console → Environment variables tab.`;
       }
       
@@ -1090,13 +2357,61 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
     }
   }
 
+  // Helper method to show app-wide variables and the effective values of each branch
+  async formatEnvVarsByBranch(envManager, appId, branch) {
+    const { success, appName, appVars, appSecrets, branches, secretsError, error } = await envManager.getEffectiveEnvVarsByBranch(appId, branch);
+    
+    if (!success) {
+      return `❌ Failed to retrieve variables from Amplify app: ${error}\n`;
+    }
+    
+    let responseText = `🔍 Environment Variables for ${appName} (${appId})\n\n`;
+    const appVarCount = Object.keys(appVars).length;
+    
+    if (!branch) {
+      responseText += `🌐 App-wide (${appVarCount} variable${appVarCount !== 1 ? 's' : ''}${appSecrets.length > 0 ? `, ${appSecrets.length} secret${appSecrets.length !== 1 ? 's' : ''}` : ''}):\n`;
+      if (appVarCount === 0 && appSecrets.length === 0) {
+        responseText += `   No app-wide environment variables.\n`;
+      }
+      for (const envVar of envManager.formatEnvVarsForDisplay(appVars)) {
+        responseText += `   🔑 ${envVar.key}: ${envVar.value} (${envVar.type})\n`;
+      }
+      for (const key of appSecrets) {
+        responseText += `   🔐 ${key}: [secret] (SSM Parameter Store)\n`;
+      }
+      responseText += `\n`;
+    }
+    
+    for (const { branchName, branchVars, branchSecrets, effective } of branches) {
+      const overrideCount = Object.keys(branchVars).length + branchSecrets.length;
+      responseText += `🌿 ${branchName} - ${effective.length} effective variable${effective.length !== 1 ? 's' : ''}`;
+      responseText += overrideCount > 0 ? ` (${overrideCount} set on the branch)\n` : ` (app-wide only)\n`;
+      
+      // Without a branch filter only the branch's own variables are new information
+      const shown = branch ? effective : effective.filter(envVar => envVar.source !== 'app');
+      for (const envVar of shown) {
+        responseText += envVar.secret
+          ? `   🔐 ${envVar.key}: [secret] [${envVar.source}, SSM Parameter Store]\n`
+          : `   🔑 ${envVar.key}: ${envManager.displayValue(envVar.key, envVar.value)} [${envVar.source}]\n`;
+      }
+      responseText += `\n`;
+    }
+    
+    if (secretsError) {
+      responseText += `⚠️  Parameter Store secrets could not be listed: ${secretsError}\n\n`;
+    }
+    
+    responseText += `💡 Branch variables override app-wide ones during that branch's builds. Sync them with sync_env_vars(..., branch="<branch>").`;
+    return responseText;
+  }
+
   // Helper method to perform environment variable sync
   async performEnvSync(envProjectPath, originalProjectPath, appId, args) {
     let responseText = `\n\n🔐 Environment Variable Sync`;
     
     try {
       const { AmplifyEnvManager } = require('./amplify-env-manager.js');
-      const envManager = new AmplifyEnvManager(args?.region || 'us-east-1');
+      const envManager = await AmplifyEnvManager.create({ region: args?.region, appId, projectPath: envProjectPath }, this.deploymentService.configManager);
       
       const envResult = await envManager.autoSyncFromEnvFile(
         envProjectPath,
@@ -1105,7 +2420,10 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
       );
 
       if (envResult.synced && envResult.envVarsFound > 0) {
-        responseText += `\n✅ Successfully synced ${envResult.envVarsFound} environment variable${envResult.envVarsFound !== 1 ? 's' : ''} to your app!`;
+        const { added, changed } = envResult.applied;
+        responseText += envResult.updated
+          ? `\n✅ Synced environment variables to your app (${added.length} added, ${changed.length} updated)!`
+          : `\n✅ Environment variables are already up to date.`;
         responseText += `\n💡 Variables are now available during builds and runtime.`;
         
         if (envProjectPath !== originalProjectPath) {
@@ -1127,64 +2445,126 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
     return responseText;
   }
 
+  // List every variable the env filter left out, with the rule that excluded it
+  formatExcludedEnvVars(excluded) {
+    if (excluded.length === 0) {
+      return '';
+    }
+    
+    let responseText = `\n\n🚫 Not synced (${excluded.length}):`;
+    for (const { key, rule, blocked } of excluded) {
+      responseText += `\n   ${blocked ? '⛔' : '•'} ${key}: ${rule}`;
+    }
+    if (excluded.some(({ blocked }) => blocked)) {
+      responseText += `\n⛔ Blocked secrets would be readable by anyone loading the site - drop the public prefix and read them server-side,`;
+      responseText += `\n   or set envFilter.overrides.<KEY> to "include" if the value really is public`;
+    }
+    responseText += `\n💡 Adjust with envFilter (include, exclude, allow, overrides) in .amplify-deploy.json`;
+    return responseText;
+  }
+
+  // Client code references to public env vars that the Amplify build will not define
+  formatMissingClientEnvVars(missingReferences) {
+    if (!missingReferences || missingReferences.length === 0) {
+      return '';
+    }
+
+    let responseText = `\n\n⚠️  Referenced in client code but not set in Amplify (${missingReferences.length}):`;
+    for (const { key, file } of missingReferences) {
+      responseText += `\n   • ${key} (${file})`;
+    }
+    responseText += `\n💡 These are undefined in the built bundle - add them to a .env file or with manage_env_vars(action="set")`;
+    return responseText;
+  }
+
   // Helper method to request consent for environment variable sync
   async requestEnvSyncConsent(envProjectPath, originalProjectPath, appId, args) {
     let responseText = `\n\n🔐 Environment Variables Detected`;
     
     try {
       const { AmplifyEnvManager } = require('./amplify-env-manager.js');
-      const envManager = new AmplifyEnvManager(args?.region || 'us-east-1');
+      const envManager = await AmplifyEnvManager.create({ region: args?.region, appId, projectPath: envProjectPath }, this.deploymentService.configManager);
       
       // Parse and filter the environment variables to show what would be synced
-      const envFiles = ['.env', '.env.local', '.env.production'];
-      let allEnvVars = {};
-      
-      for (const envFile of envFiles) {
-        const envPath = path.join(envProjectPath, envFile);
-        if (fs.existsSync(envPath)) {
-          try {
-            const fileVars = envManager.parseEnvFile(envPath);
-            allEnvVars = { ...allEnvVars, ...fileVars };
-          } catch (error) {
-            // Skip files with parse errors
-          }
+      const { envVars: allEnvVars, errors: parseErrors } = envManager.readEnvFiles(envProjectPath);
+      const filterConfig = envManager.loadEnvFilterConfig(envProjectPath);
+      const framework = await envManager.detectProjectFramework(envProjectPath);
+      const { included: filteredVars, excluded } = envManager.applyEnvFilter(allEnvVars, filterConfig, { framework });
+      const { plain: plainVars, secrets } = envManager.splitSecrets(filteredVars, filterConfig);
+      const secretKeys = Object.keys(secrets).sort();
+
+      if (parseErrors.length > 0) {
+        responseText += `\n\n❌ Some .env files could not be parsed and will not be synced until they are fixed:`;
+        for (const parseError of parseErrors) {
+          responseText += `\n   ${parseError.replace(/\n/g, '\n   ')}`;
         }
       }
-      
-      const filteredVars = envManager.filterProductionVars(allEnvVars);
-      const excludedCount = Object.keys(allEnvVars).length - Object.keys(filteredVars).length;
+
+      // Compare against the app this project is already linked to, if any
+      let targetAppId = appId;
+      if (!targetAppId) {
+        const { ConfigManager } = require('./config-manager.js');
+        const projectConfig = await new ConfigManager(originalProjectPath).getProjectConfig();
+        targetAppId = projectConfig?.appId || null;
+      }
+
+      let diff = envManager.diffEnvVars({}, plainVars);
+      let comparedWithApp = false;
+      if (targetAppId) {
+        const preview = await envManager.previewSync(targetAppId, plainVars);
+        if (preview.success) {
+          diff = preview.diff;
+          comparedWithApp = true;
+        }
+      }
+      const changeCount = diff.added.length + diff.changed.length;
+      const missingReferences = await envManager.findMissingClientEnvVars(envProjectPath, targetAppId, framework, filteredVars, comparedWithApp ? diff : null);
       
       if (Object.keys(filteredVars).length > 0) {
-        responseText += `\n\n📋 Preview of environment variables that would be synced:`;
+        responseText += comparedWithApp
+          ? `\n\n📋 Changes that would be synced to ${targetAppId}:`
+          : `\n\n📋 Preview of environment variables that would be synced:`;
         
         if (envProjectPath !== originalProjectPath) {
           responseText += `\n📁 Found in: ${path.relative(originalProjectPath, envProjectPath)}`;
         }
         
-        responseText += `\n\n✅ Production variables (${Object.keys(filteredVars).length}):`;
-        const formatted = envManager.formatEnvVarsForDisplay(filteredVars);
-        for (const envVar of formatted.slice(0, 10)) { // Show max 10 for readability
-          responseText += `\n   🔑 ${envVar.key}: ${envVar.value} (${envVar.type})`;
+        responseText += `\n\n✅ Production variables (${Object.keys(plainVars).length}):`;
+        const lines = envManager.formatEnvDiff(diff, { movedKeys: secretKeys });
+        for (const line of lines.slice(0, 10)) { // Show max 10 for readability
+          responseText += `\n   ${line}`;
         }
         
-        if (formatted.length > 10) {
-          responseText += `\n   ... and ${formatted.length - 10} more`;
+        if (lines.length > 10) {
+          responseText += `\n   ... and ${lines.length - 10} more`;
         }
-        
-        if (excludedCount > 0) {
-          responseText += `\n\n🚫 Development variables filtered out (${excludedCount}):`;
-          responseText += `\n   (NODE_ENV, PORT, localhost URLs, etc.)`;
+
+        if (secretKeys.length > 0) {
+          responseText += `\n\n🔐 Secrets for SSM Parameter Store (${secretKeys.length}, SecureString, values never shown):`;
+          responseText += `\n   ${secretKeys.join(', ')}`;
+        }
+
+        const keptCount = diff.removed.filter(({ key }) => !secretKeys.includes(key)).length;
+        if (keptCount > 0) {
+          responseText += `\n\n🔒 ${keptCount} variable${keptCount !== 1 ? 's' : ''} only set in Amplify will be kept`;
         }
         
-        responseText += `\n\n❓ Would you like to sync these ${Object.keys(filteredVars).length} environment variables to your Amplify app?`;
+        responseText += this.formatExcludedEnvVars(excluded);
+        responseText += this.formatMissingClientEnvVars(missingReferences);
+        
+        const secretsNote = secretKeys.length > 0 ? ` and store ${secretKeys.length} secret${secretKeys.length !== 1 ? 's' : ''} in Parameter Store` : '';
+        if (changeCount === 0 && secretKeys.length === 0) {
+          responseText += `\n\n✅ Amplify already has these values - nothing would change.`;
+        } else {
+          responseText += `\n\n❓ Would you like to apply these ${changeCount} change${changeCount !== 1 ? 's' : ''}${secretsNote} to your Amplify app?`;
+        }
         responseText += `\n\n💡 To approve: Re-run deployment with sync_env_vars=true`;
         responseText += `\n💡 To decline: Use sync_env_vars=false`;
-        responseText += `\n💡 To sync manually later: sync_env_vars(project_path="${envProjectPath}", app_id="${appId}")`;
+        responseText += `\n💡 To sync manually later: sync_env_vars(project_path="${envProjectPath}", app_id="${targetAppId || appId}")`;
       } else {
         responseText += `\n⚠️  Found .env files but no production variables to sync (development variables filtered out).`;
-        if (excludedCount > 0) {
-          responseText += `\n🚫 ${excludedCount} development variables were filtered out (NODE_ENV, PORT, localhost URLs, etc.)`;
-        }
+        responseText += this.formatExcludedEnvVars(excluded);
+        responseText += this.formatMissingClientEnvVars(missingReferences);
       }
       
     } catch (error) {
@@ -1215,38 +2595,135 @@ IMPORTANT: Always provide the absolute project_path to ensure deployment from th
       }
     }
 
-    // For WebSocket mode (development/testing)
+    // For network mode: WebSocket, SSE and streamable HTTP clients all share this.server
+    const checkAccess = createAccessCheck({
+      host: this.host,
+      allowedHosts: this.allowedHosts,
+      allowedOrigins: this.allowedOrigins,
+      token: this.token
+    });
+    const transport = new MultiplexServerTransport();
+    transport.onerror = (error) => {
+      console.error(chalk.red(`MCP transport error: ${error.message}`));
+    };
+    await this.server.connect(transport);
+    this.transport = transport;
+
     const app = express();
-    const server = app.listen(this.port);
-    const wss = new WebSocket.Server({ server });
+    const sseTransports = new Map();
 
-    wss.on('connection', (ws) => {
-      console.log(chalk.green('Client connected'));
-      
-      ws.on('message', async (message) => {
-        try {
-          const request = JSON.parse(message);
-          // Simple echo for testing - in production you'd route to the MCP server
-          ws.send(JSON.stringify({
-            jsonrpc: '2.0',
-            result: { message: 'MCP Server is running' },
-            id: request.id
-          }));
-        } catch (error) {
-          ws.send(JSON.stringify({
-            jsonrpc: '2.0',
-            error: { code: -32603, message: error.message },
-            id: null
-          }));
+    app.use((req, res, next) => {
+      const denied = checkAccess(req.headers);
+      if (denied) {
+        if (denied.status === 401) {
+          res.set('WWW-Authenticate', 'Bearer');
+        }
+        res.status(denied.status).send(denied.message);
+        return;
+      }
+      next();
+    });
+
+    app.get('/health', (req, res) => {
+      res.json({ status: 'ok', clients: transport.sessions.size });
+    });
+
+    // Streamable HTTP: POST a JSON-RPC message (or batch) and get the response(s) back as JSON
+    app.post('/mcp', express.json({ limit: '4mb' }), async (req, res) => {
+      const responses = await transport.request(req.body);
+      if (responses.length === 0) {
+        res.status(202).end();
+      } else {
+        res.json(Array.isArray(req.body) ? responses : responses[0]);
+      }
+    });
+
+    // HTTP+SSE: GET /sse opens the event stream, the client POSTs to /messages?sessionId=...
+    app.get('/sse', async (req, res) => {
+      const sseTransport = new SSEServerTransport('/messages', res);
+      const session = transport.openSession({
+        send: (message) => sseTransport.send(message),
+        close: () => sseTransport.close()
+      });
+
+      sseTransport.onmessage = (message) => transport.receive(session, message);
+      sseTransport.onclose = () => {
+        if (!sseTransports.delete(sseTransport.sessionId)) return;
+        transport.closeSession(session);
+        console.log(chalk.yellow('SSE client disconnected'));
+      };
+
+      sseTransports.set(sseTransport.sessionId, sseTransport);
+      await sseTransport.start();
+      console.log(chalk.green('SSE client connected'));
+    });
+
+    app.post('/messages', async (req, res) => {
+      const sseTransport = sseTransports.get(req.query.sessionId);
+      if (!sseTransport) {
+        res.status(404).send(`Unknown SSE session: ${req.query.sessionId}`);
+        return;
+      }
+
+      try {
+        await sseTransport.handlePostMessage(req, res);
+      } catch {
+        // handlePostMessage has already answered the request
+      }
+    });
+
+    // Malformed JSON bodies get a JSON-RPC parse error instead of express' HTML page
+    app.use((error, req, res, _next) => {
+      res.status(400).json({
+        jsonrpc: '2.0',
+        error: { code: -32700, message: `Parse error: ${error.message}` },
+        id: null
+      });
+    });
+
+    const server = await new Promise((resolve, reject) => {
+      const httpServer = app.listen(this.port, this.host, () => resolve(httpServer));
+      httpServer.on('error', reject);
+    });
+    this.httpServer = server;
+
+    const wss = new WebSocket.Server({
+      server,
+      verifyClient: ({ req }, done) => {
+        const denied = checkAccess(req.headers);
+        if (denied) {
+          done(false, denied.status, denied.message);
+        } else {
+          done(true);
         }
+      }
+    });
+
+    wss.on('connection', (ws) => {
+      const session = transport.openSession({
+        send: (message) => new Promise((resolve, reject) => {
+          ws.send(JSON.stringify(message), error => error ? reject(error) : resolve());
+        }),
+        close: () => ws.close()
       });
+      console.log(chalk.green('WebSocket client connected'));
+
+      ws.on('message', (data) => transport.receiveRaw(session, data));
 
       ws.on('close', () => {
-        console.log(chalk.yellow('Client disconnected'));
+        transport.closeSession(session);
+        console.log(chalk.yellow('WebSocket client disconnected'));
       });
     });
 
-    console.log(chalk.green(`WebSocket server listening on port ${this.port}`));
+    const address = ['127.0.0.1', '0.0.0.0', '::'].includes(this.host) ? 'localhost' : this.host.includes(':') ? `[${this.host}]` : this.host;
+    console.log(chalk.green(`MCP server listening on ${this.host} port ${this.port}`));
+    console.log(chalk.gray(`  WebSocket:       ws://${address}:${this.port}`));
+    console.log(chalk.gray(`  Streamable HTTP: http://${address}:${this.port}/mcp`));
+    console.log(chalk.gray(`  SSE:             http://${address}:${this.port}/sse`));
+    if (this.token) {
+      console.log(chalk.gray('  Clients must send: Authorization: Bearer $AMPLIFY_MCP_TOKEN'));
+    }
   }
 }
 
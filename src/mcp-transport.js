@@ -0,0 +1,229 @@
+const { randomUUID } = require('crypto');
+
+// JSON-RPC error codes used when a client message never reaches the MCP server
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const REQUEST_TIMEOUT = -32001;
+
+// How long a streamable HTTP request waits for the MCP Server; deployments can take several minutes
+const DEFAULT_REQUEST_TIMEOUT = 15 * 60 * 1000;
+
+function isValidMessage(message) {
+  return Boolean(message) && typeof message === 'object' && message.jsonrpc === '2.0';
+}
+
+// A valid message the MCP Server answers, as opposed to a notification or a response
+function isRequest(message) {
+  return isValidMessage(message) && 'method' in message && 'id' in message;
+}
+
+/**
+ * MCP transport that lets many network clients share a single Server instance.
+ *
+ * The MCP SDK Server owns exactly one transport. This transport is that one
+ * transport: every WebSocket, SSE or HTTP client is a session on it. Request ids
+ * are rewritten to `<sessionId>:<id>` on the way in so that concurrent clients
+ * using the same ids cannot collide, and responses are routed back to the
+ * session that sent the request with the original id restored.
+ */
+class MultiplexServerTransport {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.requestTimeout] - Milliseconds request() waits for responses before giving up
+   */
+  constructor({ requestTimeout = DEFAULT_REQUEST_TIMEOUT } = {}) {
+    this.requestTimeout = requestTimeout;
+    this.sessions = new Map();
+    this.pendingRequests = new Map();
+
+    // Set by Server.connect()
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+  }
+
+  async start() {
+    // Sessions are opened by the network listeners, nothing to do here
+  }
+
+  async close() {
+    for (const session of [...this.sessions.values()]) {
+      this.closeSession(session);
+    }
+    this.onclose?.();
+  }
+
+  // Called by the MCP Server for responses and server-initiated messages
+  async send(message) {
+    const isResponse = 'id' in message && !('method' in message);
+
+    if (isResponse) {
+      const route = this.pendingRequests.get(message.id);
+      if (!route) {
+        // Client went away before the tool finished
+        return;
+      }
+      this.pendingRequests.delete(message.id);
+      await route.session.send({ ...message, id: route.originalId });
+      return;
+    }
+
+    // Server notifications are not addressed to a client, so every session gets them
+    await Promise.all([...this.sessions.values()].map(session => session.send(message)));
+  }
+
+  /**
+   * Register a connected client.
+   * @param {Object} handlers
+   * @param {Function} handlers.send - Delivers a JSON-RPC message to the client
+   * @param {Function} [handlers.close] - Closes the underlying connection
+   * @returns {Object} Session to pass to receive() and closeSession()
+   */
+  openSession({ send, close }) {
+    const session = {
+      id: randomUUID(),
+      send: async (message) => {
+        try {
+          await send(message);
+        } catch (error) {
+          this.onerror?.(new Error(`Failed to send to client ${session.id}: ${error.message}`));
+        }
+      },
+      close: close || (() => {})
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  closeSession(session) {
+    if (!this.sessions.delete(session.id)) {
+      return;
+    }
+
+    for (const [routedId, route] of this.pendingRequests) {
+      if (route.session === session) {
+        this.pendingRequests.delete(routedId);
+      }
+    }
+
+    try {
+      session.close();
+    } catch {
+      // Connection is already gone
+    }
+  }
+
+  // Hand a message from a client session to the MCP Server
+  receive(session, message) {
+    if (!isValidMessage(message)) {
+      session.send({
+        jsonrpc: '2.0',
+        error: { code: INVALID_REQUEST, message: 'Invalid JSON-RPC message' },
+        id: message?.id ?? null
+      });
+      return;
+    }
+
+    let routed = message;
+
+    if (isRequest(message)) {
+      const routedId = `${session.id}:${message.id}`;
+      this.pendingRequests.set(routedId, { session, originalId: message.id });
+      routed = { ...message, id: routedId };
+    } else if (message.method === 'notifications/cancelled' && message.params?.requestId !== undefined) {
+      routed = {
+        ...message,
+        params: { ...message.params, requestId: `${session.id}:${message.params.requestId}` }
+      };
+    } else if (!('method' in message)) {
+      // Responses to server-initiated requests are not supported over the shared server
+      return;
+    }
+
+    this.onmessage?.(routed);
+  }
+
+  // Parse a raw text frame (WebSocket) and hand it on, answering parse errors directly
+  receiveRaw(session, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      session.send({
+        jsonrpc: '2.0',
+        error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` },
+        id: null
+      });
+      return;
+    }
+
+    for (const item of Array.isArray(message) ? message : [message]) {
+      this.receive(session, item);
+    }
+  }
+
+  /**
+   * Handle one streamable HTTP POST: forward the message(s) and resolve with the
+   * matching responses. Resolves with an empty array for notification-only bodies.
+   * Requests still unanswered after requestTimeout are cancelled and answered with
+   * a timeout error, and the session is closed.
+   */
+  request(body) {
+    const messages = Array.isArray(body) ? body : [body];
+    // Every request and every invalid message gets exactly one response
+    const expected = messages.filter(message => isRequest(message) || !isValidMessage(message)).length;
+
+    return new Promise((resolve) => {
+      const responses = [];
+
+      const finish = () => {
+        clearTimeout(timer);
+        this.closeSession(session);
+        resolve(responses);
+      };
+
+      const timer = setTimeout(() => {
+        const answered = new Set(responses.map(response => response.id));
+        for (const message of messages.filter(isRequest)) {
+          if (answered.has(message.id)) continue;
+
+          this.onmessage?.({
+            jsonrpc: '2.0',
+            method: 'notifications/cancelled',
+            params: { requestId: `${session.id}:${message.id}`, reason: 'Request timed out' }
+          });
+          responses.push({
+            jsonrpc: '2.0',
+            error: { code: REQUEST_TIMEOUT, message: `Request timed out after ${this.requestTimeout} ms` },
+            id: message.id
+          });
+        }
+        finish();
+      }, this.requestTimeout);
+
+      const session = this.openSession({
+        send: async (message) => {
+          if ('method' in message) {
+            // Notifications broadcast while this request is open are not part of its answer
+            return;
+          }
+          responses.push(message);
+          if (responses.length === expected) {
+            finish();
+          }
+        }
+      });
+
+      for (const message of messages) {
+        this.receive(session, message);
+      }
+
+      if (expected === 0) {
+        finish();
+      }
+    });
+  }
+}
+
+module.exports = { MultiplexServerTransport };
@@ -0,0 +1,597 @@
+const { execFileSync } = require('child_process');
+const fetch = require('node-fetch');
+
+/**
+ * Split a Git remote into host and repository path. Handles
+ * https://[user@]host/path(.git), ssh://git@host[:port]/path and git@host:path.
+ */
+function parseRemote(remoteUrl) {
+  const url = remoteUrl.trim();
+  const match = url.match(/^[a-z+]+:\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/i) ||
+    url.match(/^(?:[^@/]+@)?([^/:]+):(.+)$/);
+
+  if (!match) return null;
+
+  return {
+    host: match[1].toLowerCase(),
+    path: match[2].replace(/\/+$/, '').replace(/\.git$/, '')
+  };
+}
+
+/**
+ * A Git host Amplify can build from. Each provider parses its remote URLs,
+ * validates its credential and tells CreateApp how to pass that credential on.
+ */
+class RepositoryProvider {
+  constructor({ id, name, tokenEnvVar }) {
+    this.id = id;
+    this.name = name;
+    this.tokenEnvVar = tokenEnvVar;
+  }
+
+  // { provider, repository, owner, repo } for a remote of this host, or null
+  parseRemoteUrl() {
+    return null;
+  }
+
+  // Throws when the credential cannot be used by Amplify
+  async validateToken() {}
+
+  // Throws when the credential cannot reach the repository
+  async validateRepositoryAccess() {}
+
+  // CreateApp parameters that carry the credential
+  getAmplifyCredentials(token) {
+    return { oauthToken: token };
+  }
+
+  // Shown when no credential is configured
+  getSetupInstructions() {
+    return `${this.name} access is not configured. Set ${this.tokenEnvVar} and try again.`;
+  }
+}
+
+class GitHubProvider extends RepositoryProvider {
+  constructor() {
+    super({ id: 'github', name: 'GitHub', tokenEnvVar: 'GITHUB_TOKEN' });
+  }
+
+  parseRemoteUrl(remoteUrl) {
+    const match = remoteUrl.match(/github\.com[:/](.+)\/(.+?)(\.git)?$/);
+    if (!match) return null;
+
+    return {
+      provider: this.id,
+      repository: `https://github.com/${match[1]}/${match[2]}`,
+      owner: match[1],
+      repo: match[2]
+    };
+  }
+
+  // GitHub repositories are authorized through the Amplify GitHub App with accessToken
+  getAmplifyCredentials(token) {
+    return { accessToken: token };
+  }
+
+  getSetupInstructions() {
+    return `🔗 AWS Amplify GitHub App Setup Required
+
+AWS Amplify now requires a 2-step setup process:
+
+🌍 FIRST: Which AWS region will you deploy to?
+   - US East (N. Virginia): us-east-1 (recommended default)
+   - US West (Oregon): us-west-2  
+   - EU (Ireland): eu-west-1
+   - EU (Frankfurt): eu-central-1
+   - Asia Pacific (Sydney): ap-southeast-2
+   - Asia Pacific (Tokyo): ap-northeast-1
+   - Other regions: Check AWS Amplify documentation
+   
+   💡 Use us-east-1 if unsure (most common choice)
+
+📱 STEP 1: Install AWS Amplify GitHub App for your region (REQUIRED FIRST!)
+   Region-specific installation URLs:
+   - US East 1: https://github.com/apps/aws-amplify-us-east-1/installations/new
+   - US West 2: https://github.com/apps/aws-amplify-us-west-2/installations/new
+   - EU West 1: https://github.com/apps/aws-amplify-eu-west-1/installations/new
+   - EU Central 1: https://github.com/apps/aws-amplify-eu-central-1/installations/new
+   - AP Southeast 2: https://github.com/apps/aws-amplify-ap-southeast-2/installations/new
+   - AP Northeast 1: https://github.com/apps/aws-amplify-ap-northeast-1/installations/new
+   
+   Instructions:
+   - Select your GitHub account/organization
+   - Choose "All repositories" OR select specific repositories
+   - Click "Install" 
+   
+   ⚠️  Without this GitHub App, deployment will fail!
+
+🔑 STEP 2: Create Personal Access Token
+   - Go to: https://github.com/settings/tokens/new
+   - Description: "AWS Amplify Deploy Access"
+   - IMPORTANT: Select "admin:repo_hook" scope (not "repo")
+   - Generate and copy the token
+
+⚙️  STEP 3: Configure Token
+   Add to your MCP configuration (~/.cursor/mcp.json):
+   "env": {
+     "AWS_ACCESS_KEY_ID": "your-access-key",
+     "AWS_SECRET_ACCESS_KEY": "your-secret-key", 
+     "GITHUB_TOKEN": "your-github-token",
+     "AWS_REGION": "your-chosen-region"
+   }
+
+🔄 STEP 4: Restart Cursor
+
+💡 Quick guided setup: Run "amplify-deploy setup"
+
+Alternative: export GITHUB_TOKEN="your-github-token"`;
+  }
+
+  async validateToken(token) {
+    try {
+      // Check token type first - this will throw if incompatible
+      this.checkTokenType(token);
+      
+      // 1. Basic token validation with enhanced error reporting
+      const response = await fetch('https://api.github.com/user', {
+        headers: {
+          'Authorization': `token ${token}`,
+          'User-Agent': 'amplify-deploy'
+        }
+      });
+      
+      if (!response.ok) {
+        if (response.status === 401) {
+          throw new Error(`GitHub token is invalid or expired (HTTP ${response.status}).
+
+Please create a new token for AWS Amplify GitHub App:
+1. Install AWS Amplify GitHub App: https://github.com/apps/aws-amplify-us-east-1/installations/new
+2. Go to: https://github.com/settings/tokens/new
+3. Select "admin:repo_hook" scope (for GitHub App webhook management)
+4. Update your MCP configuration with the new token
+5. Restart Cursor`);
+        }
+        
+        throw new Error(`GitHub API error: ${response.status} ${response.statusText}. Please check your token permissions.`);
+      }
+      
+      const user = await response.json();
+      
+      // 2. Check repo scope permissions
+      const reposResponse = await fetch('https://api.github.com/user/repos?per_page=1', {
+        headers: {
+          'Authorization': `token ${token}`,
+          'User-Agent': 'amplify-deploy'
+        }
+      });
+      
+      if (!reposResponse.ok) {
+        throw new Error(`GitHub token validation failed for AWS Amplify GitHub App (HTTP ${reposResponse.status}).
+
+Please create a new token for AWS Amplify GitHub App:
+1. Install AWS Amplify GitHub App: https://github.com/apps/aws-amplify-us-east-1/installations/new
+2. Go to: https://github.com/settings/tokens/new
+3. Select "admin:repo_hook" scope (for GitHub App webhook management)
+4. Update your MCP configuration
+5. Restart Cursor`);
+      }
+      
+      // 3. Check token scopes in response headers
+      const scopes = reposResponse.headers.get('X-OAuth-Scopes');
+      if (scopes) {
+        if (!scopes.includes('admin:repo_hook')) {
+          throw new Error(`GitHub token missing required scope for AWS Amplify GitHub App.
+
+Current scopes: ${scopes}
+Required scope: admin:repo_hook
+
+AWS Amplify GitHub App requires 'admin:repo_hook' scope for:
+- Repository webhook management
+- Deployment automation
+- GitHub App integration
+
+🔧 To fix this:
+1. Install AWS Amplify GitHub App for your region first
+2. Create a new token: https://github.com/settings/tokens/new
+3. Select "admin:repo_hook" scope (not "repo")
+4. Update your MCP configuration
+5. Restart Cursor
+
+📋 Token validation info:
+- User: ${user.login}
+- Available scopes: ${scopes}
+- Missing: admin:repo_hook`);
+        }
+      }
+      
+    } catch (error) {
+      if (error.message.includes('GitHub token') || error.message.includes('GitHub API')) {
+        throw error;
+      }
+      throw new Error(`Failed to validate GitHub token: ${error.message}. Please check your internet connection and token.
+
+Token format: ${token.startsWith('ghp_') ? 'Classic (compatible)' : token.startsWith('github_pat_') ? 'Fine-grained (may not work with Amplify)' : 'Unknown format'}`);
+    }
+  }
+
+  // Helper method to check GitHub token type
+  checkTokenType(token) {
+    if (token.startsWith('github_pat_')) {
+      throw new Error(`Fine-grained GitHub token detected. AWS Amplify GitHub App requires CLASSIC tokens.
+
+Current token: Fine-grained (starts with 'github_pat_')
+Required: Classic token (starts with 'ghp_')
+
+🔧 To fix this:
+1. Go to: https://github.com/settings/tokens/new
+2. Select "Tokens (classic)" - NOT "Fine-grained personal access tokens"
+3. Select "admin:repo_hook" scope
+4. Generate token and update your configuration`);
+    } else if (token.startsWith('ghp_')) {
+      // Classic GitHub token detected - compatible with AWS Amplify GitHub App
+      return;
+    } else {
+      throw new Error(`Unknown GitHub token format. AWS Amplify requires classic tokens.
+
+Current token format: Unknown format detected
+Required: Classic token (starts with 'ghp_')
+
+🔧 Create a classic token:
+1. Go to: https://github.com/settings/tokens/new
+2. Select "Tokens (classic)"
+3. Select "admin:repo_hook" scope
+4. Generate and use the new token`);
+    }
+  }
+
+  // Test the token against the target repository, including webhook permissions
+  async validateRepositoryAccess(token, repoInfo) {
+    await this.validateToken(token);
+
+    try {
+      // Test repository access
+      const repoResponse = await fetch(`https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}`, {
+        headers: {
+          'Authorization': `token ${token}`,
+          'User-Agent': 'amplify-deploy'
+        }
+      });
+      
+      if (!repoResponse.ok) {
+        if (repoResponse.status === 404) {
+          throw new Error(`GitHub token cannot access repository ${repoInfo.repository}. This could mean:
+1. Repository doesn't exist
+2. Repository is private and token lacks access
+3. Token doesn't have sufficient permissions
+
+For AWS Amplify GitHub App, ensure your token has 'admin:repo_hook' scope and the GitHub App is installed.`);
+        }
+        throw new Error(`Cannot access repository ${repoInfo.repository}: ${repoResponse.status} ${repoResponse.statusText}`);
+      }
+      
+      // Test webhook permissions (required by AWS Amplify)
+      const hooksResponse = await fetch(`https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/hooks`, {
+        headers: {
+          'Authorization': `token ${token}`,
+          'User-Agent': 'amplify-deploy'
+        }
+      });
+      
+      if (!hooksResponse.ok && hooksResponse.status !== 403) {
+        // Note: Cannot test webhook permissions: ${hooksResponse.status}
+      } else if (hooksResponse.status === 403) {
+        throw new Error(`GitHub token lacks webhook permissions for ${repoInfo.repository}.
+
+AWS Amplify GitHub App requires 'admin:repo_hook' scope for webhook management. Please ensure:
+1. AWS Amplify GitHub App is installed for your account/organization
+2. Token has 'admin:repo_hook' scope (not 'repo')
+3. You have admin access to the repository
+4. Token is a classic token (starts with 'ghp_')
+
+🔧 Setup steps:
+1. Install GitHub App: https://github.com/apps/aws-amplify-us-east-1/installations/new
+2. Create classic token: https://github.com/settings/tokens/new
+3. Select 'admin:repo_hook' scope`);
+      } else {
+        // Webhook permissions confirmed
+      }
+      
+    } catch (error) {
+      if (error.message.includes('GitHub token') || error.message.includes('Repository') || error.message.includes('webhook')) {
+        throw error;
+      }
+      throw new Error(`Failed to validate repository access: ${error.message}`);
+    }
+  }
+}
+
+class GitLabProvider extends RepositoryProvider {
+  constructor() {
+    super({ id: 'gitlab', name: 'GitLab', tokenEnvVar: 'GITLAB_TOKEN' });
+  }
+
+  // gitlab.com, or a self-managed instance named in GITLAB_HOST
+  parseRemoteUrl(remoteUrl) {
+    const remote = parseRemote(remoteUrl);
+    const hosts = ['gitlab.com', process.env.GITLAB_HOST?.toLowerCase()].filter(Boolean);
+    if (!remote || !hosts.includes(remote.host) || !remote.path.includes('/')) return null;
+
+    const separator = remote.path.lastIndexOf('/');
+    return {
+      provider: this.id,
+      repository: `https://${remote.host}/${remote.path}`,
+      host: remote.host,
+      owner: remote.path.slice(0, separator),
+      repo: remote.path.slice(separator + 1),
+      projectPath: remote.path
+    };
+  }
+
+  async request(host, apiPath, token) {
+    return fetch(`https://${host}/api/v4${apiPath}`, {
+      headers: {
+        'PRIVATE-TOKEN': token,
+        'User-Agent': 'amplify-deploy'
+      }
+    });
+  }
+
+  // Amplify adds a webhook and a deploy key to the project, which needs the api scope
+  async validateToken(token, host = 'gitlab.com') {
+    const response = await this.request(host, '/personal_access_tokens/self', token);
+
+    if (response.status === 401) {
+      throw new Error(`GitLab token is invalid, expired or revoked (HTTP 401).
+
+🔧 Create a new personal access token:
+1. Go to: https://${host}/-/user_settings/personal_access_tokens
+2. Select the "api" scope
+3. Set it as ${this.tokenEnvVar} and try again`);
+    }
+
+    // Older GitLab versions do not have this endpoint - the repository check still runs
+    if (!response.ok) return;
+
+    const tokenInfo = await response.json();
+    if (Array.isArray(tokenInfo.scopes) && !tokenInfo.scopes.includes('api')) {
+      throw new Error(`GitLab token missing required scope for AWS Amplify.
+
+Current scopes: ${tokenInfo.scopes.join(', ')}
+Required scope: api
+
+AWS Amplify needs the "api" scope to add a webhook and a read-only deploy key to your project.
+Create a new token at https://${host}/-/user_settings/personal_access_tokens`);
+    }
+  }
+
+  async validateRepositoryAccess(token, repoInfo) {
+    await this.validateToken(token, repoInfo.host);
+
+    const response = await this.request(repoInfo.host, `/projects/${encodeURIComponent(repoInfo.projectPath)}`, token);
+    if (!response.ok) {
+      throw new Error(response.status === 404
+        ? `GitLab token cannot access repository ${repoInfo.repository}. Check that the project exists and that the token's user is a member.`
+        : `Cannot access repository ${repoInfo.repository}: ${response.status} ${response.statusText}`);
+    }
+
+    // Webhooks and deploy keys need the Maintainer role (access level 40)
+    const project = await response.json();
+    const accessLevel = Math.max(
+      project.permissions?.project_access?.access_level || 0,
+      project.permissions?.group_access?.access_level || 0
+    );
+    if (accessLevel < 40) {
+      throw new Error(`GitLab token lacks webhook permissions for ${repoInfo.repository}.
+
+AWS Amplify adds a webhook and a deploy key to the project, which requires the Maintainer or Owner role.
+Ask a project owner to raise your role, or use a token of a user who is a Maintainer.`);
+    }
+  }
+
+  getSetupInstructions() {
+    return `🔗 GitLab Access Required
+
+AWS Amplify connects to GitLab with a personal access token:
+
+🔑 STEP 1: Create a personal access token
+   - Go to: https://gitlab.com/-/user_settings/personal_access_tokens
+   - Select the "api" scope (Amplify adds a webhook and a deploy key)
+   - You need the Maintainer role on the project
+
+⚙️  STEP 2: Configure the token
+   Add "GITLAB_TOKEN": "your-gitlab-token" to the "env" section of your MCP configuration,
+   or export GITLAB_TOKEN="your-gitlab-token"
+
+💡 Self-managed GitLab: also set GITLAB_HOST (e.g. gitlab.example.com)`;
+  }
+}
+
+class BitbucketProvider extends RepositoryProvider {
+  constructor() {
+    super({ id: 'bitbucket', name: 'Bitbucket', tokenEnvVar: 'BITBUCKET_TOKEN' });
+  }
+
+  parseRemoteUrl(remoteUrl) {
+    const remote = parseRemote(remoteUrl);
+    if (!remote || remote.host !== 'bitbucket.org') return null;
+
+    const [workspace, repo] = remote.path.split('/');
+    if (!workspace || !repo) return null;
+
+    return {
+      provider: this.id,
+      repository: `https://bitbucket.org/${workspace}/${repo}`,
+      owner: workspace,
+      repo
+    };
+  }
+
+  async request(apiPath, token) {
+    return fetch(`https://api.bitbucket.org/2.0${apiPath}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'User-Agent': 'amplify-deploy'
+      }
+    });
+  }
+
+  // App passwords only work with a username (basic auth); Amplify needs a bearer access token
+  async validateToken(token) {
+    if (token.startsWith('ATBB')) {
+      throw new Error(`Bitbucket app password detected. AWS Amplify needs an access token.
+
+🔧 To fix this:
+1. Open your repository or workspace settings → Access tokens
+2. Create a token with the "Repositories: Admin" and "Webhooks: Read and write" scopes
+3. Set it as ${this.tokenEnvVar} and try again`);
+    }
+  }
+
+  async validateRepositoryAccess(token, repoInfo) {
+    await this.validateToken(token);
+
+    const repoPath = `/repositories/${repoInfo.owner}/${repoInfo.repo}`;
+    const response = await this.request(repoPath, token);
+    if (!response.ok) {
+      if (response.status === 401) {
+        throw new Error(`Bitbucket token is invalid or expired (HTTP 401). Create a new access token and set it as ${this.tokenEnvVar}.`);
+      }
+      throw new Error(response.status === 404 || response.status === 403
+        ? `Bitbucket token cannot access repository ${repoInfo.repository}. Check that the access token belongs to this repository or its workspace.`
+        : `Cannot access repository ${repoInfo.repository}: ${response.status} ${response.statusText}`);
+    }
+
+    // Amplify registers a webhook, which needs the webhook scope
+    const hooksResponse = await this.request(`${repoPath}/hooks`, token);
+    if (hooksResponse.status === 403) {
+      throw new Error(`Bitbucket token lacks webhook permissions for ${repoInfo.repository}.
+
+AWS Amplify needs an access token with the "Repositories: Admin" and "Webhooks: Read and write" scopes.`);
+    }
+  }
+
+  getSetupInstructions() {
+    return `🔗 Bitbucket Access Required
+
+AWS Amplify connects to Bitbucket with an access token:
+
+🔑 STEP 1: Create an access token
+   - Repository settings → Security → Access tokens (or workspace settings for all repositories)
+   - Scopes: "Repositories: Admin" and "Webhooks: Read and write"
+   - App passwords do not work with Amplify
+
+⚙️  STEP 2: Configure the token
+   Add "BITBUCKET_TOKEN": "your-access-token" to the "env" section of your MCP configuration,
+   or export BITBUCKET_TOKEN="your-access-token"`;
+  }
+}
+
+class CodeCommitProvider extends RepositoryProvider {
+  constructor() {
+    // Amplify reads CodeCommit through an IAM service role rather than a token
+    super({ id: 'codecommit', name: 'AWS CodeCommit', tokenEnvVar: 'AMPLIFY_SERVICE_ROLE_ARN' });
+  }
+
+  // https/ssh git-codecommit.<region>.amazonaws.com/v1/repos/<name>, or codecommit::<region>://[profile@]<name> (git-remote-codecommit)
+  parseRemoteUrl(remoteUrl) {
+    let region;
+    let repo;
+
+    const grcMatch = remoteUrl.trim().match(/^codecommit:(?::([a-z0-9-]+))?:\/\/(?:[^@]+@)?([^/]+)$/);
+    if (grcMatch) {
+      region = grcMatch[1] || process.env.AWS_REGION || 'us-east-1';
+      repo = grcMatch[2];
+    } else {
+      const remote = parseRemote(remoteUrl);
+      const hostMatch = remote?.host.match(/^git-codecommit\.([a-z0-9-]+)\.amazonaws\.com$/);
+      const pathMatch = remote?.path.match(/^v1\/repos\/([^/]+)$/);
+      if (!hostMatch || !pathMatch) return null;
+      region = hostMatch[1];
+      repo = pathMatch[1];
+    }
+
+    return {
+      provider: this.id,
+      repository: `https://git-codecommit.${region}.amazonaws.com/v1/repos/${repo}`,
+      region,
+      repo,
+      remoteUrl: remoteUrl.trim()
+    };
+  }
+
+  async validateToken(roleArn) {
+    if (!/^arn:aws[a-z-]*:iam::\d{12}:role\/.+/.test(roleArn)) {
+      throw new Error(`${this.tokenEnvVar} must be the ARN of an IAM role (arn:aws:iam::<account-id>:role/<name>), got "${roleArn}".`);
+    }
+  }
+
+  // The role is used by Amplify; locally we can only check that the repository answers
+  async validateRepositoryAccess(roleArn, repoInfo) {
+    await this.validateToken(roleArn);
+
+    try {
+      execFileSync('git', ['ls-remote', '--heads', repoInfo.remoteUrl], {
+        stdio: 'pipe',
+        timeout: 20000,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+      });
+    } catch (error) {
+      throw new Error(`Cannot access repository ${repoInfo.repository}. Check your AWS credentials and the Git credential helper for CodeCommit.
+
+Git error: ${(error.stderr?.toString() || error.message).trim().split('\n')[0]}`);
+    }
+  }
+
+  getAmplifyCredentials(roleArn) {
+    return { iamServiceRoleArn: roleArn };
+  }
+
+  getSetupInstructions() {
+    return `🔗 AWS CodeCommit Access Required
+
+AWS Amplify reads CodeCommit repositories through an IAM service role:
+
+🔑 STEP 1: Create the service role
+   - IAM → Roles → Create role → AWS service → Amplify
+   - Attach a policy allowing codecommit:GitPull on your repository
+
+⚙️  STEP 2: Configure the role
+   Add "AMPLIFY_SERVICE_ROLE_ARN": "arn:aws:iam::<account-id>:role/<name>" to the "env" section of your MCP configuration,
+   or export AMPLIFY_SERVICE_ROLE_ARN="arn:aws:iam::<account-id>:role/<name>"`;
+  }
+}
+
+const REPOSITORY_PROVIDERS = [
+  new GitHubProvider(),
+  new GitLabProvider(),
+  new BitbucketProvider(),
+  new CodeCommitProvider()
+];
+
+function getRepositoryProvider(id) {
+  const provider = REPOSITORY_PROVIDERS.find(candidate => candidate.id === id);
+  if (!provider) {
+    throw new Error(`Unknown repository provider "${id}". Supported: ${REPOSITORY_PROVIDERS.map(candidate => candidate.id).join(', ')}`);
+  }
+  return provider;
+}
+
+// Repository info for a Git remote URL, or null when no provider recognizes the host
+function parseRepositoryRemote(remoteUrl) {
+  for (const provider of REPOSITORY_PROVIDERS) {
+    const repoInfo = provider.parseRemoteUrl(remoteUrl);
+    if (repoInfo) return repoInfo;
+  }
+  return null;
+}
+
+module.exports = {
+  RepositoryProvider,
+  GitHubProvider,
+  GitLabProvider,
+  BitbucketProvider,
+  CodeCommitProvider,
+  REPOSITORY_PROVIDERS,
+  getRepositoryProvider,
+  parseRepositoryRemote
+};
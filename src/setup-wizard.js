@@ -35,7 +35,7 @@ async function setupWizard() {
   console.log(chalk.green('\n✅ Setup completed successfully!\n'));
   console.log(chalk.blue('Next steps:'));
   console.log(chalk.gray('1. Run "amplify-deploy start" to start the MCP server'));
-  console.log(chalk.gray('2. Configure Cursor to connect to http://localhost:3456'));
+  console.log(chalk.gray('2. Configure Cursor to connect to http://localhost:3456/sse'));
   console.log(chalk.gray('3. Use the AI assistant to deploy your project!\n'));
 }
 
@@ -435,7 +435,7 @@ async function configureCursorIntegration() {
   console.log('1. Start the MCP server:');
   console.log(chalk.gray('   amplify-deploy start\n'));
   console.log('2. In Cursor, add this MCP server configuration:');
-  console.log(chalk.gray('   Server URL: http://localhost:3456'));
+  console.log(chalk.gray('   Server URL: http://localhost:3456/sse'));
   console.log(chalk.gray('   Or for stdio mode: amplify-deploy start --stdio\n'));
   
   const { openDocs } = await inquirer.prompt([
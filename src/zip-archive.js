@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+
+// Limits of the classic (non-ZIP64) format
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields used by zip headers
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+async function listFiles(directory, exclude, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(path.join(directory, prefix), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (exclude(relativePath, entry)) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(directory, exclude, relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Zip the contents of a directory (paths inside the archive are relative to it).
+ * Amplify manual deployments expect index.html at the root of the archive.
+ * @param {string} directory - Directory to archive
+ * @param {Object} [options]
+ * @param {Function} [options.exclude] - (relativePath, dirent) => true to leave a file or folder out
+ * @returns {Promise<Object>} { buffer, fileCount }
+ */
+async function createZipArchive(directory, options = {}) {
+  const files = await listFiles(directory, options.exclude || (() => false));
+  if (files.length > MAX_ENTRIES) {
+    throw new Error(`Too many files to archive (${files.length}, maximum ${MAX_ENTRIES}).`);
+  }
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const filePath = path.join(directory, file);
+    const [content, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+    const compressed = zlib.deflateRawSync(content);
+    // Store already-compressed files (images, fonts) as they are
+    const useDeflate = compressed.length < content.length;
+    const data = useDeflate ? compressed : content;
+    const name = Buffer.from(file, 'utf8');
+    const { time, day } = dosDateTime(stats.mtime);
+    const checksum = crc32(content);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(20, 4); // version needed to extract
+    localHeader.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    localHeader.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    localHeader.writeUInt16LE(time, 10);
+    localHeader.writeUInt16LE(day, 12);
+    localHeader.writeUInt32LE(checksum, 14);
+    localHeader.writeUInt32LE(data.length, 18);
+    localHeader.writeUInt32LE(content.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28);
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(20, 4); // version made by
+    centralHeader.writeUInt16LE(20, 6);
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    centralHeader.writeUInt16LE(time, 12);
+    centralHeader.writeUInt16LE(day, 14);
+    centralHeader.writeUInt32LE(checksum, 16);
+    centralHeader.writeUInt32LE(data.length, 20);
+    centralHeader.writeUInt32LE(content.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, name, data);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + data.length;
+
+    if (offset > MAX_SIZE) {
+      throw new Error('Build output is too large to archive (over 4 GB).');
+    }
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return {
+    buffer: Buffer.concat([...localParts, centralDirectory, end]),
+    fileCount: files.length
+  };
+}
+
+module.exports = { createZipArchive };